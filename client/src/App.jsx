@@ -1,32 +1,133 @@
 import React, { useState, useEffect } from 'react';
 import FileUpload from './components/FileUpload';
 import ChatInterface from './components/ChatInterface';
-import { Upload, MessageCircle, FileText } from 'lucide-react';
+import DocumentLibrary from './components/DocumentLibrary';
+import ChatHistory from './components/ChatHistory';
+import FeedbackReview from './components/FeedbackReview';
+import PromptTemplates from './components/PromptTemplates';
+import Login from './components/Login';
+import { getAuthToken, getCurrentUser, logout, onUnauthorized } from './services/api';
+import { Upload, MessageCircle, FileText, LogOut, Loader2, ClipboardList, ScrollText } from 'lucide-react';
 
 function App() {
+  const [auth, setAuth] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [currentView, setCurrentView] = useState('upload');
   const [documentLoaded, setDocumentLoaded] = useState(false);
   const [collectionId, setCollectionId] = useState(null);
+  const [documentName, setDocumentName] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [libraryRefreshKey, setLibraryRefreshKey] = useState(0);
+  // Saved conversation shown in the chat; chatKey remounts the chat when another one is opened
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const [chatKey, setChatKey] = useState(0);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+
+  // Restore the signed-in user from a stored token
+  useEffect(() => {
+    onUnauthorized(() => setAuth(null));
+
+    if (!getAuthToken()) {
+      setAuthChecked(true);
+      return;
+    }
+
+    getCurrentUser()
+      .then(response => setAuth(response.data))
+      .catch(error => console.error('Error restoring session:', error))
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  const handleAuthenticated = (data) => {
+    setAuth({ user: data.user, workspace: data.workspace });
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    handleReset();
+    setAuth(null);
+  };
 
   const handleDocumentUploaded = (data) => {
     setCollectionId(data.collectionId);
+    setDocumentName(data.document?.filename || null);
     setDocumentLoaded(true);
     setCurrentView('chat');
     setIsProcessing(false);
+    setLibraryRefreshKey(prev => prev + 1);
+  };
+
+  const handleSelectDocument = (document) => {
+    setCollectionId(document.id);
+    setDocumentName(document.filename);
+    setDocumentLoaded(true);
+    setCurrentView('chat');
+    setActiveSessionId(null);
+  };
+
+  const handleSelectSession = (session) => {
+    setCollectionId(session.documentId);
+    setDocumentName(session.documentName);
+    setDocumentLoaded(true);
+    setCurrentView('chat');
+    setActiveSessionId(session.id);
+    setChatKey(prev => prev + 1);
+  };
+
+  // Called after each saved answer, or with null when the user starts a new chat
+  const handleSessionChange = (sessionId) => {
+    setActiveSessionId(sessionId);
+    if (sessionId) {
+      setHistoryRefreshKey(prev => prev + 1);
+    }
+  };
+
+  const handleSessionDeleted = (sessionId) => {
+    if (sessionId === activeSessionId) {
+      setActiveSessionId(null);
+      setChatKey(prev => prev + 1);
+    }
+  };
+
+  // Deleting a document also deletes its conversations
+  const handleDocumentDeleted = () => {
+    setHistoryRefreshKey(prev => prev + 1);
   };
 
   const handleProcessingStart = () => {
     setIsProcessing(true);
   };
 
+  const handleProcessingFailed = () => {
+    setIsProcessing(false);
+    setLibraryRefreshKey(prev => prev + 1);
+  };
+
   const handleReset = () => {
     setDocumentLoaded(false);
     setCollectionId(null);
+    setDocumentName(null);
     setCurrentView('upload');
     setIsProcessing(false);
+    setActiveSessionId(null);
   };
 
+  if (!authChecked) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <Loader2 className="w-6 h-6 text-primary-600 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!auth) {
+    return <Login onAuthenticated={handleAuthenticated} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -43,19 +144,54 @@ function App() {
               </div>
             </div>
             
-            {documentLoaded && (
-              <div className="flex items-center space-x-4">
-                <span className="text-sm text-gray-600">
-                  Document loaded successfully
-                </span>
+            <div className="flex items-center space-x-4">
+              {documentLoaded && (
+                <>
+                  <span className="text-sm text-gray-600">
+                    {documentName ? `Chatting with ${documentName}` : 'Document loaded successfully'}
+                  </span>
+                  <button
+                    onClick={handleReset}
+                    className="btn-secondary text-sm"
+                  >
+                    Upload New Document
+                  </button>
+                </>
+              )}
+              {auth.user?.role === 'admin' && (
+                <button
+                  onClick={() => setCurrentView(currentView === 'feedback' ? (documentLoaded ? 'chat' : 'upload') : 'feedback')}
+                  className={`btn-secondary text-sm ${currentView === 'feedback' ? 'ring-2 ring-primary-500' : ''}`}
+                  title="Review answer feedback"
+                >
+                  <ClipboardList className="w-4 h-4 mr-1" />
+                  Feedback
+                </button>
+              )}
+              {auth.user?.role === 'admin' && (
+                <button
+                  onClick={() => setCurrentView(currentView === 'prompts' ? (documentLoaded ? 'chat' : 'upload') : 'prompts')}
+                  className={`btn-secondary text-sm ${currentView === 'prompts' ? 'ring-2 ring-primary-500' : ''}`}
+                  title="Edit prompt templates"
+                >
+                  <ScrollText className="w-4 h-4 mr-1" />
+                  Prompts
+                </button>
+              )}
+              <div className="flex items-center space-x-2 pl-4 border-l border-gray-200">
+                <div className="text-right">
+                  <p className="text-sm font-medium text-gray-900">{auth.user?.username || 'API key'}</p>
+                  <p className="text-xs text-gray-500">{auth.workspace?.name}</p>
+                </div>
                 <button
-                  onClick={handleReset}
-                  className="btn-secondary text-sm"
+                  onClick={handleLogout}
+                  className="p-2 text-gray-400 hover:text-gray-600"
+                  title="Sign out"
                 >
-                  Upload New Document
+                  <LogOut className="w-4 h-4" />
                 </button>
               </div>
-            )}
+            </div>
           </div>
         </div>
       </header>
@@ -93,22 +229,51 @@ function App() {
       )}
 
       {/* Main Content */}
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {currentView === 'upload' && (
-          <FileUpload
-            onDocumentUploaded={handleDocumentUploaded}
-            onProcessingStart={handleProcessingStart}
-            isProcessing={isProcessing}
-            documentLoaded={documentLoaded}
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 flex items-start gap-8">
+        <aside className="w-64 flex-shrink-0 hidden lg:block">
+          <ChatHistory
+            activeSessionId={activeSessionId}
+            refreshKey={historyRefreshKey}
+            onSelectSession={handleSelectSession}
+            onSessionDeleted={handleSessionDeleted}
           />
-        )}
-        
-        {currentView === 'chat' && documentLoaded && (
-          <ChatInterface
-            collectionId={collectionId}
-            onReset={handleReset}
-          />
-        )}
+        </aside>
+
+        <div className="flex-1 min-w-0">
+          {currentView === 'upload' && (
+            <div className="space-y-8">
+              <FileUpload
+                onDocumentUploaded={handleDocumentUploaded}
+                onProcessingStart={handleProcessingStart}
+                onProcessingFailed={handleProcessingFailed}
+                isProcessing={isProcessing}
+                documentLoaded={documentLoaded}
+              />
+              <div className="max-w-2xl mx-auto">
+                <DocumentLibrary
+                  onSelectDocument={handleSelectDocument}
+                  onDocumentDeleted={handleDocumentDeleted}
+                  activeDocumentId={collectionId}
+                  refreshKey={libraryRefreshKey}
+                />
+              </div>
+            </div>
+          )}
+          
+          {currentView === 'feedback' && <FeedbackReview />}
+
+          {currentView === 'prompts' && <PromptTemplates />}
+
+          {currentView === 'chat' && documentLoaded && (
+            <ChatInterface
+              key={`${collectionId}-${chatKey}`}
+              collectionId={collectionId}
+              sessionId={activeSessionId}
+              onSessionChange={handleSessionChange}
+              onReset={handleReset}
+            />
+          )}
+        </div>
       </main>
 
       {/* Footer */}
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { MessageSquare, Pencil, Trash2, Check, X, RefreshCw, AlertCircle, Loader2 } from 'lucide-react';
+import { getChatSessions, renameChatSession, deleteChatSession, getErrorMessage } from '../services/api';
+
+// Sidebar listing the workspace's saved conversations, newest activity first
+const ChatHistory = ({ activeSessionId, refreshKey, onSelectSession, onSessionDeleted }) => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Session being renamed and the title typed so far
+  const [editing, setEditing] = useState(null);
+
+  const loadSessions = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await getChatSessions();
+      setSessions(response.data.sessions || []);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load chat history'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, [refreshKey]);
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!editing.title.trim()) return;
+
+    try {
+      const response = await renameChatSession(editing.id, editing.title);
+      setSessions(prev => prev.map(session => (session.id === editing.id ? response.data : session)));
+      setEditing(null);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to rename chat'));
+    }
+  };
+
+  const handleDelete = async (session) => {
+    if (!window.confirm(`Delete "${session.title || 'Untitled chat'}"? This cannot be undone.`)) return;
+
+    try {
+      await deleteChatSession(session.id);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+      onSessionDeleted?.(session.id);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete chat'));
+    }
+  };
+
+  return (
+    <div className="card p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-900">Chat History</h3>
+        <button
+          onClick={loadSessions}
+          className="p-1 text-gray-400 hover:text-gray-600"
+          disabled={isLoading}
+          title="Refresh"
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-2 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="w-4 h-4 text-red-500 mr-2 flex-shrink-0" />
+          <p className="text-xs text-red-700">{error}</p>
+        </div>
+      )}
+
+      {isLoading && sessions.length === 0 ? (
+        <div className="flex items-center justify-center py-4 text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          Loading...
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-xs text-gray-500 text-center py-4">
+          No saved chats yet. Ask a question to start one.
+        </p>
+      ) : (
+        <ul className="space-y-1 max-h-[560px] overflow-y-auto">
+          {sessions.map((session) => (
+            <li
+              key={session.id}
+              className={`group rounded-lg px-2 py-2 ${
+                session.id === activeSessionId ? 'bg-primary-50' : 'hover:bg-gray-50'
+              }`}
+            >
+              {editing?.id === session.id ? (
+                <form onSubmit={handleRename} className="flex items-center space-x-1">
+                  <input
+                    type="text"
+                    value={editing.title}
+                    onChange={(e) => setEditing(prev => ({ ...prev, title: e.target.value }))}
+                    onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+                    className="flex-1 min-w-0 text-sm border border-gray-300 rounded px-1 py-0.5 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    maxLength={200}
+                    autoFocus
+                  />
+                  <button type="submit" className="p-1 text-gray-400 hover:text-gray-600" title="Save">
+                    <Check className="w-3 h-3" />
+                  </button>
+                  <button type="button" onClick={() => setEditing(null)} className="p-1 text-gray-400 hover:text-gray-600" title="Cancel">
+                    <X className="w-3 h-3" />
+                  </button>
+                </form>
+              ) : (
+                <div className="flex items-start">
+                  <button
+                    onClick={() => onSelectSession(session)}
+                    className="flex items-start flex-1 min-w-0 text-left"
+                  >
+                    <MessageSquare className="w-4 h-4 mt-0.5 mr-2 text-gray-400 flex-shrink-0" />
+                    <span className="min-w-0">
+                      <span className="block text-sm font-medium text-gray-900 truncate">
+                        {session.title || 'Untitled chat'}
+                      </span>
+                      <span className="block text-xs text-gray-500 truncate">
+                        {session.documentName} · {new Date(session.updatedAt).toLocaleDateString()}
+                      </span>
+                    </span>
+                  </button>
+                  <div className="hidden group-hover:flex items-center flex-shrink-0">
+                    <button
+                      onClick={() => setEditing({ id: session.id, title: session.title || '' })}
+                      className="p-1 text-gray-400 hover:text-gray-600"
+                      title="Rename"
+                    >
+                      <Pencil className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(session)}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ChatHistory;
@@ -1,14 +1,85 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Send, Bot, User, Loader2, RefreshCw } from 'lucide-react';
-import { sendMessage } from '../services/api';
+import React, { useState, useRef, useEffect, lazy, Suspense } from 'react';
+import { Send, Bot, User, Loader2, Plus, Square, Filter, AlertTriangle, Download, ScanSearch } from 'lucide-react';
+import { sendMessage, getChatSession, exportChatSession, getErrorMessage } from '../services/api';
+import CitedAnswer from './CitedAnswer';
+import FeedbackButtons from './FeedbackButtons';
+import TraceInspector from './TraceInspector';
 
-const ChatInterface = ({ collectionId, onReset }) => {
+// pdf.js is large, so the viewer is only loaded when a source is opened
+const DocumentViewer = lazy(() => import('./DocumentViewer'));
+
+const RETRIEVAL_MODES = [
+  { value: 'hybrid', label: 'Hybrid' },
+  { value: 'vector', label: 'Semantic' },
+  { value: 'keyword', label: 'Keyword' }
+];
+
+const EMPTY_RANGE = { unit: 'pages', from: '', to: '' };
+
+const EXPORT_FORMATS = [
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'json', label: 'JSON' },
+  { value: 'pdf', label: 'PDF' }
+];
+
+const welcomeMessage = () => ({
+  id: 1,
+  type: 'bot',
+  content: 'Hello! I\'m ready to help you with questions about your document. What would you like to know?',
+  timestamp: new Date()
+});
+
+// Saved session messages in the shape this component renders
+const fromSessionMessages = (messages) => messages.map((message, index) => ({
+  id: message.id || `saved-${index}`,
+  messageId: message.role === 'assistant' ? message.id : undefined,
+  traceId: message.traceId || undefined,
+  type: message.role === 'user' ? 'user' : 'bot',
+  content: message.content,
+  timestamp: new Date(message.createdAt),
+  sources: message.sources || [],
+  invalidCitations: message.invalidCitations || []
+}));
+
+// Turn the filter form into the server's filter object, or undefined when it is empty.
+// Only page and row ranges: filename, date and tag filters can't narrow a one-document chat.
+const buildFilter = (range) => {
+  const bounds = {};
+  if (range.from !== '') bounds.from = Number(range.from);
+  if (range.to !== '') bounds.to = Number(range.to);
+
+  return Object.keys(bounds).length > 0 ? { [range.unit]: bounds } : undefined;
+};
+
+const formatUsage = (usage) => {
+  const cost = usage.cost > 0 ? ` · $${usage.cost < 0.01 ? usage.cost.toFixed(4) : usage.cost.toFixed(2)}` : '';
+  return `~${usage.totalTokens.toLocaleString()} tokens${cost}`;
+};
+
+// `sessionId` opens a saved conversation; `onSessionChange` hears about the session
+// the server starts or continues, once each answer is saved
+const ChatInterface = ({ collectionId, sessionId = null, onSessionChange, onReset }) => {
   const [messages, setMessages] = useState([]);
+  const [retrievalMode, setRetrievalMode] = useState('hybrid');
+  const [diverseSources, setDiverseSources] = useState(false);
+  // Ask the server to record a trace of each answer for the Inspect panel
+  const [debugMode, setDebugMode] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [range, setRange] = useState(EMPTY_RANGE);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [isStreaming, setIsStreaming] = useState(false);
+  const [limitNotice, setLimitNotice] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  // Source open in the PDF viewer
+  const [viewerSource, setViewerSource] = useState(null);
+  // Trace open in the inspector
+  const [inspectedTraceId, setInspectedTraceId] = useState(null);
   const messagesEndRef = useRef(null);
-  const eventSourceRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const sessionIdRef = useRef(sessionId);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -19,46 +90,88 @@ const ChatInterface = ({ collectionId, onReset }) => {
   }, [messages]);
 
   useEffect(() => {
-    // Add welcome message
-    setMessages([{
-      id: 1,
-      type: 'bot',
-      content: 'Hello! I\'m ready to help you with questions about your document. What would you like to know?',
-      timestamp: new Date()
-    }]);
+    let cancelled = false;
+    setMessages([welcomeMessage()]);
+
+    // Continue a saved conversation where it left off
+    if (sessionId) {
+      setIsLoading(true);
+      getChatSession(sessionId)
+        .then(response => {
+          if (!cancelled) setMessages([welcomeMessage(), ...fromSessionMessages(response.data.messages)]);
+        })
+        .catch(error => {
+          if (cancelled) return;
+          setLoadError(getErrorMessage(error, 'Could not load this conversation'));
+          sessionIdRef.current = null;
+        })
+        .finally(() => {
+          if (!cancelled) setIsLoading(false);
+        });
+    }
+
+    // Stop any in-flight answer when the chat is closed
+    return () => {
+      cancelled = true;
+      abortControllerRef.current?.abort();
+    };
   }, []);
 
+  // Rate limit notices clear themselves once the server accepts requests again
+  useEffect(() => {
+    if (limitNotice?.code !== 'rate_limited') return;
+
+    const timer = setTimeout(() => setLimitNotice(null), limitNotice.retryAfter * 1000);
+    return () => clearTimeout(timer);
+  }, [limitNotice]);
+
+  const updateBotMessage = (id, update) => {
+    setMessages(prev => prev.map(msg =>
+      msg.id === id ? { ...msg, ...update(msg) } : msg
+    ));
+  };
+
   const handleSendMessage = async (e) => {
     e.preventDefault();
     
     if (!inputMessage.trim() || isLoading || isStreaming) return;
 
+    const question = inputMessage.trim();
     const userMessage = {
       id: Date.now(),
       type: 'user',
-      content: inputMessage.trim(),
+      content: question,
       timestamp: new Date()
     };
 
-    setMessages(prev => [...prev, userMessage]);
+    // Create a new message for the bot response, filled in as tokens arrive
+    const botMessage = {
+      id: Date.now() + 1,
+      type: 'bot',
+      content: '',
+      timestamp: new Date(),
+      sources: []
+    };
+
+    setMessages(prev => [...prev, userMessage, botMessage]);
     setInputMessage('');
+    setLimitNotice(null);
     setIsLoading(true);
     setIsStreaming(true);
 
-    try {
-      // Create a new message for the bot response
-      const botMessage = {
-        id: Date.now() + 1,
-        type: 'bot',
-        content: '',
-        timestamp: new Date(),
-        sources: []
-      };
-
-      setMessages(prev => [...prev, botMessage]);
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
 
+    try {
       // Send message to backend
-      const response = await sendMessage(inputMessage.trim(), collectionId);
+      const response = await sendMessage(question, collectionId, {
+        sessionId: sessionIdRef.current,
+        retrievalMode,
+        mmr: diverseSources,
+        filter: buildFilter(range),
+        trace: debugMode || undefined,
+        signal: abortController.signal
+      });
       
       // Handle streaming response
       if (response.body) {
@@ -81,18 +194,27 @@ const ChatInterface = ({ collectionId, onReset }) => {
                 try {
                   const data = JSON.parse(line.slice(6));
                   
-                  if (data.type === 'answer') {
-                    setMessages(prev => prev.map(msg => 
-                      msg.id === botMessage.id 
-                        ? { ...msg, content: data.answer, sources: data.sources || [] }
-                        : msg
-                    ));
+                  if (data.type === 'start') {
+                    // The server may start a new session, e.g. after a restart
+                    sessionIdRef.current = data.sessionId || sessionIdRef.current;
+                  } else if (data.type === 'sources') {
+                    updateBotMessage(botMessage.id, () => ({ sources: data.sources || [] }));
+                  } else if (data.type === 'token') {
+                    setIsLoading(false);
+                    updateBotMessage(botMessage.id, (msg) => ({ content: msg.content + data.token }));
+                  } else if (data.type === 'trace') {
+                    updateBotMessage(botMessage.id, () => ({ traceId: data.traceId }));
+                  } else if (data.type === 'end') {
+                    updateBotMessage(botMessage.id, () => ({
+                      messageId: data.messageId,
+                      usage: data.usage,
+                      invalidCitations: data.invalidCitations || []
+                    }));
+                    onSessionChange?.(sessionIdRef.current);
                   } else if (data.type === 'error') {
-                    setMessages(prev => prev.map(msg => 
-                      msg.id === botMessage.id 
-                        ? { ...msg, content: 'Sorry, I encountered an error processing your question.' }
-                        : msg
-                    ));
+                    updateBotMessage(botMessage.id, () => ({
+                      content: 'Sorry, I encountered an error processing your question.'
+                    }));
                   }
                 } catch (parseError) {
                   console.error('Error parsing SSE data:', parseError);
@@ -105,18 +227,34 @@ const ChatInterface = ({ collectionId, onReset }) => {
         }
       }
     } catch (error) {
-      console.error('Error sending message:', error);
-      setMessages(prev => prev.map(msg => 
-        msg.id === botMessage.id 
-          ? { ...msg, content: 'Sorry, I encountered an error. Please try again.' }
-          : msg
-      ));
+      if (error.name === 'AbortError') {
+        updateBotMessage(botMessage.id, (msg) => ({
+          content: msg.content ? `${msg.content}\n\n[Stopped]` : 'Stopped.'
+        }));
+      } else if (error.status === 429) {
+        setLimitNotice({ message: error.message, code: error.code, retryAfter: error.retryAfter || 60 });
+        // Drop the unanswered question and give it back to the input
+        setMessages(prev => prev.filter(msg => msg.id !== userMessage.id && msg.id !== botMessage.id));
+        setInputMessage(question);
+      } else {
+        console.error('Error sending message:', error);
+        updateBotMessage(botMessage.id, () => ({
+          content: error.message && error.status
+            ? `Sorry, ${error.message}`
+            : 'Sorry, I encountered an error. Please try again.'
+        }));
+      }
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
       setIsStreaming(false);
     }
   };
 
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -124,15 +262,31 @@ const ChatInterface = ({ collectionId, onReset }) => {
     }
   };
 
-  const clearChat = () => {
-    setMessages([{
-      id: 1,
-      type: 'bot',
-      content: 'Hello! I\'m ready to help you with questions about your document. What would you like to know?',
-      timestamp: new Date()
-    }]);
+  // The current conversation stays in the history instead of being deleted; the next
+  // question is sent without a sessionId, so the server starts a session with no history
+  const newChat = () => {
+    sessionIdRef.current = null;
+    setLoadError(null);
+    setMessages([welcomeMessage()]);
+    onSessionChange?.(null);
   };
 
+  const handleExport = async (format) => {
+    setShowExport(false);
+    setIsExporting(true);
+
+    try {
+      await exportChatSession(sessionIdRef.current, format);
+    } catch (error) {
+      setLoadError(getErrorMessage(error, 'Export failed'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Only answered questions are saved, so there is something to export once one exists
+  const canExport = Boolean(sessionIdRef.current) && messages.some(message => message.type === 'user');
+
   return (
     <div className="max-w-4xl mx-auto">
       <div className="card h-[600px] flex flex-col">
@@ -142,20 +296,128 @@ const ChatInterface = ({ collectionId, onReset }) => {
             Chat with your document
           </h2>
           <div className="flex items-center space-x-2">
+            <select
+              value={retrievalMode}
+              onChange={(e) => setRetrievalMode(e.target.value)}
+              className="text-sm border border-gray-300 rounded-lg px-2 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              disabled={isLoading || isStreaming}
+              title="Retrieval mode"
+            >
+              {RETRIEVAL_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+            <label
+              className="flex items-center text-sm text-gray-600"
+              title="Skip near-duplicate passages when picking sources"
+            >
+              <input
+                type="checkbox"
+                checked={diverseSources}
+                onChange={(e) => setDiverseSources(e.target.checked)}
+                className="mr-1"
+                disabled={isLoading || isStreaming}
+              />
+              Diverse
+            </label>
+            <label
+              className="flex items-center text-sm text-gray-600"
+              title="Record what the model saw for each answer so it can be inspected"
+            >
+              <input
+                type="checkbox"
+                checked={debugMode}
+                onChange={(e) => setDebugMode(e.target.checked)}
+                className="mr-1"
+                disabled={isLoading || isStreaming}
+              />
+              Debug
+            </label>
+            <button
+              onClick={() => setShowFilters(prev => !prev)}
+              className={`btn-secondary text-sm ${buildFilter(range) ? 'ring-2 ring-primary-500' : ''}`}
+              title="Limit answers to part of the document"
+            >
+              <Filter className="w-4 h-4 mr-1" />
+              Filter
+            </button>
+            <div className="relative">
+              <button
+                onClick={() => setShowExport(prev => !prev)}
+                className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={!canExport || isStreaming || isExporting}
+                title="Export this conversation"
+              >
+                {isExporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+              </button>
+              {showExport && (
+                <div className="absolute right-0 z-10 mt-1 w-32 bg-white border border-gray-200 rounded-lg shadow-lg py-1">
+                  {EXPORT_FORMATS.map(format => (
+                    <button
+                      key={format.value}
+                      onClick={() => handleExport(format.value)}
+                      className="block w-full text-left px-3 py-1 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      {format.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
             <button
-              onClick={clearChat}
+              onClick={newChat}
               className="btn-secondary text-sm"
               disabled={isLoading || isStreaming}
             >
-              <RefreshCw className="w-4 h-4 mr-1" />
-              Clear Chat
+              <Plus className="w-4 h-4 mr-1" />
+              New Chat
             </button>
           </div>
         </div>
 
+        {/* Filter builder */}
+        {showFilters && (
+          <div className="flex items-center space-x-2 px-4 py-2 border-b border-gray-200 bg-gray-50 text-sm text-gray-700">
+            <span>Only search</span>
+            <select
+              value={range.unit}
+              onChange={(e) => setRange(prev => ({ ...prev, unit: e.target.value }))}
+              className="border border-gray-300 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="pages">pages</option>
+              <option value="rows">rows</option>
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={range.from}
+              onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+              placeholder="from"
+              className="w-20 border border-gray-300 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+            <span>to</span>
+            <input
+              type="number"
+              min="1"
+              value={range.to}
+              onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+              placeholder="to"
+              className="w-20 border border-gray-300 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+            {buildFilter(range) && (
+              <button
+                onClick={() => setRange(EMPTY_RANGE)}
+                className="text-primary-600 hover:text-primary-700"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Messages */}
         <div className="flex-1 overflow-y-auto p-4 space-y-4">
-          {messages.map((message) => (
+          {messages.filter(message => message.content || message.sources?.length > 0).map((message) => (
             <div
               key={message.id}
               className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}
@@ -175,16 +437,33 @@ const ChatInterface = ({ collectionId, onReset }) => {
                     <User className="w-5 h-5 mt-0.5 flex-shrink-0" />
                   )}
                   <div className="flex-1">
-                    <p className="whitespace-pre-wrap">{message.content}</p>
-                    {message.sources && message.sources.length > 0 && (
-                      <div className="mt-2 pt-2 border-t border-gray-300">
-                        <p className="text-xs font-medium text-gray-600 mb-1">Sources:</p>
-                        {message.sources.map((source, index) => (
-                          <div key={index} className="text-xs text-gray-500 bg-gray-50 p-2 rounded mb-1">
-                            {source.content}
-                          </div>
-                        ))}
-                      </div>
+                    {message.type === 'bot' ? (
+                      <CitedAnswer
+                        content={message.content}
+                        sources={message.sources}
+                        invalidCitations={message.invalidCitations}
+                        onOpenSource={setViewerSource}
+                      />
+                    ) : (
+                      <p className="whitespace-pre-wrap">{message.content}</p>
+                    )}
+                    {message.usage && (
+                      <p className="mt-1 text-xs text-gray-400" title="Estimated tokens and cost of this answer">
+                        {formatUsage(message.usage)}
+                      </p>
+                    )}
+                    {message.messageId && sessionIdRef.current && (
+                      <FeedbackButtons sessionId={sessionIdRef.current} messageId={message.messageId} />
+                    )}
+                    {message.traceId && (
+                      <button
+                        onClick={() => setInspectedTraceId(message.traceId)}
+                        className="flex items-center mt-1 text-xs text-gray-500 hover:text-gray-700"
+                        title="Show the query, retrieved chunks, prompt and timings behind this answer"
+                      >
+                        <ScanSearch className="w-3 h-3 mr-1" />
+                        Inspect
+                      </button>
                     )}
                   </div>
                 </div>
@@ -192,7 +471,7 @@ const ChatInterface = ({ collectionId, onReset }) => {
             </div>
           ))}
           
-          {(isLoading || isStreaming) && (
+          {isLoading && (
             <div className="flex justify-start">
               <div className="bg-gray-100 rounded-lg px-4 py-2">
                 <div className="flex items-center space-x-2">
@@ -209,6 +488,18 @@ const ChatInterface = ({ collectionId, onReset }) => {
 
         {/* Input */}
         <div className="p-4 border-t border-gray-200">
+          {loadError && (
+            <div className="flex items-center mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {loadError}
+            </div>
+          )}
+          {limitNotice && (
+            <div className="flex items-center mb-3 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+              <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {limitNotice.message}
+            </div>
+          )}
           <form onSubmit={handleSendMessage} className="flex space-x-2">
             <input
               type="text"
@@ -219,17 +510,44 @@ const ChatInterface = ({ collectionId, onReset }) => {
               className="flex-1 input-field"
               disabled={isLoading || isStreaming}
             />
-            <button
-              type="submit"
-              disabled={!inputMessage.trim() || isLoading || isStreaming}
-              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              <Send className="w-4 h-4" />
-            </button>
+            {isStreaming ? (
+              <button
+                type="button"
+                onClick={stopGeneration}
+                className="btn-secondary"
+                title="Stop generating"
+              >
+                <Square className="w-4 h-4" />
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!inputMessage.trim() || isLoading}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Send className="w-4 h-4" />
+              </button>
+            )}
           </form>
         </div>
       </div>
 
+      {viewerSource && (
+        <Suspense fallback={null}>
+          <DocumentViewer
+            documentId={viewerSource.metadata.collectionId || collectionId}
+            filename={viewerSource.metadata.filename}
+            page={viewerSource.metadata.pageStart || 1}
+            highlightText={viewerSource.content}
+            onClose={() => setViewerSource(null)}
+          />
+        </Suspense>
+      )}
+
+      {inspectedTraceId && (
+        <TraceInspector traceId={inspectedTraceId} onClose={() => setInspectedTraceId(null)} />
+      )}
+
       {/* Tips */}
       <div className="mt-6 bg-gray-50 border border-gray-200 rounded-lg p-4">
         <h3 className="text-sm font-semibold text-gray-900 mb-2">Tips for better results:</h3>
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { FileText, X, BookOpen } from 'lucide-react';
+
+// Same markers the server recognises: [1], [2] or [1, 3]
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Split an answer into text and citation parts: [{ text } | { numbers }]
+const splitCitations = (content) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of content.matchAll(CITATION_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ text: content.slice(lastIndex, match.index) });
+    }
+    parts.push({ numbers: match[1].split(',').map(number => Number(number.trim())) });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < content.length) {
+    parts.push({ text: content.slice(lastIndex) });
+  }
+
+  return parts;
+};
+
+const describeSource = (source) => [source.metadata?.filename, source.pageLabel, source.metadata?.section].filter(Boolean).join(' · ');
+
+// An answer with clickable [n] chips for the sources it cites, and the list of
+// retrieved sources. Clicking a chip or a source shows the full chunk; PDF sources
+// can also be opened in the document viewer through `onOpenSource`.
+const CitedAnswer = ({ content, sources = [], invalidCitations = [], onOpenSource }) => {
+  const [activeCitation, setActiveCitation] = useState(null);
+
+  const sourceByNumber = new Map(sources.map(source => [source.citation, source]));
+  const citedNumbers = new Set(
+    splitCitations(content).flatMap(part => part.numbers || []).filter(number => sourceByNumber.has(number))
+  );
+  const activeSource = sourceByNumber.get(activeCitation);
+
+  const toggle = (number) => setActiveCitation(current => (current === number ? null : number));
+
+  const renderChip = (number) => (
+    <button
+      key={number}
+      type="button"
+      onClick={() => toggle(number)}
+      className={`inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 mx-0.5 align-text-top text-xs font-medium rounded ${
+        activeCitation === number
+          ? 'bg-primary-600 text-white'
+          : 'bg-primary-100 text-primary-700 hover:bg-primary-200'
+      }`}
+      title={describeSource(sourceByNumber.get(number))}
+    >
+      {number}
+    </button>
+  );
+
+  return (
+    <div>
+      <p className="whitespace-pre-wrap">
+        {splitCitations(content).map((part, index) => {
+          if (part.text !== undefined) {
+            return <React.Fragment key={index}>{part.text}</React.Fragment>;
+          }
+
+          // Numbers without a matching source are dropped rather than shown as broken links
+          const valid = part.numbers.filter(number => sourceByNumber.has(number) && !invalidCitations.includes(number));
+          return <React.Fragment key={index}>{valid.map(renderChip)}</React.Fragment>;
+        })}
+      </p>
+
+      {activeSource && (
+        <div className="mt-2 p-3 bg-white border border-primary-200 rounded-lg text-sm">
+          <div className="flex items-start justify-between mb-1">
+            <p className="flex items-center font-medium text-gray-800">
+              <FileText className="w-4 h-4 mr-1 flex-shrink-0" />
+              [{activeSource.citation}] {describeSource(activeSource) || 'Source'}
+            </p>
+            <button
+              type="button"
+              onClick={() => setActiveCitation(null)}
+              className="text-gray-400 hover:text-gray-600 ml-2"
+              title="Close"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <p className="whitespace-pre-wrap text-gray-700 max-h-60 overflow-y-auto">{activeSource.content}</p>
+          {onOpenSource && activeSource.metadata?.format === 'pdf' && (
+            <button
+              type="button"
+              onClick={() => onOpenSource(activeSource)}
+              className="flex items-center mt-2 text-xs font-medium text-primary-600 hover:text-primary-700"
+            >
+              <BookOpen className="w-3 h-3 mr-1" />
+              View in document
+            </button>
+          )}
+        </div>
+      )}
+
+      {sources.length > 0 && (
+        <div className="mt-2 pt-2 border-t border-gray-300">
+          <p className="text-xs font-medium text-gray-600 mb-1">Sources:</p>
+          <div className="flex flex-wrap gap-1">
+            {sources.map(source => (
+              <button
+                key={source.id}
+                type="button"
+                onClick={() => toggle(source.citation)}
+                className={`text-xs text-left px-2 py-1 rounded border ${
+                  activeCitation === source.citation
+                    ? 'border-primary-400 bg-primary-50 text-primary-800'
+                    : citedNumbers.has(source.citation)
+                      ? 'border-gray-300 bg-gray-50 text-gray-700 hover:bg-white'
+                      : 'border-gray-200 bg-gray-50 text-gray-400 hover:text-gray-600'
+                }`}
+                title={citedNumbers.has(source.citation) ? 'Cited in the answer' : 'Retrieved but not cited'}
+              >
+                <span className="font-medium">[{source.citation}]</span> {describeSource(source)}
+                {source.distance != null && (
+                  <span className="ml-1 text-gray-400" title="Distance from the question (lower is closer)">
+                    {source.distance.toFixed(3)}
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CitedAnswer;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, MessageCircle, Trash2, RefreshCw, RotateCcw, AlertCircle, Loader2 } from 'lucide-react';
+import { getDocuments, deleteDocument, reindexDocument, getErrorMessage } from '../services/api';
+
+const statusStyles = {
+  ready: 'bg-green-100 text-green-800',
+  processing: 'bg-blue-100 text-blue-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const DocumentLibrary = ({ onSelectDocument, onDocumentDeleted, activeDocumentId, refreshKey }) => {
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadDocuments = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await getDocuments();
+      setDocuments(response.data.documents || []);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load documents'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDocuments();
+  }, [refreshKey]);
+
+  const handleDelete = async (document) => {
+    if (!window.confirm(`Delete "${document.filename}"? This cannot be undone.`)) return;
+
+    try {
+      await deleteDocument(document.id);
+      setDocuments(prev => prev.filter(doc => doc.id !== document.id));
+      onDocumentDeleted?.(document.id);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete document'));
+    }
+  };
+
+  // Replays the document's recorded chunking; the library shows it as processing until the job ends
+  const handleReindex = async (document) => {
+    if (!window.confirm(`Re-index "${document.filename}"? It can't be chatted with until indexing finishes.`)) return;
+
+    try {
+      const response = await reindexDocument(document.id);
+      setDocuments(prev => prev.map(doc => (doc.id === document.id ? response.data.document : doc)));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to re-index document'));
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Document Library</h3>
+        <button
+          onClick={loadDocuments}
+          className="btn-secondary text-sm"
+          disabled={isLoading}
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="w-4 h-4 text-red-500 mr-2" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {isLoading && documents.length === 0 ? (
+        <div className="flex items-center justify-center py-6 text-gray-500">
+          <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+          Loading documents...
+        </div>
+      ) : documents.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          No documents yet. Upload one to get started.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {documents.map((document) => (
+            <li
+              key={document.id}
+              className={`flex items-center justify-between py-3 ${
+                document.id === activeDocumentId ? 'bg-primary-50 -mx-2 px-2 rounded' : ''
+              }`}
+            >
+              <div className="flex items-center space-x-3 min-w-0">
+                <FileText className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{document.filename}</p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(document.uploadedAt).toLocaleString()} · {document.chunkCount} chunks
+                  </p>
+                  {document.tags?.length > 0 && (
+                    <p className="text-xs text-gray-500 truncate">
+                      {document.tags.map(tag => `#${tag}`).join(' ')}
+                    </p>
+                  )}
+                  {document.status === 'failed' && document.error && (
+                    <p className="text-xs text-red-600 truncate">{document.error}</p>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                <span className={`text-xs font-medium px-2 py-0.5 rounded ${statusStyles[document.status] || 'bg-gray-100 text-gray-800'}`}>
+                  {document.status}
+                </span>
+                <button
+                  onClick={() => onSelectDocument(document)}
+                  className="btn-primary text-sm py-1 px-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={document.status !== 'ready'}
+                  title="Chat with this document"
+                >
+                  <MessageCircle className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleReindex(document)}
+                  className="btn-secondary text-sm py-1 px-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={document.status === 'processing'}
+                  title="Re-index with the recorded chunking"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(document)}
+                  className="btn-secondary text-sm py-1 px-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                  disabled={document.status === 'processing'}
+                  title="Delete document"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DocumentLibrary;
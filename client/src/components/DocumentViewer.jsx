@@ -0,0 +1,213 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { X, ChevronLeft, ChevronRight, Loader2, AlertCircle } from 'lucide-react';
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
+import { getDocumentFile, getErrorMessage } from '../services/api';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// Only a few dozen characters are needed to find where a chunk starts or ends on a page
+const ANCHOR_LENGTH = 40;
+
+// Find the text items of a page that belong to `chunkText`. Whitespace is ignored
+// because the server's extraction and pdf.js join items slightly differently.
+// A chunk can start on an earlier page or end on a later one, so either end may anchor it.
+const findHighlightedItems = (items, chunkText) => {
+  const chars = [];
+  const owners = [];
+
+  items.forEach((item, index) => {
+    for (const char of item.str.toLowerCase().replace(/\s+/g, '')) {
+      chars.push(char);
+      owners.push(index);
+    }
+  });
+
+  const pageText = chars.join('');
+  const chunk = chunkText.toLowerCase().replace(/\s+/g, '');
+  let start = pageText.indexOf(chunk.slice(0, ANCHOR_LENGTH));
+  let end = start >= 0 ? Math.min(start + chunk.length, pageText.length) : -1;
+
+  if (start < 0) {
+    const tail = chunk.slice(-ANCHOR_LENGTH);
+    const tailIndex = pageText.indexOf(tail);
+    if (tailIndex < 0) {
+      return new Set();
+    }
+    end = tailIndex + tail.length;
+    start = Math.max(end - chunk.length, 0);
+  }
+
+  return new Set(owners.slice(start, end));
+};
+
+// Side panel showing one page of a PDF with the retrieved chunk highlighted
+const DocumentViewer = ({ documentId, filename, page = 1, highlightText, onClose }) => {
+  const [pdf, setPdf] = useState(null);
+  const [pageNumber, setPageNumber] = useState(page);
+  const [highlights, setHighlights] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const canvasRef = useRef(null);
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    setPageNumber(page);
+  }, [page, highlightText]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loadingTask = null;
+
+    const load = async () => {
+      setIsLoading(true);
+      setError(null);
+      setPdf(null);
+
+      try {
+        const response = await getDocumentFile(documentId);
+        if (cancelled) return;
+
+        loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(response.data) });
+        const loaded = await loadingTask.promise;
+        if (!cancelled) setPdf(loaded);
+      } catch (err) {
+        if (!cancelled) setError(getErrorMessage(err, 'Could not open the document'));
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      loadingTask?.destroy();
+    };
+  }, [documentId]);
+
+  useEffect(() => {
+    if (!pdf) return;
+
+    let renderTask = null;
+    let cancelled = false;
+
+    const render = async () => {
+      setHighlights([]);
+      const pdfPage = await pdf.getPage(pageNumber);
+      if (cancelled) return;
+
+      // Fit the page to the panel's width
+      const availableWidth = scrollRef.current.clientWidth - 32;
+      const viewport = pdfPage.getViewport({ scale: availableWidth / pdfPage.getViewport({ scale: 1 }).width });
+      const canvas = canvasRef.current;
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+
+      renderTask = pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport });
+      await renderTask.promise;
+      if (cancelled) return;
+
+      if (!highlightText) {
+        setHighlights([]);
+        return;
+      }
+
+      // Place a box over every text item of the chunk, the way pdf.js positions its text layer
+      const { items } = await pdfPage.getTextContent();
+      const highlighted = findHighlightedItems(items, highlightText);
+      const boxes = items
+        .filter((item, index) => highlighted.has(index) && item.str.trim())
+        .map(item => {
+          const [, , c, d, left, baseline] = pdfjsLib.Util.transform(viewport.transform, item.transform);
+          const height = Math.hypot(c, d);
+          return { left, top: baseline - height, width: item.width * viewport.scale, height };
+        });
+
+      if (cancelled) return;
+      setHighlights(boxes);
+
+      if (boxes.length > 0) {
+        scrollRef.current.scrollTop = Math.max(Math.min(...boxes.map(box => box.top)) - 48, 0);
+      }
+    };
+
+    render().catch(err => {
+      if (err?.name !== 'RenderingCancelledException') {
+        console.error('Error rendering page:', err);
+        setError('Could not render this page');
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, highlightText]);
+
+  const pageCount = pdf?.numPages || 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <div
+        className="w-full max-w-3xl h-full bg-white shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="font-semibold text-gray-900 truncate mr-4">{filename}</h2>
+          <div className="flex items-center space-x-2 flex-shrink-0">
+            <button
+              onClick={() => setPageNumber(number => number - 1)}
+              disabled={!pdf || pageNumber <= 1}
+              className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Previous page"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <span className="text-sm text-gray-600">
+              {pageCount > 0 ? `Page ${pageNumber} of ${pageCount}` : ''}
+            </span>
+            <button
+              onClick={() => setPageNumber(number => number + 1)}
+              disabled={!pdf || pageNumber >= pageCount}
+              className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Next page"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+            <button onClick={onClose} className="btn-secondary" title="Close">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        <div ref={scrollRef} className="flex-1 overflow-auto bg-gray-100 p-4">
+          {isLoading && (
+            <div className="flex items-center justify-center h-full text-gray-600">
+              <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+              Loading document...
+            </div>
+          )}
+          {error && (
+            <div className="flex items-center p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+          <div className={`relative mx-auto w-fit shadow ${pdf && !error ? '' : 'hidden'}`}>
+            <canvas ref={canvasRef} className="block" />
+            {highlights.map((box, index) => (
+              <div
+                key={index}
+                className="absolute bg-yellow-300 opacity-40 pointer-events-none"
+                style={{ left: box.left, top: box.top, width: box.width, height: box.height }}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentViewer;
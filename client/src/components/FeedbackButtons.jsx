@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { ThumbsUp, ThumbsDown, Send } from 'lucide-react';
+import { sendFeedback, getErrorMessage } from '../services/api';
+
+// Thumbs up/down under an answer. A rating is saved right away; the comment
+// box that follows is optional and sends the same rating with the comment.
+const FeedbackButtons = ({ sessionId, messageId }) => {
+  const [rating, setRating] = useState(null);
+  const [comment, setComment] = useState('');
+  const [showComment, setShowComment] = useState(false);
+  const [commentSent, setCommentSent] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (nextRating, nextComment) => {
+    setIsSending(true);
+    setError(null);
+
+    try {
+      await sendFeedback({ sessionId, messageId, rating: nextRating, comment: nextComment || null });
+      return true;
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not save your feedback'));
+      return false;
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleRate = async (value) => {
+    if (value === rating || isSending) return;
+
+    if (await submit(value, commentSent ? comment : null)) {
+      setRating(value);
+      setShowComment(!commentSent);
+    }
+  };
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    if (!comment.trim()) return;
+
+    if (await submit(rating, comment.trim())) {
+      setCommentSent(true);
+      setShowComment(false);
+    }
+  };
+
+  const buttonClass = (value) => `p-1 rounded ${
+    rating === value ? 'text-primary-600 bg-primary-50' : 'text-gray-400 hover:text-gray-600'
+  }`;
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center space-x-1">
+        <button
+          type="button"
+          onClick={() => handleRate('up')}
+          className={buttonClass('up')}
+          disabled={isSending}
+          title="Good answer"
+        >
+          <ThumbsUp className="w-3 h-3" />
+        </button>
+        <button
+          type="button"
+          onClick={() => handleRate('down')}
+          className={buttonClass('down')}
+          disabled={isSending}
+          title="Bad answer"
+        >
+          <ThumbsDown className="w-3 h-3" />
+        </button>
+        {commentSent && <span className="text-xs text-gray-400">Thanks for the feedback</span>}
+        {error && <span className="text-xs text-red-600">{error}</span>}
+      </div>
+
+      {showComment && (
+        <form onSubmit={handleComment} className="flex items-center mt-1 space-x-1">
+          <input
+            type="text"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder={rating === 'down' ? 'What was wrong? (optional)' : 'Add a comment (optional)'}
+            className="flex-1 text-xs border border-gray-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            maxLength={2000}
+          />
+          <button
+            type="submit"
+            className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-50"
+            disabled={!comment.trim() || isSending}
+            title="Send comment"
+          >
+            <Send className="w-3 h-3" />
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackButtons;
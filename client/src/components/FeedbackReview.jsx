@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { ThumbsUp, ThumbsDown, RefreshCw, AlertCircle, Loader2, ChevronDown, ChevronRight } from 'lucide-react';
+import { getFeedback, getErrorMessage } from '../services/api';
+
+const FILTERS = [
+  { value: 'down', label: 'Low-rated' },
+  { value: 'up', label: 'Liked' },
+  { value: '', label: 'All' }
+];
+
+const describeSource = (source) => [source.metadata?.filename, source.pageLabel, source.metadata?.section].filter(Boolean).join(' · ');
+
+// Query, mode and the settings that shaped retrieval, e.g. "k 5 · hybrid · maxDistance 1.2"
+const describeRetrieval = (retrieval) => Object.entries(retrieval)
+  .filter(([key, value]) => key !== 'query' && value !== null && value !== undefined && typeof value !== 'object')
+  .map(([key, value]) => `${key} ${value}`)
+  .join(' · ');
+
+// One rated answer, expandable to the chunks and prompt behind it
+const FeedbackEntry = ({ entry }) => {
+  const [expanded, setExpanded] = useState(false);
+  const cited = new Set(entry.citations.map(citation => citation.sourceId));
+
+  return (
+    <li className="py-4">
+      <div className="flex items-start space-x-3">
+        {entry.rating === 'down' ? (
+          <ThumbsDown className="w-4 h-4 mt-1 text-red-500 flex-shrink-0" />
+        ) : (
+          <ThumbsUp className="w-4 h-4 mt-1 text-green-600 flex-shrink-0" />
+        )}
+        <div className="min-w-0 flex-1">
+          <p className="text-sm font-medium text-gray-900">{entry.question}</p>
+          <p className="text-xs text-gray-500">
+            {entry.documentName} · {entry.username || 'API key'} · {new Date(entry.updatedAt).toLocaleString()}
+          </p>
+          {entry.comment && (
+            <p className="mt-2 text-sm text-gray-800 bg-amber-50 border border-amber-200 rounded px-2 py-1">
+              “{entry.comment}”
+            </p>
+          )}
+          <p className="mt-2 text-sm text-gray-700 whitespace-pre-wrap">{entry.answer}</p>
+
+          <button
+            onClick={() => setExpanded(prev => !prev)}
+            className="flex items-center mt-2 text-xs font-medium text-primary-600 hover:text-primary-700"
+          >
+            {expanded ? <ChevronDown className="w-3 h-3 mr-1" /> : <ChevronRight className="w-3 h-3 mr-1" />}
+            Retrieval context ({entry.chunkIds.length} chunks)
+          </button>
+
+          {expanded && (
+            <div className="mt-2 space-y-2 text-xs">
+              {entry.retrieval && (
+                <p className="text-gray-600">
+                  <span className="font-medium">Query:</span> {entry.retrieval.query}
+                  {describeRetrieval(entry.retrieval) && <span className="text-gray-400"> · {describeRetrieval(entry.retrieval)}</span>}
+                </p>
+              )}
+              {entry.invalidCitations.length > 0 && (
+                <p className="text-red-600">Cited sources that were not retrieved: {entry.invalidCitations.join(', ')}</p>
+              )}
+              {entry.sources.length === 0 && (
+                <p className="text-gray-500">No chunk was close enough to the question.</p>
+              )}
+              {entry.sources.map(source => (
+                <div key={source.id} className="p-2 bg-gray-50 border border-gray-200 rounded">
+                  <p className="font-medium text-gray-700">
+                    [{source.citation}] {describeSource(source)}
+                    <span className="ml-1 font-normal text-gray-400">
+                      {cited.has(source.id) ? 'cited' : 'not cited'}
+                      {source.distance != null && ` · distance ${source.distance.toFixed(3)}`}
+                      {source.score != null && ` · score ${source.score.toFixed(3)}`}
+                    </span>
+                  </p>
+                  <p className="mt-1 text-gray-600 whitespace-pre-wrap max-h-40 overflow-y-auto">{source.content}</p>
+                  <p className="mt-1 text-gray-400 font-mono">{source.id}</p>
+                </div>
+              ))}
+              {entry.prompt && (
+                <details>
+                  <summary className="cursor-pointer text-gray-600">Prompt</summary>
+                  <pre className="mt-1 p-2 bg-gray-50 border border-gray-200 rounded whitespace-pre-wrap max-h-80 overflow-y-auto">{entry.prompt}</pre>
+                </details>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+};
+
+// Admin view of rated answers, low-rated first by default, for diagnosing chunking and retrieval failures
+const FeedbackReview = () => {
+  const [rating, setRating] = useState('down');
+  const [data, setData] = useState({ totals: { up: 0, down: 0 }, feedback: [] });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadFeedback = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await getFeedback(rating ? { rating } : {});
+      setData(response.data);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load feedback'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadFeedback();
+  }, [rating]);
+
+  return (
+    <div className="card p-6 max-w-4xl mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Answer Feedback</h3>
+          <p className="text-sm text-gray-500">
+            {data.totals.down} low-rated · {data.totals.up} liked
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={rating}
+            onChange={(e) => setRating(e.target.value)}
+            className="text-sm border border-gray-300 rounded-lg px-2 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {FILTERS.map(filter => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadFeedback}
+            className="btn-secondary text-sm"
+            disabled={isLoading}
+          >
+            <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+          <AlertCircle className="w-4 h-4 text-red-500 mr-2" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {isLoading && data.feedback.length === 0 ? (
+        <div className="flex items-center justify-center py-6 text-gray-500">
+          <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+          Loading feedback...
+        </div>
+      ) : data.feedback.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">No feedback yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {data.feedback.map(entry => <FeedbackEntry key={entry.id} entry={entry} />)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackReview;
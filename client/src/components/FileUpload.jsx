@@ -1,13 +1,68 @@
-import React, { useState, useRef } from 'react';
-import { Upload, FileText, CheckCircle, AlertCircle, Loader2 } from 'lucide-react';
-import { uploadDocument } from '../services/api';
+import React, { useState, useRef, useEffect } from 'react';
+import { Upload, FileText, CheckCircle, AlertCircle, AlertTriangle, Loader2, Circle, XCircle } from 'lucide-react';
+import { uploadDocument, getJob, subscribeToJob, getServerConfig, getErrorMessage } from '../services/api';
 
-const FileUpload = ({ onDocumentUploaded, onProcessingStart, isProcessing, documentLoaded }) => {
+const STAGE_LABELS = {
+  parsing: 'Parsing',
+  chunking: 'Chunking',
+  embedding: 'Embedding',
+  indexing: 'Indexing'
+};
+
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// Used until the server's MAX_UPLOAD_MB has been loaded
+const DEFAULT_MAX_UPLOAD_MB = 10;
+
+// Keep in sync with the server's loader registry
+const ACCEPTED_EXTENSIONS = ['.pdf', '.docx', '.md', '.markdown', '.html', '.htm', '.txt', '.csv'];
+
+// An empty value lets the server pick the strategy for the file's format
+const CHUNKING_STRATEGIES = [
+  { value: '', label: 'Automatic chunking' },
+  { value: 'character', label: 'By characters' },
+  { value: 'token', label: 'By tokens' },
+  { value: 'sentence', label: 'By sentences' },
+  { value: 'heading', label: 'By headings / sections' },
+  { value: 'semantic', label: 'Semantic (by topic shifts)' }
+];
+
+const getExtension = (filename) => {
+  const index = filename.lastIndexOf('.');
+  return index === -1 ? '' : filename.slice(index).toLowerCase();
+};
+
+const StageIcon = ({ status }) => {
+  if (status === 'completed') return <CheckCircle className="w-4 h-4 text-green-500" />;
+  if (status === 'running') return <Loader2 className="w-4 h-4 text-blue-500 animate-spin" />;
+  if (status === 'failed') return <XCircle className="w-4 h-4 text-red-500" />;
+  return <Circle className="w-4 h-4 text-gray-300" />;
+};
+
+const FileUpload = ({ onDocumentUploaded, onProcessingStart, onProcessingFailed, isProcessing, documentLoaded }) => {
   const [dragActive, setDragActive] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [uploadStatus, setUploadStatus] = useState(null);
   const [error, setError] = useState(null);
+  // Set when the server refused the upload over a rate limit or quota (HTTP 429)
+  const [limitReached, setLimitReached] = useState(false);
+  const [job, setJob] = useState(null);
+  const [tags, setTags] = useState('');
+  const [chunkingStrategy, setChunkingStrategy] = useState('');
+  const [chunkSize, setChunkSize] = useState('');
+  const [maxUploadMb, setMaxUploadMb] = useState(DEFAULT_MAX_UPLOAD_MB);
   const fileInputRef = useRef(null);
+  const stopWatchingRef = useRef(null);
+
+  // Stop following job progress when the component goes away
+  useEffect(() => () => stopWatchingRef.current?.(), []);
+
+  // Match the server's upload size limit; the default stays if /config can't be read
+  useEffect(() => {
+    getServerConfig()
+      .then(response => setMaxUploadMb(response.data.settings.uploads.maxFileSizeMb))
+      .catch(() => {});
+  }, []);
 
   const handleDrag = (e) => {
     e.preventDefault();
@@ -36,13 +91,15 @@ const FileUpload = ({ onDocumentUploaded, onProcessingStart, isProcessing, docum
   };
 
   const handleFile = (file) => {
-    if (file.type !== 'application/pdf') {
-      setError('Please select a PDF file');
+    setLimitReached(false);
+
+    if (!ACCEPTED_EXTENSIONS.includes(getExtension(file.name))) {
+      setError('Please select a PDF, Word, Markdown, HTML, text or CSV file');
       return;
     }
     
-    if (file.size > 10 * 1024 * 1024) { // 10MB limit
-      setError('File size must be less than 10MB');
+    if (file.size > maxUploadMb * 1024 * 1024) {
+      setError(`File size must be less than ${maxUploadMb}MB`);
       return;
     }
 
@@ -51,31 +108,98 @@ const FileUpload = ({ onDocumentUploaded, onProcessingStart, isProcessing, docum
     setUploadStatus(null);
   };
 
+  const handleJobUpdate = (currentJob) => {
+    setJob(currentJob);
+
+    if (currentJob.status === 'completed') {
+      stopWatchingRef.current?.();
+      setUploadStatus('success');
+      onDocumentUploaded(currentJob.result);
+    } else if (currentJob.status === 'failed') {
+      stopWatchingRef.current?.();
+      setError(currentJob.error || 'Processing failed');
+      setUploadStatus('error');
+      onProcessingFailed?.();
+    }
+  };
+
+  // Poll the job when the progress stream is unavailable
+  const pollJob = (jobId) => {
+    const interval = setInterval(async () => {
+      try {
+        const response = await getJob(jobId);
+        handleJobUpdate(response.data);
+      } catch (err) {
+        clearInterval(interval);
+        setError(getErrorMessage(err, 'Lost track of document processing'));
+        setUploadStatus('error');
+        onProcessingFailed?.();
+      }
+    }, JOB_POLL_INTERVAL_MS);
+
+    stopWatchingRef.current = () => clearInterval(interval);
+  };
+
+  const watchJob = (jobId) => {
+    stopWatchingRef.current = subscribeToJob(jobId, {
+      onProgress: handleJobUpdate,
+      onError: () => pollJob(jobId)
+    });
+  };
+
   const handleUpload = async () => {
     if (!selectedFile) return;
 
     setError(null);
+    setLimitReached(false);
+    setJob(null);
     setUploadStatus('uploading');
     onProcessingStart();
 
     try {
       const formData = new FormData();
       formData.append('document', selectedFile);
+      if (tags.trim()) {
+        formData.append('tags', tags);
+      }
+      if (chunkingStrategy) {
+        formData.append('chunkingStrategy', chunkingStrategy);
+      }
+      if (chunkSize) {
+        formData.append('chunkSize', chunkSize);
+      }
 
       const response = await uploadDocument(formData);
-      
-      setUploadStatus('success');
-      onDocumentUploaded(response.data);
+
+      // A file that was uploaded before opens the existing document
+      if (response.data.duplicate && !response.data.jobId) {
+        setUploadStatus('success');
+        onDocumentUploaded(response.data);
+        return;
+      }
+
+      // The server answers right away; processing continues as a background job
+      setUploadStatus('processing');
+      watchJob(response.data.jobId);
     } catch (err) {
-      setError(err.response?.data?.error || 'Upload failed');
+      // Rate limit and quota messages already say when to try again
+      setError(getErrorMessage(err, 'Upload failed'));
+      setLimitReached(err.response?.status === 429);
       setUploadStatus('error');
+      onProcessingFailed?.();
     }
   };
 
   const handleReset = () => {
+    stopWatchingRef.current?.();
     setSelectedFile(null);
     setUploadStatus(null);
     setError(null);
+    setLimitReached(false);
+    setJob(null);
+    setTags('');
+    setChunkingStrategy('');
+    setChunkSize('');
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
@@ -88,7 +212,7 @@ const FileUpload = ({ onDocumentUploaded, onProcessingStart, isProcessing, docum
           Upload Your Document
         </h2>
         <p className="text-lg text-gray-600">
-          Upload a PDF document to start chatting with it using AI
+          Upload a document to start chatting with it using AI
         </p>
       </div>
 
@@ -110,7 +234,7 @@ const FileUpload = ({ onDocumentUploaded, onProcessingStart, isProcessing, docum
           <input
             ref={fileInputRef}
             type="file"
-            accept=".pdf"
+            accept={ACCEPTED_EXTENSIONS.join(',')}
             onChange={handleFileInput}
             className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
             disabled={isProcessing}
@@ -140,10 +264,10 @@ const FileUpload = ({ onDocumentUploaded, onProcessingStart, isProcessing, docum
               ) : (
                 <div>
                   <p className="text-lg font-medium text-gray-900">
-                    Drop your PDF here, or click to browse
+                    Drop your document here, or click to browse
                   </p>
                   <p className="text-sm text-gray-500">
-                    Supports PDF files up to 10MB
+                    Supports PDF, Word (.docx), Markdown, HTML, text and CSV files up to {maxUploadMb}MB
                   </p>
                 </div>
               )}
@@ -151,23 +275,90 @@ const FileUpload = ({ onDocumentUploaded, onProcessingStart, isProcessing, docum
           </div>
         </div>
 
+        {/* Tags and chunking options */}
+        {selectedFile && uploadStatus !== 'success' && (
+          <div className="mt-4 space-y-2">
+            <input
+              type="text"
+              value={tags}
+              onChange={(e) => setTags(e.target.value)}
+              placeholder="Tags, comma separated (optional)"
+              className="input-field"
+              disabled={isProcessing}
+            />
+            <div className="flex space-x-2">
+              <select
+                value={chunkingStrategy}
+                onChange={(e) => setChunkingStrategy(e.target.value)}
+                className="input-field"
+                disabled={isProcessing}
+              >
+                {CHUNKING_STRATEGIES.map(strategy => (
+                  <option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="50"
+                value={chunkSize}
+                onChange={(e) => setChunkSize(e.target.value)}
+                placeholder={chunkingStrategy === 'token' ? 'Chunk size (tokens)' : 'Chunk size (characters)'}
+                className="input-field"
+                disabled={isProcessing}
+              />
+            </div>
+          </div>
+        )}
+
         {/* Error Message */}
-        {error && (
+        {error && (limitReached ? (
+          <div className="mt-4 p-4 bg-amber-50 border border-amber-200 rounded-lg">
+            <div className="flex items-center">
+              <AlertTriangle className="w-5 h-5 text-amber-500 mr-2" />
+              <p className="text-amber-800">{error}</p>
+            </div>
+          </div>
+        ) : (
           <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
             <div className="flex items-center">
               <AlertCircle className="w-5 h-5 text-red-500 mr-2" />
               <p className="text-red-700">{error}</p>
             </div>
           </div>
-        )}
+        ))}
 
         {/* Upload Status */}
         {uploadStatus === 'uploading' && (
           <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
             <div className="flex items-center justify-center">
               <Loader2 className="w-5 h-5 text-blue-500 mr-2 animate-spin" />
-              <p className="text-blue-700">Processing document...</p>
+              <p className="text-blue-700">Uploading document...</p>
+            </div>
+          </div>
+        )}
+
+        {job && (uploadStatus === 'processing' || uploadStatus === 'error') && (
+          <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-700">{job.message}</p>
+              <span className="text-sm text-gray-500">{job.progress}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+              <div
+                className={`h-2 rounded-full transition-all duration-300 ${
+                  job.status === 'failed' ? 'bg-red-500' : 'bg-primary-600'
+                }`}
+                style={{ width: `${job.progress}%` }}
+              />
             </div>
+            <ul className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              {Object.entries(job.stages).map(([stage, state]) => (
+                <li key={stage} className="flex items-center space-x-2 text-sm text-gray-700">
+                  <StageIcon status={state.status} />
+                  <span>{STAGE_LABELS[stage] || stage}</span>
+                </li>
+              ))}
+            </ul>
           </div>
         )}
 
@@ -218,7 +409,7 @@ const FileUpload = ({ onDocumentUploaded, onProcessingStart, isProcessing, docum
           How it works:
         </h3>
         <ol className="list-decimal list-inside space-y-2 text-blue-800">
-          <li>Upload a PDF document (max 10MB)</li>
+          <li>Upload a PDF, Word, Markdown, HTML, text or CSV document (max {maxUploadMb}MB)</li>
           <li>The document is processed and split into chunks</li>
           <li>Chunks are converted to embeddings and stored in a vector database</li>
           <li>You can then chat with the document using AI</li>
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, AlertCircle, Loader2 } from 'lucide-react';
+import { login, register, getAuthStatus, getErrorMessage } from '../services/api';
+
+const Login = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login');
+  const [registrationOpen, setRegistrationOpen] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [workspaceName, setWorkspaceName] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    getAuthStatus()
+      .then(response => {
+        setRegistrationOpen(response.data.registrationOpen);
+        // A fresh server has no accounts yet, so start on the sign-up form
+        if (response.data.registrationOpen && !response.data.hasUsers) {
+          setMode('register');
+        }
+      })
+      .catch(statusError => {
+        console.error('Error checking registration status:', statusError);
+      });
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      const response = mode === 'register'
+        ? await register(username, password, workspaceName)
+        : await login(username, password);
+      onAuthenticated(response.data);
+    } catch (submitError) {
+      setError(getErrorMessage(submitError, 'Could not reach the server'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(mode === 'login' ? 'register' : 'login');
+    setError(null);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="card w-full max-w-sm p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="flex items-center justify-center w-10 h-10 bg-primary-600 rounded-lg">
+            <FileText className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold text-gray-900">RAG Document Chat</h1>
+            <p className="text-sm text-gray-500">
+              {mode === 'register' ? 'Create an account and workspace' : 'Sign in to your workspace'}
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Username"
+            autoComplete="username"
+            className="input-field"
+            required
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+            className="input-field"
+            required
+          />
+          {mode === 'register' && (
+            <input
+              type="text"
+              value={workspaceName}
+              onChange={(e) => setWorkspaceName(e.target.value)}
+              placeholder="Workspace name (optional)"
+              className="input-field"
+            />
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <div className="flex items-center">
+                <AlertCircle className="w-4 h-4 text-red-500 mr-2 flex-shrink-0" />
+                <p className="text-sm text-red-700">{error}</p>
+              </div>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? (
+              <Loader2 className="w-4 h-4 animate-spin inline" />
+            ) : mode === 'register' ? 'Create account' : 'Sign in'}
+          </button>
+        </form>
+
+        {registrationOpen && (
+          <p className="mt-4 text-center text-sm text-gray-500">
+            {mode === 'register' ? 'Already have an account?' : 'Need an account?'}{' '}
+            <button onClick={toggleMode} className="text-primary-600 hover:text-primary-700 font-medium">
+              {mode === 'register' ? 'Sign in' : 'Register'}
+            </button>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Login;
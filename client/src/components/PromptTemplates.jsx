@@ -0,0 +1,421 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Plus, Save, Trash2, Copy, Eye, AlertCircle, Loader2, Lock } from 'lucide-react';
+import {
+  getPromptTemplates,
+  getPromptTemplate,
+  createPromptTemplate,
+  updatePromptTemplate,
+  deletePromptTemplate,
+  previewPromptTemplate,
+  getDocuments,
+  setDocumentPromptTemplate,
+  getErrorMessage
+} from '../services/api';
+
+const VARIABLES = [
+  { name: 'context', required: true, hint: 'Retrieved chunks, numbered [1], [2]...' },
+  { name: 'question', required: true, hint: 'The user\'s question' },
+  { name: 'history', required: false, hint: 'Recent conversation, empty on the first question' }
+];
+
+const EMPTY_FORM = { name: '', description: '', template: '', noContextAnswer: '' };
+
+const usesVariable = (template, name) => template.includes(`{${name}}`);
+
+// Admin screen for the workspace's prompt templates: edit and version them,
+// preview them against a sample question and pick one per document
+const PromptTemplates = () => {
+  const [templates, setTemplates] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  // null while creating a new template
+  const [selected, setSelected] = useState(null);
+  const [viewedVersion, setViewedVersion] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [question, setQuestion] = useState('What are the main findings?');
+  const [withHistory, setWithHistory] = useState(true);
+  const [preview, setPreview] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const textareaRef = useRef(null);
+
+  const loadTemplates = async () => {
+    const response = await getPromptTemplates();
+    setTemplates(response.data.templates);
+    return response.data.templates;
+  };
+
+  const openTemplate = async (templateId) => {
+    setError(null);
+    setPreview(null);
+    setWarnings([]);
+
+    try {
+      const response = await getPromptTemplate(templateId);
+      const template = response.data;
+      const current = template.versions.find(version => version.version === template.currentVersion);
+      setSelected(template);
+      setViewedVersion(template.currentVersion);
+      setForm({
+        name: template.name,
+        description: template.description || '',
+        template: current.template,
+        noContextAnswer: current.noContextAnswer || ''
+      });
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not load the template'));
+    }
+  };
+
+  useEffect(() => {
+    Promise.all([loadTemplates(), getDocuments()])
+      .then(([loaded, documentsResponse]) => {
+        setDocuments(documentsResponse.data.documents.filter(document => document.status === 'ready'));
+        return openTemplate(loaded[0].id);
+      })
+      .catch(err => setError(getErrorMessage(err, 'Failed to load prompt templates')))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const startNew = (base = null) => {
+    setSelected(null);
+    setViewedVersion(null);
+    setPreview(null);
+    setWarnings([]);
+    setError(null);
+    setForm(base
+      ? { name: `Copy of ${base.name}`, description: base.description || '', template: form.template, noContextAnswer: form.noContextAnswer }
+      : { ...EMPTY_FORM, template: '{context}\n\n{history}Question: {question}\n\nAnswer:' });
+  };
+
+  // Viewing an older version loads its text; saving it makes it the current version again
+  const showVersion = (version) => {
+    const entry = selected.versions.find(existing => existing.version === version);
+    setViewedVersion(version);
+    setForm(prev => ({ ...prev, template: entry.template, noContextAnswer: entry.noContextAnswer || '' }));
+  };
+
+  const insertVariable = (name) => {
+    const textarea = textareaRef.current;
+    const start = textarea?.selectionStart ?? form.template.length;
+    const end = textarea?.selectionEnd ?? form.template.length;
+    setForm(prev => ({ ...prev, template: `${prev.template.slice(0, start)}{${name}}${prev.template.slice(end)}` }));
+  };
+
+  const handlePreview = async () => {
+    setError(null);
+
+    try {
+      const response = await previewPromptTemplate({
+        template: form.template,
+        noContextAnswer: form.noContextAnswer.trim() || undefined,
+        question,
+        withHistory
+      });
+      setPreview(response.data);
+      setWarnings(response.data.warnings);
+    } catch (err) {
+      setPreview(null);
+      setError(getErrorMessage(err, 'Preview failed'));
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+
+    const fields = {
+      name: form.name.trim(),
+      description: form.description.trim() || null,
+      template: form.template,
+      noContextAnswer: form.noContextAnswer.trim() || null
+    };
+
+    try {
+      const response = selected
+        ? await updatePromptTemplate(selected.id, fields)
+        : await createPromptTemplate(fields);
+      await loadTemplates();
+      await openTemplate(response.data.id);
+      setWarnings(response.data.warnings);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not save the template'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the prompt template "${selected.name}" and all its versions?`)) return;
+    setError(null);
+
+    try {
+      await deletePromptTemplate(selected.id);
+      const remaining = await loadTemplates();
+      await openTemplate(remaining[0].id);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not delete the template'));
+    }
+  };
+
+  const handleAssign = async (documentId, templateId) => {
+    setError(null);
+
+    try {
+      const response = await setDocumentPromptTemplate(documentId, templateId === 'default' ? null : templateId);
+      setDocuments(prev => prev.map(document => (
+        document.id === documentId ? { ...document, promptTemplate: response.data.promptTemplate } : document
+      )));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not change the document\'s template'));
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-6 text-gray-500">
+        <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+        Loading prompt templates...
+      </div>
+    );
+  }
+
+  const readOnly = Boolean(selected?.builtIn);
+  const isOldVersion = selected && viewedVersion !== selected.currentVersion;
+
+  return (
+    <div className="max-w-6xl mx-auto flex items-start gap-6">
+      {/* Template list */}
+      <div className="card p-4 w-56 flex-shrink-0">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-semibold text-gray-900">Prompts</h3>
+          <button onClick={() => startNew()} className="btn-secondary text-sm" title="New template">
+            <Plus className="w-4 h-4" />
+          </button>
+        </div>
+        <ul className="space-y-1">
+          {templates.map(template => (
+            <li key={template.id}>
+              <button
+                onClick={() => openTemplate(template.id)}
+                className={`w-full text-left px-2 py-1 rounded text-sm ${
+                  selected?.id === template.id ? 'bg-primary-50 text-primary-700' : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                <span className="flex items-center">
+                  {template.builtIn && <Lock className="w-3 h-3 mr-1 text-gray-400" />}
+                  <span className="truncate">{template.name}</span>
+                </span>
+                <span className="text-xs text-gray-400">v{template.currentVersion}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="flex-1 min-w-0 space-y-6">
+        {/* Editor */}
+        <div className="card p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {selected ? selected.name : 'New template'}
+            </h3>
+            <div className="flex items-center space-x-2">
+              {selected && selected.versions.length > 1 && (
+                <select
+                  value={viewedVersion}
+                  onChange={(e) => showVersion(Number(e.target.value))}
+                  className="text-sm border border-gray-300 rounded-lg px-2 py-2 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  title="Version history"
+                >
+                  {[...selected.versions].reverse().map(version => (
+                    <option key={version.version} value={version.version}>
+                      v{version.version}{version.version === selected.currentVersion ? ' (current)' : ''}
+                      {version.createdAt ? ` · ${new Date(version.createdAt).toLocaleDateString()}` : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {selected && (
+                <button onClick={() => startNew(selected)} className="btn-secondary text-sm" title="Start a new template from this one">
+                  <Copy className="w-4 h-4" />
+                </button>
+              )}
+              {selected && !readOnly && (
+                <button onClick={handleDelete} className="btn-secondary text-sm" title="Delete template">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+
+          {readOnly && (
+            <p className="text-sm text-gray-500">The built-in template cannot be edited. Copy it to start your own.</p>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Name"
+              className="input-field"
+              maxLength={100}
+              disabled={readOnly}
+            />
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description (optional)"
+              className="input-field"
+              maxLength={500}
+              disabled={readOnly}
+            />
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <span className="text-gray-500">Variables:</span>
+            {VARIABLES.map(variable => {
+              const used = usesVariable(form.template, variable.name);
+              return (
+                <button
+                  key={variable.name}
+                  type="button"
+                  onClick={() => insertVariable(variable.name)}
+                  disabled={readOnly}
+                  title={`${variable.hint}${variable.required ? ' (required)' : ''}`}
+                  className={`px-2 py-0.5 rounded font-mono border ${
+                    used
+                      ? 'bg-green-50 border-green-200 text-green-800'
+                      : variable.required
+                        ? 'bg-red-50 border-red-200 text-red-700'
+                        : 'bg-gray-50 border-gray-200 text-gray-600'
+                  }`}
+                >
+                  {`{${variable.name}}`}
+                </button>
+              );
+            })}
+          </div>
+
+          <textarea
+            ref={textareaRef}
+            value={form.template}
+            onChange={(e) => setForm(prev => ({ ...prev, template: e.target.value }))}
+            rows={14}
+            className="w-full font-mono text-sm border border-gray-300 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            placeholder="Instructions, answer style, citation rules and refusal wording, with {context} and {question}"
+            disabled={readOnly}
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Answer when nothing relevant is found
+            </label>
+            <textarea
+              value={form.noContextAnswer}
+              onChange={(e) => setForm(prev => ({ ...prev, noContextAnswer: e.target.value }))}
+              rows={2}
+              className="w-full text-sm border border-gray-300 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              placeholder="Leave empty for the built-in answer. Can use {question}."
+              disabled={readOnly}
+            />
+          </div>
+
+          {warnings.length > 0 && (
+            <ul className="text-sm text-amber-700 space-y-1">
+              {warnings.map(warning => <li key={warning}>{warning}</li>)}
+            </ul>
+          )}
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center">
+              <AlertCircle className="w-4 h-4 text-red-500 mr-2 flex-shrink-0" />
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          {!readOnly && (
+            <div className="flex justify-end">
+              <button
+                onClick={handleSave}
+                className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={isSaving || !form.name.trim() || !form.template.trim()}
+              >
+                {isSaving ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />}
+                {!selected ? 'Create' : isOldVersion ? `Restore v${viewedVersion}` : 'Save new version'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Preview */}
+        <div className="card p-6 space-y-3">
+          <h3 className="font-semibold text-gray-900">Preview</h3>
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={question}
+              onChange={(e) => setQuestion(e.target.value)}
+              placeholder="Sample question"
+              className="flex-1 input-field"
+            />
+            <label className="flex items-center text-sm text-gray-600" title="Fill {history} with a sample earlier question">
+              <input
+                type="checkbox"
+                checked={withHistory}
+                onChange={(e) => setWithHistory(e.target.checked)}
+                className="mr-1"
+              />
+              Follow-up
+            </label>
+            <button
+              onClick={handlePreview}
+              className="btn-secondary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={!question.trim() || !form.template.trim()}
+            >
+              <Eye className="w-4 h-4 mr-1" />
+              Render
+            </button>
+          </div>
+          {preview && (
+            <>
+              <p className="text-xs text-gray-500">~{preview.tokens} tokens with two sample chunks</p>
+              <pre className="p-3 bg-gray-50 border border-gray-200 rounded text-xs whitespace-pre-wrap max-h-96 overflow-y-auto">{preview.prompt}</pre>
+              <p className="text-xs text-gray-500">Answer when nothing relevant is found</p>
+              <p className="p-3 bg-gray-50 border border-gray-200 rounded text-xs">{preview.noContextAnswer}</p>
+            </>
+          )}
+        </div>
+
+        {/* Per-document assignment */}
+        <div className="card p-6">
+          <h3 className="font-semibold text-gray-900 mb-3">Documents</h3>
+          {documents.length === 0 ? (
+            <p className="text-sm text-gray-500">No documents yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {documents.map(document => (
+                <li key={document.id} className="flex items-center justify-between py-2">
+                  <span className="text-sm text-gray-700 truncate mr-4">{document.filename}</span>
+                  <select
+                    value={document.promptTemplate?.id || 'default'}
+                    onChange={(e) => handleAssign(document.id, e.target.value)}
+                    className="text-sm border border-gray-300 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    {templates.map(template => (
+                      <option key={template.id} value={template.id}>{template.name}</option>
+                    ))}
+                  </select>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PromptTemplates;
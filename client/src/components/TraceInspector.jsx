@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { X, Loader2, AlertCircle } from 'lucide-react';
+import { getTrace, getErrorMessage } from '../services/api';
+
+const STAGES = ['condense', 'retrieve', 'generate'];
+
+const STATUS_STYLES = {
+  selected: 'bg-green-100 text-green-800',
+  beyond_max_distance: 'bg-amber-100 text-amber-800',
+  not_selected: 'bg-gray-100 text-gray-600',
+  missing: 'bg-red-100 text-red-700'
+};
+
+const STATUS_LABELS = {
+  selected: 'in prompt',
+  beyond_max_distance: 'too far',
+  not_selected: 'cut by k / MMR',
+  missing: 'missing'
+};
+
+const formatNumber = (value) => (value == null ? '–' : value.toFixed(3));
+
+// Settings that shaped retrieval, e.g. "k 5 · hybrid · maxDistance 1.2"
+const describeRetrieval = (retrieval) => Object.entries(retrieval)
+  .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+  .map(([key, value]) => `${key} ${value}`)
+  .join(' · ');
+
+const Section = ({ title, children }) => (
+  <section className="space-y-2">
+    <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500">{title}</h3>
+    {children}
+  </section>
+);
+
+// Time spent in each stage, as a bar split by stage and the list of durations
+const Timings = ({ timings }) => {
+  const total = timings.total || 1;
+  const colors = { condense: 'bg-sky-400', retrieve: 'bg-amber-400', generate: 'bg-primary-500' };
+
+  return (
+    <div>
+      <div className="flex h-2 rounded overflow-hidden bg-gray-100">
+        {STAGES.filter(stage => timings[stage] != null).map(stage => (
+          <div key={stage} className={colors[stage]} style={{ width: `${(timings[stage] / total) * 100}%` }} />
+        ))}
+      </div>
+      <p className="mt-1 text-xs text-gray-600">
+        {STAGES.filter(stage => timings[stage] != null).map(stage => `${stage} ${timings[stage]} ms`).join(' · ')}
+        {` · total ${timings.total} ms`}
+      </p>
+    </div>
+  );
+};
+
+// Side panel showing what the model saw for one answer: rewritten query,
+// every retrieval candidate with its scores, the final prompt, tokens and timings
+const TraceInspector = ({ traceId, onClose }) => {
+  const [trace, setTrace] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getTrace(traceId)
+      .then(response => {
+        if (!cancelled) setTrace(response.data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(getErrorMessage(err, 'Could not load the trace'));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [traceId]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <div
+        className="w-full max-w-3xl h-full bg-white shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <div className="min-w-0 mr-4">
+            <h2 className="font-semibold text-gray-900">Answer trace</h2>
+            {trace && (
+              <p className="text-xs text-gray-500 truncate">
+                {trace.outcome} · {trace.documentName} · {new Date(trace.createdAt).toLocaleString()}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="btn-secondary" title="Close">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-6 text-sm">
+          {isLoading && (
+            <div className="flex items-center justify-center py-6 text-gray-600">
+              <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+              Loading trace...
+            </div>
+          )}
+          {error && (
+            <div className="flex items-center p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {trace && (
+            <>
+              {trace.error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700">{trace.error}</div>
+              )}
+
+              <Section title="Query">
+                <p className="text-gray-900">{trace.question}</p>
+                {trace.query && trace.query !== trace.question && (
+                  <p className="text-gray-600">
+                    <span className="font-medium">Rewritten:</span> {trace.query}
+                  </p>
+                )}
+                {trace.retrieval && (
+                  <p className="text-xs text-gray-500">{describeRetrieval(trace.retrieval)}</p>
+                )}
+              </Section>
+
+              <Section title="Model and tokens">
+                <p className="text-gray-700">
+                  {trace.models?.llm?.provider} {trace.models?.llm?.model}
+                  <span className="text-gray-400"> · embeddings {trace.models?.embedding?.provider} {trace.models?.embedding?.model}</span>
+                </p>
+                {trace.usage && (
+                  <p className="text-xs text-gray-600">
+                    ~{trace.usage.promptTokens} prompt · ~{trace.usage.completionTokens} completion · ~{trace.usage.embeddingTokens} embedding tokens
+                  </p>
+                )}
+              </Section>
+
+              <Section title="Timings">
+                <Timings timings={trace.timings} />
+              </Section>
+
+              <Section title={`Candidates (${trace.candidates.length})`}>
+                {trace.candidates.length === 0 && (
+                  <p className="text-gray-500">Retrieval found no candidates.</p>
+                )}
+                {trace.candidates.map(candidate => (
+                  <details key={candidate.id} className="p-2 bg-gray-50 border border-gray-200 rounded text-xs">
+                    <summary className="cursor-pointer">
+                      <span className="font-medium text-gray-700">#{candidate.rank}</span>
+                      {candidate.citation != null && <span className="ml-1 text-gray-700">[{candidate.citation}]</span>}
+                      <span className={`ml-2 px-1.5 py-0.5 rounded ${STATUS_STYLES[candidate.status]}`}>
+                        {STATUS_LABELS[candidate.status]}
+                      </span>
+                      <span className="ml-2 text-gray-500">
+                        distance {formatNumber(candidate.distance)} · relevance {formatNumber(candidate.relevance)} · score {formatNumber(candidate.score)}
+                        {candidate.ranks && ` · ${Object.entries(candidate.ranks).map(([name, rank]) => `${name} #${rank}`).join(', ')}`}
+                      </span>
+                      {candidate.pageLabel && <span className="ml-2 text-gray-400">{candidate.pageLabel}</span>}
+                    </summary>
+                    <p className="mt-2 text-gray-600 whitespace-pre-wrap max-h-40 overflow-y-auto">{candidate.content}</p>
+                    <p className="mt-1 text-gray-400 font-mono">{candidate.id}</p>
+                  </details>
+                ))}
+              </Section>
+
+              <Section title="Prompt">
+                {trace.prompt ? (
+                  <pre className="p-2 bg-gray-50 border border-gray-200 rounded text-xs whitespace-pre-wrap max-h-96 overflow-y-auto">{trace.prompt}</pre>
+                ) : (
+                  <p className="text-gray-500">The model was not called: no chunk was close enough to the question.</p>
+                )}
+              </Section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TraceInspector;
@@ -1,16 +1,48 @@
 import axios from 'axios';
 
-const API_BASE_URL = 'http://localhost:3001';
+// Set VITE_API_BASE_URL (client/.env or the build environment) to call another server
+const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001').replace(/\/+$/, '');
 
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 30000,
 });
 
+const TOKEN_STORAGE_KEY = 'rag-auth-token';
+
+// Session token from /auth/login or /auth/register, kept across reloads
+let authToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+let unauthorizedHandler = null;
+
+export const getAuthToken = () => authToken;
+
+export const setAuthToken = (token) => {
+  authToken = token || null;
+
+  if (authToken) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, authToken);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+// Called when the server rejects the stored credentials (expired or revoked)
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+const handleUnauthorized = () => {
+  setAuthToken(null);
+  unauthorizedHandler?.();
+};
+
+const authHeaders = () => (authToken ? { Authorization: `Bearer ${authToken}` } : {});
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
     console.log(`Making ${config.method?.toUpperCase()} request to ${config.url}`);
+    Object.assign(config.headers, authHeaders());
     return config;
   },
   (error) => {
@@ -25,10 +57,86 @@ api.interceptors.response.use(
   },
   (error) => {
     console.error('API Error:', error);
+    if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/login')) {
+      handleUnauthorized();
+    }
     return Promise.reject(error);
   }
 );
 
+// Server errors look like { error: { code, message, details } }
+export const getErrorMessage = (error, fallback) => {
+  let data = error.response?.data;
+
+  // Binary requests receive their JSON error body as bytes
+  if (data instanceof ArrayBuffer) {
+    try {
+      data = JSON.parse(new TextDecoder().decode(data));
+    } catch {
+      data = null;
+    }
+  }
+
+  return data?.error?.message || fallback;
+};
+
+// Non-secret server settings, e.g. the upload size limit
+export const getServerConfig = async () => {
+  try {
+    const response = await api.get('/config');
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getAuthStatus = async () => {
+  try {
+    const response = await api.get('/auth/status');
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const login = async (username, password) => {
+  try {
+    const response = await api.post('/auth/login', { username, password });
+    setAuthToken(response.data.token);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const register = async (username, password, workspaceName) => {
+  try {
+    const response = await api.post('/auth/register', { username, password, workspaceName });
+    setAuthToken(response.data.token);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const logout = async () => {
+  try {
+    const response = await api.post('/auth/logout');
+    return response;
+  } finally {
+    setAuthToken(null);
+  }
+};
+
+export const getCurrentUser = async () => {
+  try {
+    const response = await api.get('/auth/me');
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
 export const uploadDocument = async (formData) => {
   try {
     const response = await api.post('/upload', formData, {
@@ -42,26 +150,175 @@ export const uploadDocument = async (formData) => {
   }
 };
 
-export const sendMessage = async (message, collectionId) => {
+export const getJob = async (jobId) => {
+  try {
+    const response = await api.get(`/jobs/${jobId}`);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Follow ingestion progress over SSE; returns a function that stops listening
+export const subscribeToJob = (jobId, { onProgress, onError }) => {
+  // EventSource can't send headers, so the token goes in the query string
+  const query = authToken ? `?access_token=${encodeURIComponent(authToken)}` : '';
+  const eventSource = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events${query}`);
+
+  eventSource.onmessage = (event) => {
+    try {
+      const data = JSON.parse(event.data);
+
+      if (data.type === 'progress') {
+        onProgress(data.job);
+      } else if (data.type === 'end') {
+        eventSource.close();
+      }
+    } catch (parseError) {
+      console.error('Error parsing job progress:', parseError);
+    }
+  };
+
+  eventSource.onerror = (error) => {
+    eventSource.close();
+    onError?.(error);
+  };
+
+  return () => eventSource.close();
+};
+
+export const sendMessage = async (message, collectionId, { sessionId, retrievalMode, mmr, filter, trace, signal } = {}) => {
   try {
     const response = await fetch(`${API_BASE_URL}/chat`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...authHeaders(),
       },
+      signal,
       body: JSON.stringify({
         question: message,
         collectionId: collectionId,
+        sessionId: sessionId,
+        retrievalMode: retrievalMode,
+        mmr: mmr,
+        filter: filter,
+        trace: trace,
       }),
     });
 
+    if (response.status === 401) {
+      handleUnauthorized();
+    }
+
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      // Non-streaming failures carry a JSON error body
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error?.message || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      // 429s say whether a rate limit (rate_limited) or the monthly quota (quota_exceeded) was hit
+      error.code = body.error?.code;
+      error.retryAfter = body.error?.details?.retryAfter;
+      throw error;
+    }
+
+    return response;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error sending message:', error);
     }
+    throw error;
+  }
+};
+
+export const getChatSessions = async (params = {}) => {
+  try {
+    const response = await api.get('/chat/sessions', { params });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getChatSession = async (sessionId) => {
+  try {
+    const response = await api.get(`/chat/sessions/${sessionId}`);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const renameChatSession = async (sessionId, title) => {
+  try {
+    const response = await api.patch(`/chat/sessions/${sessionId}`, { title });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const deleteChatSession = async (sessionId) => {
+  try {
+    const response = await api.delete(`/chat/sessions/${sessionId}`);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Download a conversation as markdown, json or pdf; the file name comes from the server
+export const exportChatSession = async (sessionId, format) => {
+  try {
+    const response = await api.get(`/chat/sessions/${sessionId}/export`, {
+      params: { format },
+      responseType: 'arraybuffer',
+      timeout: 120000
+    });
+    const disposition = response.headers['content-disposition'] || '';
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)/);
+    const filename = match ? decodeURIComponent(match[1]) : `chat.${format === 'markdown' ? 'md' : format}`;
 
+    const url = URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Rate an answer 'up' or 'down'; rating the same answer again replaces the earlier rating
+export const sendFeedback = async ({ sessionId, messageId, rating, comment }) => {
+  try {
+    const response = await api.post('/feedback', { sessionId, messageId, rating, comment });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Admin only: rated answers with their retrieval context
+export const getFeedback = async (params = {}) => {
+  try {
+    const response = await api.get('/feedback', { params });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Debug trace of an answer asked with trace: true
+export const getTrace = async (traceId) => {
+  try {
+    const response = await api.get(`/traces/${traceId}`);
     return response;
   } catch (error) {
-    console.error('Error sending message:', error);
     throw error;
   }
 };
@@ -75,6 +332,130 @@ export const getCollectionInfo = async (collectionId) => {
   }
 };
 
+export const getDocuments = async () => {
+  try {
+    const response = await api.get('/documents');
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getDocument = async (documentId) => {
+  try {
+    const response = await api.get(`/documents/${documentId}`);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// The original uploaded file as an ArrayBuffer (e.g. for the PDF viewer)
+export const getDocumentFile = async (documentId) => {
+  try {
+    const response = await api.get(`/documents/${documentId}/file`, { responseType: 'arraybuffer', timeout: 120000 });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const deleteDocument = async (documentId) => {
+  try {
+    const response = await api.delete(`/documents/${documentId}`);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Chunk and embed a document again; without options its recorded chunking is replayed
+export const reindexDocument = async (documentId, chunkingOptions = {}) => {
+  try {
+    const response = await api.post(`/documents/${documentId}/reindex`, chunkingOptions);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Pick the prompt template a document's answers use; null restores the default
+export const setDocumentPromptTemplate = async (documentId, templateId, version = null) => {
+  try {
+    const response = await api.put(`/documents/${documentId}/prompt-template`, { templateId, version });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getPromptTemplates = async () => {
+  try {
+    const response = await api.get('/prompt-templates');
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getPromptTemplate = async (templateId) => {
+  try {
+    const response = await api.get(`/prompt-templates/${templateId}`);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Admin only
+export const createPromptTemplate = async ({ name, description, template, noContextAnswer }) => {
+  try {
+    const response = await api.post('/prompt-templates', { name, description, template, noContextAnswer });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Admin only; changed template text or no-context answer is saved as a new version
+export const updatePromptTemplate = async (templateId, changes) => {
+  try {
+    const response = await api.put(`/prompt-templates/${templateId}`, changes);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Admin only
+export const deletePromptTemplate = async (templateId) => {
+  try {
+    const response = await api.delete(`/prompt-templates/${templateId}`);
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+// Render template text against a sample question, without retrieval or a model call
+export const previewPromptTemplate = async ({ template, noContextAnswer, question, withHistory }) => {
+  try {
+    const response = await api.post('/prompt-templates/preview', { template, noContextAnswer, question, withHistory });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
+export const getUsage = async (params = {}) => {
+  try {
+    const response = await api.get('/usage', { params });
+    return response;
+  } catch (error) {
+    throw error;
+  }
+};
+
 export const healthCheck = async () => {
   try {
     const response = await api.get('/health');
@@ -0,0 +1,42 @@
+import { squaredL2Distance } from '../services/mmr.js';
+
+// The parts of the ChromaDB collection API that retrieve() uses, over chunks held in
+// memory. Lets the evaluation compare configurations without a running ChromaDB.
+// Metadata filters (`where`) are not supported.
+export const createMemoryCollection = (chunks) => {
+  // chunks: [{ id, document, metadata, embedding }]
+  const byId = new Map(chunks.map(chunk => [chunk.id, chunk]));
+
+  const pick = (chunk, include) => ({
+    document: include.includes('documents') ? chunk.document : null,
+    metadata: include.includes('metadatas') ? chunk.metadata : null,
+    embedding: include.includes('embeddings') ? chunk.embedding : null
+  });
+
+  const query = async ({ queryEmbeddings, nResults, include = [] }) => {
+    const ranked = chunks
+      .map(chunk => ({ chunk, distance: squaredL2Distance(queryEmbeddings[0], chunk.embedding) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, nResults);
+
+    return {
+      ids: [ranked.map(({ chunk }) => chunk.id)],
+      documents: [ranked.map(({ chunk }) => pick(chunk, include).document)],
+      metadatas: [ranked.map(({ chunk }) => pick(chunk, include).metadata)],
+      distances: [ranked.map(({ distance }) => distance)]
+    };
+  };
+
+  const get = async ({ ids, include = [] }) => {
+    const found = ids.filter(id => byId.has(id)).map(id => byId.get(id));
+
+    return {
+      ids: found.map(chunk => chunk.id),
+      documents: found.map(chunk => pick(chunk, include).document),
+      metadatas: found.map(chunk => pick(chunk, include).metadata),
+      embeddings: found.map(chunk => pick(chunk, include).embedding)
+    };
+  };
+
+  return { query, get, count: async () => chunks.length };
+};
@@ -0,0 +1,71 @@
+// Case, whitespace and Markdown emphasis don't decide whether a passage was found
+export const normalizeText = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[`*_]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Score one question's retrieved chunks (best first) against its expected passages.
+// A passage counts as found when a single chunk contains all of it.
+export const scoreRetrieval = (docs, expectedPassages) => {
+  const passages = expectedPassages.map(normalizeText);
+  const chunks = docs.map(doc => normalizeText(doc.pageContent));
+
+  const relevantRanks = chunks
+    .map((chunk, index) => (passages.some(passage => chunk.includes(passage)) ? index + 1 : null))
+    .filter(rank => rank !== null);
+  const foundCount = passages.filter(passage => chunks.some(chunk => chunk.includes(passage))).length;
+  const firstRank = relevantRanks[0] ?? null;
+
+  return {
+    firstRelevantRank: firstRank,
+    recall: passages.length > 0 ? foundCount / passages.length : null,
+    reciprocalRank: firstRank ? 1 / firstRank : 0
+  };
+};
+
+// Whether the answer mentions every expected string
+export const answerContains = (answer, expected) => {
+  const normalized = normalizeText(answer);
+  return expected.every(text => normalized.includes(normalizeText(text)));
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Nearest-rank percentile
+const percentile = (values, p) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(Math.ceil((p / 100) * sorted.length), sorted.length) - 1];
+};
+
+const round = (value, digits = 3) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const describeLatency = (values) => ({
+  mean: round(mean(values), 1),
+  p50: round(percentile(values, 50), 1),
+  p95: round(percentile(values, 95), 1)
+});
+
+// Totals of one configuration over its question results. Questions that failed
+// count as misses; answer metrics only cover questions with expected answers.
+export const summarizeResults = (results) => {
+  const scored = results.filter(result => result.recall !== null || result.error);
+  const answered = results.filter(result => result.answerContains !== undefined);
+
+  return {
+    questions: results.length,
+    errors: results.filter(result => result.error).length,
+    recallAtK: round(mean(scored.map(result => result.recall ?? 0))),
+    mrr: round(mean(scored.map(result => result.reciprocalRank ?? 0))),
+    hitRate: round(mean(scored.map(result => (result.firstRelevantRank ? 1 : 0)))),
+    answerContains: answered.length > 0
+      ? round(mean(answered.map(result => (result.answerContains ? 1 : 0))))
+      : null,
+    retrievalLatencyMs: describeLatency(results.filter(result => !result.error).map(result => result.retrievalMs)),
+    answerLatencyMs: answered.length > 0 ? describeLatency(answered.map(result => result.answerMs)) : null
+  };
+};
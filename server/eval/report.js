@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+
+const formatNumber = (value) => (value === null || value === undefined ? '-' : String(value));
+
+const formatLatency = (latency) => (latency ? `${formatNumber(latency.p50)} / ${formatNumber(latency.p95)}` : '-');
+
+const describeSettings = (chunking) => Object.entries(chunking)
+  .map(([key, value]) => (key === 'strategy' ? value : `${key}=${value}`))
+  .join(', ');
+
+// Formats can resolve to different settings (e.g. Markdown defaults to headings)
+const describeChunking = (chunkingByFormat) => {
+  const descriptions = Object.entries(chunkingByFormat).map(([format, chunking]) => [format, describeSettings(chunking)]);
+  const unique = new Set(descriptions.map(([, description]) => description));
+
+  return unique.size === 1
+    ? [...unique][0]
+    : descriptions.map(([format, description]) => `${format}: ${description}`).join('; ');
+};
+
+const describeRetrieval = (settings) => {
+  const parts = [settings.retrievalMode, `k=${settings.k}`];
+
+  if (settings.retrievalMode === 'hybrid') {
+    parts.push(`keywordWeight=${settings.keywordWeight}`);
+  }
+  if (settings.maxDistance !== null) {
+    parts.push(`maxDistance=${settings.maxDistance}`);
+  }
+  if (settings.mmr) {
+    parts.push(`mmr λ=${settings.mmrLambda}`);
+  }
+
+  return parts.join(', ');
+};
+
+export const toMarkdown = (report) => {
+  const lines = [
+    `# Retrieval evaluation: ${report.goldenSet.name}`,
+    '',
+    `- Run: ${report.startedAt}`,
+    `- Embeddings: ${report.models.embedding}`,
+    `- Answers: ${report.models.llm || 'not generated (run with --answers)'}`,
+    `- Questions: ${report.goldenSet.questionCount}`,
+    '',
+    '## Corpus',
+    '',
+    '| File | Format | Status |',
+    '| --- | --- | --- |',
+    ...report.corpus.map(file => `| ${file.file} | ${file.format || '-'} | ${file.error ? `failed: ${file.error}` : 'loaded'} |`),
+    '',
+    '## Results',
+    '',
+    '| Configuration | Chunking | Retrieval | Chunks | Recall@k | MRR | Hit rate | Answer contains | Retrieval ms (p50 / p95) | Answer ms (p50 / p95) |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+    ...report.configurations.map(config => {
+      if (config.error) {
+        return `| ${config.name} | - | - | - | failed: ${config.error} | | | | | |`;
+      }
+      const { summary } = config;
+      return `| ${config.name} | ${describeChunking(config.chunking)} | ${describeRetrieval(config.retrieval)} | ${config.chunkCount} | ` +
+        `${formatNumber(summary.recallAtK)} | ${formatNumber(summary.mrr)} | ${formatNumber(summary.hitRate)} | ${formatNumber(summary.answerContains)} | ` +
+        `${formatLatency(summary.retrievalLatencyMs)} | ${formatLatency(summary.answerLatencyMs)} |`;
+    })
+  ];
+
+  // Per configuration, the questions worth looking at
+  for (const config of report.configurations.filter(config => !config.error)) {
+    const misses = config.results.filter(result => result.error || !result.firstRelevantRank || result.answerContains === false);
+
+    lines.push('', `### ${config.name}`, '');
+
+    if (misses.length === 0) {
+      lines.push('Every expected passage was retrieved and every checked answer matched.');
+      continue;
+    }
+
+    lines.push('| Question | First relevant rank | Recall | Answer contains | Note |', '| --- | --- | --- | --- | --- |');
+    for (const result of misses) {
+      lines.push(`| ${result.id} | ${formatNumber(result.firstRelevantRank)} | ${formatNumber(result.recall)} | ` +
+        `${formatNumber(result.answerContains)} | ${result.error || ''} |`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Write <name>.json and <name>.md into `outputDir`; returns their paths
+export const writeReport = (report, outputDir) => {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const baseName = `${report.goldenSet.name}-${report.startedAt.replace(/[:.]/g, '-')}`;
+  const jsonPath = path.join(outputDir, `${baseName}.json`);
+  const markdownPath = path.join(outputDir, `${baseName}.md`);
+
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(markdownPath, toMarkdown(report));
+
+  return { jsonPath, markdownPath };
+};
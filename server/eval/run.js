@@ -0,0 +1,349 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { getLoaderForFile } from '../services/loaders/index.js';
+import { resolveChunkingOptions, splitText } from '../services/chunking/index.js';
+import { joinPages, locateChunks } from '../services/pageMapping.js';
+import { buildKeywordIndex } from '../services/keywordIndex.js';
+import { retrieve, validateRetrievalSettings } from '../services/retrieval.js';
+import { createChatModel, getEmbeddings, describeProviders } from '../services/providers.js';
+import { getCachedEmbeddings, cacheEmbeddings } from '../services/embeddingCache.js';
+import { chunkArray } from '../services/batching.js';
+import { withRetry } from '../services/retry.js';
+import { buildContext, buildAnswerPrompt } from '../services/prompts.js';
+import { getConfig } from '../services/config.js';
+import { createMemoryCollection } from './memoryCollection.js';
+import { scoreRetrieval, answerContains, summarizeResults } from './metrics.js';
+import { writeReport } from './report.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config();
+
+// Offline retrieval evaluation: index a corpus in memory once per configuration, run
+// the golden questions against it and report recall@k, MRR, answer checks and latency.
+//
+//   npm run eval -- [--golden file] [--configs file] [--out dir] [--answers]
+
+const EMBEDDING_BATCH_SIZE = 64;
+const EMBEDDING_CACHE_ENABLED = getConfig().ingestion.embeddingCache;
+
+// The server's defaults without environment overrides, so runs compare across machines
+const RETRIEVAL_DEFAULTS = {
+  retrievalMode: 'hybrid',
+  keywordWeight: 0.3,
+  k: 4,
+  maxDistance: null,
+  mmr: false,
+  mmrLambda: 0.5
+};
+
+const readJSONFile = (filePath, label) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${label} ${filePath}: ${error.message}`);
+  }
+};
+
+const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+
+// Corpus paths are relative to the golden set file
+const loadGoldenSet = (filePath) => {
+  const goldenSet = readJSONFile(filePath, 'golden set');
+  const errors = [];
+
+  if (!isStringList(goldenSet.corpus)) {
+    errors.push('corpus must be a non-empty list of file paths');
+  }
+
+  if (!Array.isArray(goldenSet.questions) || goldenSet.questions.length === 0) {
+    errors.push('questions must be a non-empty list');
+  } else {
+    goldenSet.questions.forEach((question, index) => {
+      const label = question.id || `#${index + 1}`;
+      if (!question.id || !question.question) {
+        errors.push(`question ${label} needs an id and a question`);
+      }
+      if (!isStringList(question.expectedPassages)) {
+        errors.push(`question ${label} needs expectedPassages`);
+      }
+      if (question.expectedAnswer !== undefined && !isStringList(question.expectedAnswer)) {
+        errors.push(`question ${label}: expectedAnswer must be a list of strings`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid golden set ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return {
+    name: goldenSet.name || path.basename(filePath, '.json'),
+    corpus: goldenSet.corpus.map(file => path.resolve(path.dirname(filePath), file)),
+    questions: goldenSet.questions
+  };
+};
+
+// Validate every configuration up front so a typo doesn't surface after minutes of embedding
+const loadConfigurations = (filePath) => {
+  const configurations = readJSONFile(filePath, 'configurations');
+  const errors = [];
+
+  if (!Array.isArray(configurations) || configurations.length === 0) {
+    throw new Error(`${filePath} must hold a non-empty list of configurations`);
+  }
+
+  const resolved = configurations.map((config, index) => {
+    const name = config.name || `config-${index + 1}`;
+    const { settings, errors: retrievalErrors } = validateRetrievalSettings(config.retrieval || {});
+    const { errors: chunkingErrors } = resolveChunkingOptions(config.chunking || {});
+
+    errors.push(...[...retrievalErrors, ...chunkingErrors].map(error => `${name}: ${error}`));
+    return { name, chunking: config.chunking || {}, retrieval: { ...RETRIEVAL_DEFAULTS, ...settings } };
+  });
+
+  const names = resolved.map(config => config.name);
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`duplicate configuration names: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configurations in ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return resolved;
+};
+
+// Batched embedding that shares the server's cache, so unchanged chunks are free on later runs
+const embedTexts = async (texts, modelId) => {
+  const embeddings = getEmbeddings();
+  const vectors = EMBEDDING_CACHE_ENABLED ? getCachedEmbeddings(modelId, texts) : texts.map(() => null);
+  const missing = texts.map((text, index) => index).filter(index => !vectors[index]);
+
+  for (const batch of chunkArray(missing, EMBEDDING_BATCH_SIZE)) {
+    const batchTexts = batch.map(index => texts[index]);
+    const batchVectors = await withRetry(() => embeddings.embedDocuments(batchTexts), {
+      retries: 3,
+      baseDelayMs: 500,
+      maxDelayMs: 10000
+    });
+
+    batch.forEach((textIndex, i) => {
+      vectors[textIndex] = batchVectors[i];
+    });
+
+    if (EMBEDDING_CACHE_ENABLED) {
+      cacheEmbeddings(modelId, batchTexts, batchVectors);
+    }
+  }
+
+  return vectors;
+};
+
+// Load every corpus file; files that fail are reported and left out of the index
+const loadCorpus = async (files) => {
+  const corpus = [];
+
+  for (const filePath of files) {
+    const file = path.relative(process.cwd(), filePath);
+    const loader = getLoaderForFile({ originalname: path.basename(filePath) });
+
+    if (!loader) {
+      corpus.push({ file, format: null, error: 'unsupported file type' });
+      continue;
+    }
+
+    try {
+      const loaded = await loader.load(filePath, {});
+      if (!loaded.pages.some(page => page.text.trim().length > 0)) {
+        throw new Error('no text content');
+      }
+      corpus.push({ file, format: loader.format, loader, filePath, loaded });
+    } catch (error) {
+      corpus.push({ file, format: loader.format, error: error.message });
+    }
+  }
+
+  return corpus;
+};
+
+// Chunk the corpus the way an upload with these options would be chunked
+const chunkCorpus = async (corpus, chunkingInput, embedForSemantic) => {
+  const chunks = [];
+  const chunkingByFormat = {};
+
+  for (const [fileIndex, entry] of corpus.entries()) {
+    if (entry.error) {
+      continue;
+    }
+
+    const { chunking } = resolveChunkingOptions(chunkingInput, { format: entry.format });
+    chunkingByFormat[entry.format] = chunking;
+
+    // Self-chunking loaders (CSV) need the chunk size at load time
+    const loaded = entry.loaded.chunks
+      ? await entry.loader.load(entry.filePath, { chunkSize: chunking.chunkSize })
+      : entry.loaded;
+
+    let fileChunks = loaded.chunks;
+    if (!fileChunks) {
+      const { text, ranges } = joinPages(loaded.pages);
+      const splits = await splitText(text, chunking, { embedTexts: embedForSemantic });
+      fileChunks = locateChunks(text, splits.map(split => split.text), ranges)
+        .map((chunk, index) => ({ ...chunk, section: splits[index].section }));
+    }
+
+    fileChunks
+      .filter(chunk => chunk.text.trim().length > 0)
+      .forEach((chunk, index) => {
+        chunks.push({
+          id: `${fileIndex}_${index}`,
+          document: chunk.text,
+          metadata: {
+            filename: path.basename(entry.file),
+            format: entry.format,
+            paged: loaded.paged,
+            pageStart: chunk.pageStart,
+            pageEnd: chunk.pageEnd,
+            chunkIndex: chunk.chunkIndex,
+            ...(chunk.rowStart !== undefined && { rowStart: chunk.rowStart, rowEnd: chunk.rowEnd }),
+            ...(chunk.section && { section: chunk.section })
+          }
+        });
+      });
+  }
+
+  return { chunks, chunkingByFormat };
+};
+
+const runQuestion = async ({ question, collection, keywordIndex, settings, embedQuery, llm }) => {
+  const result = { id: question.id, question: question.question };
+
+  try {
+    const retrievalStart = performance.now();
+    const { docs } = await retrieve({
+      collection,
+      documentId: 'eval',
+      query: question.question,
+      embedQuery,
+      settings,
+      keywordIndex
+    });
+    result.retrievalMs = Math.round(performance.now() - retrievalStart);
+
+    Object.assign(result, scoreRetrieval(docs, question.expectedPassages));
+    result.retrieved = docs.map(doc => ({
+      id: doc.id,
+      filename: doc.metadata.filename,
+      chunkIndex: doc.metadata.chunkIndex,
+      preview: doc.pageContent.substring(0, 120)
+    }));
+
+    if (llm && question.expectedAnswer) {
+      const answerStart = performance.now();
+      const response = await llm.invoke(buildAnswerPrompt({ context: buildContext(docs), question: question.question }));
+      result.answerMs = Math.round(performance.now() - answerStart);
+      result.answer = response.content;
+      result.answerContains = answerContains(response.content, question.expectedAnswer);
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+};
+
+const main = async () => {
+  const { values: args } = parseArgs({
+    options: {
+      golden: { type: 'string', default: path.join(__dirname, 'goldenSet.json') },
+      configs: { type: 'string', default: path.join(__dirname, 'configs.json') },
+      out: { type: 'string', default: path.join(__dirname, 'reports') },
+      answers: { type: 'boolean', default: false }
+    }
+  });
+
+  const { llm: llmConfig, embedding } = describeProviders();
+  const embeddingModelId = `${embedding.provider}/${embedding.model}`;
+  const goldenSet = loadGoldenSet(path.resolve(args.golden));
+  const configurations = loadConfigurations(path.resolve(args.configs));
+  // Temperature 0 keeps answer checks as repeatable as the model allows
+  const llm = args.answers ? createChatModel({ temperature: 0 }) : null;
+
+  const report = {
+    startedAt: new Date().toISOString(),
+    goldenSet: { name: goldenSet.name, file: path.relative(process.cwd(), path.resolve(args.golden)), questionCount: goldenSet.questions.length },
+    models: { embedding: embeddingModelId, llm: llm ? `${llmConfig.provider}/${llmConfig.model}` : null },
+    corpus: [],
+    configurations: []
+  };
+
+  console.log(`Loading ${goldenSet.corpus.length} corpus file(s)...`);
+  const corpus = await loadCorpus(goldenSet.corpus);
+  report.corpus = corpus.map(({ file, format, loaded, error }) => ({
+    file,
+    format,
+    ...(loaded && { pageCount: loaded.paged ? loaded.pageCount : null }),
+    ...(error && { error })
+  }));
+
+  for (const entry of corpus.filter(entry => entry.error)) {
+    console.error(`Skipping ${entry.file}: ${entry.error}`);
+  }
+
+  if (corpus.every(entry => entry.error)) {
+    throw new Error('No corpus file could be loaded');
+  }
+
+  const embedQuery = async (text) => withRetry(() => getEmbeddings().embedQuery(text), { retries: 2, baseDelayMs: 250 });
+  const embedForSemantic = (texts) => embedTexts(texts, embeddingModelId);
+
+  for (const config of configurations) {
+    console.log(`\n[${config.name}] chunking and embedding the corpus...`);
+
+    try {
+      const { chunks, chunkingByFormat } = await chunkCorpus(corpus, config.chunking, embedForSemantic);
+      const vectors = await embedTexts(chunks.map(chunk => chunk.document), embeddingModelId);
+      const indexed = chunks.map((chunk, index) => ({ ...chunk, embedding: vectors[index] }));
+      const collection = createMemoryCollection(indexed);
+      const keywordIndex = buildKeywordIndex(chunks);
+
+      console.log(`[${config.name}] ${chunks.length} chunks, running ${goldenSet.questions.length} question(s)...`);
+
+      const results = [];
+      for (const question of goldenSet.questions) {
+        results.push(await runQuestion({ question, collection, keywordIndex, settings: config.retrieval, embedQuery, llm }));
+      }
+
+      const summary = summarizeResults(results);
+      report.configurations.push({
+        name: config.name,
+        chunking: chunkingByFormat,
+        retrieval: config.retrieval,
+        chunkCount: chunks.length,
+        summary,
+        results
+      });
+
+      console.log(`[${config.name}] recall@${config.retrieval.k} ${summary.recallAtK}, MRR ${summary.mrr}` +
+        (summary.answerContains !== null ? `, answer contains ${summary.answerContains}` : '') +
+        (summary.errors > 0 ? `, ${summary.errors} error(s)` : ''));
+    } catch (error) {
+      console.error(`[${config.name}] failed: ${error.message}`);
+      report.configurations.push({ name: config.name, chunking: config.chunking, retrieval: config.retrieval, error: error.message });
+    }
+  }
+
+  const { jsonPath, markdownPath } = writeReport(report, path.resolve(args.out));
+  console.log(`\nReport written to ${path.relative(process.cwd(), jsonPath)} and ${path.relative(process.cwd(), markdownPath)}`);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
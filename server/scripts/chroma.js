@@ -0,0 +1,45 @@
+import { spawn } from 'child_process';
+import dotenv from 'dotenv';
+import { getConfig } from '../services/config.js';
+
+dotenv.config();
+
+// Start a local ChromaDB server that keeps its data in CHROMA_PERSIST_DIRECTORY and
+// listens where CHROMA_URL points, so the API server finds it without extra flags.
+// Needs the `chroma` CLI (pip install chromadb).
+//
+//   npm run chroma
+
+const main = () => {
+  const { url, persistDirectory } = getConfig().chroma;
+  const { hostname, port, protocol } = new URL(url);
+  const args = ['run', '--path', persistDirectory, '--host', hostname, '--port', port || (protocol === 'https:' ? '443' : '80')];
+
+  console.log(`Starting ChromaDB on ${url} with data in ${persistDirectory}`);
+
+  const chroma = spawn('chroma', args, { stdio: 'inherit' });
+
+  chroma.on('error', (error) => {
+    if (error.code === 'ENOENT') {
+      console.error('The chroma CLI was not found. Install it with "pip install chromadb", or run ChromaDB in Docker:');
+      console.error(`  docker run -p ${port || 8000}:8000 -v "${persistDirectory}:/data" chromadb/chroma`);
+    } else {
+      console.error(error.message);
+    }
+    process.exit(1);
+  });
+
+  // Forward Ctrl+C and stops so ChromaDB can flush its data
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => chroma.kill(signal));
+  }
+
+  chroma.on('exit', (code) => process.exit(code ?? 0));
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -6,33 +6,174 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { Document } from 'langchain/document';
-import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
-import { OpenAIEmbeddings } from '@langchain/openai';
 import { Chroma } from '@langchain/community/vectorstores/chroma';
 import { ChromaClient } from 'chromadb';
 import { RetrievalQAChain } from 'langchain/chains';
-import { ChatOpenAI } from '@langchain/openai';
-import { Ollama } from '@langchain/community/llms/ollama';
-// pdf-parse will be imported dynamically to avoid test file issues
 import { v4 as uuidv4 } from 'uuid';
+import {
+  listDocuments,
+  getDocument,
+  createDocument,
+  updateDocument,
+  removeDocument,
+  getCollectionName,
+  findDocumentByHash,
+  claimUnownedDocuments,
+  markInterruptedDocuments
+} from './services/documentRegistry.js';
+import { joinPages, locateChunks, formatPageLabel } from './services/pageMapping.js';
+import { countTokens } from './services/tokens.js';
+import {
+  getSession,
+  listSessions,
+  summarizeSession,
+  resolveSession,
+  appendTurn,
+  renameSession,
+  deleteSession,
+  deleteDocumentSessions,
+  findTurn,
+  getAnswerPrompt,
+  publicSession,
+  getConversation,
+  getHistoryWithinBudget,
+  formatHistory
+} from './services/chatSessions.js';
+import { exportSession } from './services/chatExport.js';
+import { recordFeedback, listFeedback } from './services/feedback.js';
+import {
+  createChatModel,
+  getEmbeddings,
+  describeProviders,
+  getProviderConfig
+} from './services/providers.js';
+import {
+  createJob,
+  getJob,
+  enqueueJob,
+  subscribeToJob,
+  isJobFinished
+} from './services/ingestionJobs.js';
+import { withRetry } from './services/retry.js';
+import { chunkArray, mapWithConcurrency } from './services/batching.js';
+import { getLoaderForFile, getLoaderForFormat, SUPPORTED_EXTENSIONS } from './services/loaders/index.js';
+import { buildKeywordIndex, saveKeywordIndex, deleteKeywordIndex } from './services/keywordIndex.js';
+import { retrieve, validateRetrievalSettings } from './services/retrieval.js';
+import { buildWhereClause, parseTags, tagsToMetadata } from './services/metadataFilters.js';
+import { hashFile } from './services/contentHash.js';
+import { storeOriginal, getOriginalPath, removeOriginal } from './services/documentStore.js';
+import { getCachedEmbeddings, cacheEmbeddings } from './services/embeddingCache.js';
+import { resolveChunkingOptions, splitText } from './services/chunking/index.js';
+import {
+  hasUsers,
+  getWorkspace,
+  findUserByUsername,
+  validateCredentials,
+  createWorkspace,
+  updateWorkspace,
+  createUser,
+  authenticateUser,
+  createAuthSession,
+  deleteAuthSession,
+  resolveCredential,
+  createApiKey,
+  listApiKeys,
+  deleteApiKey,
+  listWorkspaceMembers,
+  publicUser,
+  ROLES
+} from './services/auth.js';
+import { recordUsage, getMonthlyUsage, listUsageRecords, summarizeUsage } from './services/usage.js';
+import { getPriceTable } from './services/pricing.js';
+import { consumeRateLimit } from './services/rateLimits.js';
+import { sendError, errorBody } from './services/httpErrors.js';
+import { logger, runWithLogContext } from './services/logger.js';
+import { getConfig, describeConfig } from './services/config.js';
+import {
+  registry as metricsRegistry,
+  recordRequest,
+  timeStage,
+  recordUpload,
+  recordIngestion,
+  recordChatAnswer
+} from './services/metrics.js';
+import { buildContext, buildAnswerPrompt, buildSamplePrompt, buildNoContextAnswer, validatePromptTemplate, validateNoContextAnswer } from './services/prompts.js';
+import {
+  DEFAULT_TEMPLATE_ID,
+  listTemplates,
+  getTemplate,
+  findTemplateByName,
+  getTemplateVersion,
+  summarizeTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} from './services/promptTemplates.js';
+import { resolveCitations } from './services/citations.js';
+import { createTrace, saveTrace, getTrace } from './services/traces.js';
+import { openApiDocument, createValidators, findUndocumentedRoutes } from './services/openapi/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 dotenv.config();
 
+// Refuse to start on invalid settings, listing every problem at once
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  logger.error('Invalid configuration', { problems: error.problems || [error.message] });
+  process.exit(1);
+}
+
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.server.port;
+
+// Only the configured front-ends may call the API from a browser
+const CORS_ORIGINS = config.server.corsOrigins;
+
+// Callers may pass their own X-Request-Id; anything else gets a fresh one
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Give every request an id that its log lines carry, log it once it finishes and count it for /metrics
+const trackRequest = (req, res, next) => {
+  const header = req.get('x-request-id');
+  req.id = header && REQUEST_ID_PATTERN.test(header) ? header : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    // Route patterns rather than paths keep ids out of metric labels
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+    recordRequest({ method: req.method, route, status: res.statusCode, durationMs });
+    runWithLogContext({ requestId: req.id }, () => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs)
+      });
+    });
+  });
+
+  runWithLogContext({ requestId: req.id }, next);
+};
 
 // Middleware
-app.use(cors());
+app.use(trackRequest);
+app.use(cors({ origin: CORS_ORIGINS, exposedHeaders: ['Content-Disposition', 'X-Request-Id'] }));
 app.use(express.json());
 app.use(express.static('public'));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = 'uploads';
+    const uploadDir = config.uploads.directory;
     if (!fs.existsSync(uploadDir)) {
       fs.mkdirSync(uploadDir, { recursive: true });
     }
@@ -45,375 +186,1840 @@ const storage = multer.diskStorage({
 
 const upload = multer({ 
   storage: storage,
+  limits: { fileSize: Math.round(config.uploads.maxFileSizeMb * 1024 * 1024) },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (getLoaderForFile(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'), false);
+      cb(new Error(`Unsupported file type. Allowed: ${SUPPORTED_EXTENSIONS.join(', ')}`), false);
+    }
+  }
+});
+
+// Report multer failures as 413 for files over MAX_UPLOAD_MB, otherwise (unsupported type, bad form data) as 400s
+const uploadDocument = (req, res, next) => {
+  upload.single('document')(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, 413, `File is larger than ${config.uploads.maxFileSizeMb}MB`);
+    }
+    if (error) {
+      return sendError(res, 400, error.message, { code: 'invalid_upload' });
+    }
+    next();
+  });
+};
+
+// Read the caller's token: "Authorization: Bearer <token>" or "X-API-Key: <key>".
+// EventSource can't set headers, so event-stream requests may pass ?access_token= instead.
+const readToken = (req) => {
+  const header = req.get('authorization') || '';
+
+  if (header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  if (req.get('x-api-key')) {
+    return req.get('x-api-key').trim();
+  }
+
+  const isEventStream = req.method === 'GET' && (req.get('accept') || '').includes('text/event-stream');
+  return isEventStream && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+};
+
+// Attach req.auth = { user, workspace, method } or answer 401
+const requireAuth = (req, res, next) => {
+  const auth = resolveCredential(readToken(req));
+
+  if (!auth) {
+    return sendError(res, 401, 'Authentication required');
+  }
+
+  req.auth = auth;
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (req.auth.user?.role !== 'admin') {
+    return sendError(res, 403, 'Only workspace admins can do this');
+  }
+
+  next();
+};
+
+// Documents of other workspaces are reported as missing rather than forbidden
+const getWorkspaceDocument = (req, documentId) => {
+  const document = getDocument(documentId);
+  return document && document.workspaceId === req.auth.workspace.id ? document : null;
+};
+
+const getWorkspaceSession = (req, sessionId) => {
+  const session = getSession(sessionId);
+  return session && session.workspaceId === req.auth.workspace.id ? session : null;
+};
+
+// A prompt template choice ({ id, version }, version null = current) as
+// { template, version }, or null when the template or version does not exist
+const resolvePromptTemplate = (req, { id, version = null }) => {
+  const template = getTemplate(req.auth.workspace.id, id);
+  const entry = template && getTemplateVersion(template, version);
+  return entry ? { template, version: entry } : null;
+};
+
+// Global ChromaDB client, shared by all documents
+let chromaClient = null;
+
+// Chunking strategy for uploads that don't choose one (otherwise picked per format)
+const DEFAULT_CHUNKING_STRATEGY = config.ingestion.chunkingStrategy;
+
+// Retrieval defaults; documents and individual requests can override each of them.
+// A max distance of 0 means no cutoff.
+const RETRIEVAL_DEFAULTS = {
+  retrievalMode: config.retrieval.mode,
+  keywordWeight: config.retrieval.keywordWeight,
+  k: config.retrieval.topK,
+  maxDistance: config.retrieval.maxDistance > 0 ? config.retrieval.maxDistance : null,
+  mmr: config.retrieval.mmr,
+  mmrLambda: config.retrieval.mmrLambda
+};
+
+// Token budgets for conversation history
+const HISTORY_TOKEN_BUDGET = config.chat.historyTokenBudget;
+const CONDENSE_HISTORY_TOKEN_BUDGET = config.chat.condenseHistoryTokenBudget;
+
+// Ingestion batching and retry settings
+const EMBEDDING_BATCH_SIZE = config.ingestion.embeddingBatchSize;
+const EMBEDDING_CONCURRENCY = config.ingestion.embeddingConcurrency;
+const CHROMA_BATCH_SIZE = config.chroma.batchSize;
+// Cache chunk embeddings on disk, keyed by model and chunk text
+const EMBEDDING_CACHE_ENABLED = config.ingestion.embeddingCache;
+
+// Requests per minute for each user or API key; 0 turns a limit off.
+// /search shares the chat budget since it also spends embedding tokens.
+const RATE_LIMITS = {
+  chat: config.limits.chatPerMinute,
+  upload: config.limits.uploadPerMinute
+};
+
+// Monthly spending limits per workspace; 0 means unlimited
+const MONTHLY_TOKEN_QUOTA = config.limits.monthlyTokenQuota;
+const MONTHLY_COST_QUOTA_USD = config.limits.monthlyCostQuotaUsd;
+
+// Log responses and stream events that don't match the OpenAPI document; on by default outside production
+const { validateRequest, checkStreamEvent } = createValidators({ checkResponses: config.server.validateResponses });
+const RETRY_OPTIONS = {
+  retries: config.ingestion.maxRetries,
+  baseDelayMs: config.ingestion.retryBaseDelayMs,
+  maxDelayMs: 30000
+};
+
+// Initialize ChromaDB, which must be running (v2 API) at CHROMA_URL, e.g. via `npm run chroma` or Docker
+const initializeChroma = async () => {
+  // Initialize direct ChromaDB client
+  chromaClient = new ChromaClient({
+    path: config.chroma.url
+  });
+
+  // Test the connection
+  await chromaClient.heartbeat();
+  logger.info('ChromaDB client initialized', { url: config.chroma.url });
+
+  return chromaClient;
+};
+
+// Embed texts in batches, a few batches at a time, reusing vectors this model has
+// produced before (e.g. unchanged chunks of an edited file). Returns vectors in input order.
+// Tokens actually sent to the provider are added to `usage.embeddingTokens`.
+const embedTexts = async (texts, { onProgress = () => {}, usage = null } = {}) => {
+  const embeddings = getEmbeddings();
+  const modelId = getEmbeddingModelId();
+  const vectors = EMBEDDING_CACHE_ENABLED
+    ? getCachedEmbeddings(modelId, texts)
+    : texts.map(() => null);
+  const missing = texts.map((text, index) => index).filter(index => !vectors[index]);
+  const cachedCount = texts.length - missing.length;
+
+  if (cachedCount > 0) {
+    logger.debug('Reusing cached embeddings', { cachedCount });
+  }
+
+  const batches = chunkArray(missing, EMBEDDING_BATCH_SIZE);
+  let doneCount = cachedCount;
+
+  logger.debug('Generating embeddings', { texts: missing.length, batches: batches.length });
+  onProgress(doneCount);
+
+  await mapWithConcurrency(batches, EMBEDDING_CONCURRENCY, async (batch, batchIndex) => {
+    const batchTexts = batch.map(index => texts[index]);
+    const batchVectors = await withRetry(
+      () => embeddings.embedDocuments(batchTexts),
+      {
+        ...RETRY_OPTIONS,
+        onRetry: (error, attempt, delay) => {
+          logger.warn('Embedding batch failed, retrying', { batch: batchIndex + 1, attempt, delayMs: delay, error: error.message });
+        }
+      }
+    );
+
+    batch.forEach((textIndex, i) => {
+      vectors[textIndex] = batchVectors[i];
+    });
+
+    if (usage) {
+      usage.embeddingTokens += batchTexts.reduce((sum, text) => sum + countTokens(text), 0);
+    }
+
+    if (EMBEDDING_CACHE_ENABLED) {
+      cacheEmbeddings(modelId, batchTexts, batchVectors);
+    }
+
+    doneCount += batch.length;
+    onProgress(doneCount);
+  });
+
+  return { vectors, cachedCount };
+};
+
+// Chunk loaded text and create embeddings
+const processDocument = async (loaded, collectionId, { filename, format, uploadedAt, tags = [], chunking, usage = null, reportProgress = () => {} }) => {
+  const collectionName = getCollectionName(collectionId);
+  let collection = null;
+
+  try {
+    reportProgress('chunking', 0, `Splitting text into chunks (${chunking.strategy})`);
+
+    // Loaders with structure of their own (CSV rows) chunk themselves; otherwise
+    // split the joined text so chunks can span page boundaries
+    const chunks = loaded.chunks || await timeStage('chunk', async () => {
+      const { text, ranges } = joinPages(loaded.pages);
+      const splits = await splitText(text, chunking, {
+        embedTexts: async (texts) => (await embedTexts(texts, { usage })).vectors
+      });
+      return locateChunks(text, splits.map(split => split.text), ranges)
+        .map((chunk, index) => ({ ...chunk, section: splits[index].section }));
+    });
+    const timestamp = new Date().toISOString();
+    reportProgress('chunking', 1, `Created ${chunks.length} chunks`);
+
+    // Chroma metadata values must be flat strings, numbers or booleans
+    const documentsWithMetadata = chunks.map(chunk => ({
+      pageContent: chunk.text,
+      metadata: {
+        collectionId: collectionId,
+        filename: filename,
+        format: format,
+        paged: loaded.paged,
+        pageStart: chunk.pageStart,
+        pageEnd: chunk.pageEnd,
+        chunkIndex: chunk.chunkIndex,
+        startOffset: chunk.startOffset,
+        endOffset: chunk.endOffset,
+        ...(chunk.rowStart !== undefined && { rowStart: chunk.rowStart, rowEnd: chunk.rowEnd }),
+        ...(chunk.section && { section: chunk.section }),
+        // Epoch milliseconds so upload-date filters can use range operators
+        uploadedAt: uploadedAt,
+        ...tagsToMetadata(tags),
+        timestamp: timestamp
+      }
+    }));
+
+    // Keep only chunks with actual text, with their ids and metadata
+    const validChunks = documentsWithMetadata
+      .map((doc, index) => ({
+        id: `${collectionId}_${index}`,
+        document: doc.pageContent,
+        metadata: doc.metadata
+      }))
+      .filter(chunk => typeof chunk.document === 'string' && chunk.document.trim().length > 0);
+
+    if (validChunks.length === 0) {
+      throw new Error('No valid documents found');
+    }
+
+    logger.info('Chunked document', { chunks: documentsWithMetadata.length, validChunks: validChunks.length });
+
+    // Only chunks this model has not embedded before cost anything
+    reportProgress('embedding', 0, `Embedding ${validChunks.length} chunks`);
+    const { vectors: embeddingsList, cachedCount } = await timeStage('embed', () => embedTexts(
+      validChunks.map(chunk => chunk.document),
+      {
+        usage,
+        onProgress: (done) => {
+          reportProgress('embedding', done / validChunks.length, `Embedded ${done}/${validChunks.length} chunks`);
+        }
+      }
+    ));
+
+    logger.info('Embedded chunks', { generated: validChunks.length - cachedCount, cached: cachedCount });
+
+    // Vector store and keyword index together make up the indexing stage
+    await timeStage('index', async () => {
+      // Create collection using direct ChromaDB client
+      try {
+        // Try to get existing collection first
+        collection = await chromaClient.getCollection({ name: collectionName });
+        logger.debug('Using existing collection', { collectionName });
+      } catch (error) {
+        // Collection doesn't exist, create it
+        collection = await chromaClient.createCollection({
+          name: collectionName
+        });
+        logger.debug('Created collection', { collectionName });
+      }
+
+      // Write to ChromaDB in batches; ids are deterministic, so a retried batch is an upsert
+      const indexingBatches = chunkArray(validChunks.map((chunk, index) => ({
+        ...chunk,
+        embedding: embeddingsList[index]
+      })), CHROMA_BATCH_SIZE);
+      let indexedCount = 0;
+
+      reportProgress('indexing', 0, 'Adding chunks to the vector store');
+
+      for (const [batchIndex, batch] of indexingBatches.entries()) {
+        await withRetry(
+          () => collection.upsert({
+            ids: batch.map(chunk => chunk.id),
+            documents: batch.map(chunk => chunk.document),
+            metadatas: batch.map(chunk => chunk.metadata),
+            embeddings: batch.map(chunk => chunk.embedding)
+          }),
+          {
+            ...RETRY_OPTIONS,
+            onRetry: (error, attempt, delay) => {
+              logger.warn('ChromaDB batch failed, retrying', { batch: batchIndex + 1, attempt, delayMs: delay, error: error.message });
+            }
+          }
+        );
+
+        indexedCount += batch.length;
+        logger.debug('Indexed batch', { indexed: indexedCount, total: validChunks.length });
+        reportProgress('indexing', indexedCount / validChunks.length, `Indexed ${indexedCount}/${validChunks.length} chunks`);
+      }
+
+      // Keyword index for hybrid retrieval, stored next to the registry
+      saveKeywordIndex(collectionId, buildKeywordIndex(validChunks));
+    });
+
+    return {
+      success: true,
+      message: 'Document processed successfully',
+      collectionId: collectionId,
+      chunksCount: validChunks.length
+    };
+  } catch (error) {
+    // Never leave a half-filled collection behind
+    deleteKeywordIndex(collectionId);
+    if (collection) {
+      try {
+        await chromaClient.deleteCollection({ name: collectionName });
+        logger.info('Removed partial collection', { collectionName });
+      } catch (cleanupError) {
+        logger.error('Failed to remove partial collection', { collectionName, error: cleanupError });
+      }
+    }
+
+    throw error;
+  }
+};
+
+// Resolve the ChromaDB collection backing a registered document
+const getDocumentCollection = async (documentId) => {
+  if (!chromaClient) {
+    throw new Error('ChromaDB client not initialized');
+  }
+
+  return chromaClient.getCollection({ name: getCollectionName(documentId) });
+};
+
+// Rewrite a follow-up question into a standalone query using the conversation so far
+const condenseQuestion = async (history, question, { signal, usage }) => {
+  if (history.length === 0) {
+    return question;
+  }
+
+  const llm = createChatModel({ temperature: 0 });
+
+  const prompt = `Given the following conversation and a follow-up question, rephrase the follow-up question to be a standalone question that can be understood without the conversation. Keep names, numbers and terms from the conversation that the question refers to. If the question is already standalone, return it unchanged. Reply with the question only.
+
+Conversation:
+${formatHistory(history)}
+
+Follow-up question: ${question}
+
+Standalone question:`;
+
+  const response = await llm.invoke(prompt, { signal });
+  const standaloneQuestion = response.content.trim();
+
+  usage.promptTokens += countTokens(prompt);
+  usage.completionTokens += countTokens(response.content);
+
+  return standaloneQuestion || question;
+};
+
+// Identifies the embedding space a collection was built in
+const getEmbeddingModelId = () => {
+  const { provider, model } = getProviderConfig().embedding;
+  return `${provider}/${model}`;
+};
+
+// Identifies the chat model for usage pricing
+const getLlmModelId = () => {
+  const { provider, model } = getProviderConfig().llm;
+  return `${provider}/${model}`;
+};
+
+// Who a usage record is billed to
+const getUsageOwner = (req) => ({
+  workspaceId: req.auth.workspace.id,
+  userId: req.auth.user?.id || null,
+  apiKeyId: req.auth.apiKey?.id || null
+});
+
+// Save a request's token counts, unless it never reached a model
+const saveUsage = (owner, operation, usage, extra = {}) => {
+  if (usage.promptTokens + usage.completionTokens + usage.embeddingTokens === 0) {
+    return null;
+  }
+
+  try {
+    return recordUsage({
+      ...owner,
+      ...extra,
+      operation,
+      llmModel: getLlmModelId(),
+      embeddingModel: getEmbeddingModelId(),
+      ...usage
+    });
+  } catch (error) {
+    logger.error('Error recording usage', { error });
+    return null;
+  }
+};
+
+const newUsage = () => ({ promptTokens: 0, completionTokens: 0, embeddingTokens: 0 });
+
+// Where a workspace stands against its monthly limits
+const describeQuota = (workspaceId) => {
+  const { month, resetsAt, totalTokens, cost } = getMonthlyUsage(workspaceId);
+
+  return {
+    month,
+    resetsAt,
+    tokens: {
+      used: totalTokens,
+      limit: MONTHLY_TOKEN_QUOTA || null,
+      remaining: MONTHLY_TOKEN_QUOTA ? Math.max(MONTHLY_TOKEN_QUOTA - totalTokens, 0) : null
+    },
+    cost: {
+      used: cost,
+      limit: MONTHLY_COST_QUOTA_USD || null,
+      remaining: MONTHLY_COST_QUOTA_USD ? Math.max(MONTHLY_COST_QUOTA_USD - cost, 0) : null
+    },
+    exceeded: (MONTHLY_TOKEN_QUOTA > 0 && totalTokens >= MONTHLY_TOKEN_QUOTA) ||
+      (MONTHLY_COST_QUOTA_USD > 0 && cost >= MONTHLY_COST_QUOTA_USD)
+  };
+};
+
+// Limit how often each user or API key can call an expensive route
+const rateLimit = (name) => (req, res, next) => {
+  const limit = RATE_LIMITS[name];
+
+  if (!limit) {
+    return next();
+  }
+
+  const caller = req.auth.apiKey ? `apiKey:${req.auth.apiKey.id}` : `user:${req.auth.user.id}`;
+  const { allowed, remaining, retryAfterMs } = consumeRateLimit(`${name}:${caller}`, limit);
+
+  res.setHeader('X-RateLimit-Limit', limit);
+  res.setHeader('X-RateLimit-Remaining', remaining);
+
+  if (!allowed) {
+    const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+    res.setHeader('Retry-After', retryAfter);
+    return sendError(res, 429, `Rate limit reached: at most ${limit} ${name} requests per minute. Try again in ${retryAfter} seconds.`, {
+      code: 'rate_limited',
+      details: { retryAfter, limit }
+    });
+  }
+
+  next();
+};
+
+// Refuse work that spends tokens once the workspace has used up its month
+const enforceQuota = (req, res, next) => {
+  const quota = describeQuota(req.auth.workspace.id);
+
+  if (!quota.exceeded) {
+    return next();
+  }
+
+  const retryAfter = Math.ceil((Date.parse(quota.resetsAt) - Date.now()) / 1000);
+  res.setHeader('Retry-After', retryAfter);
+  sendError(res, 429, `Your workspace has used its monthly quota. It resets on ${quota.resetsAt.slice(0, 10)}.`, {
+    code: 'quota_exceeded',
+    details: { retryAfter, quota }
+  });
+};
+
+// Routes
+
+// Health check
+app.get('/health', validateRequest('getHealth'), (req, res) => {
+  res.json({ status: 'OK', message: 'RAG Server is running', providers: describeProviders() });
+});
+
+// Registration is open until the first account exists; afterwards only with ALLOW_REGISTRATION=true
+const registrationOpen = () => !hasUsers() || config.auth.allowRegistration;
+
+// Create an account in a new workspace; the first account also adopts older documents
+app.post('/auth/register', validateRequest('register'), (req, res) => {
+  try {
+    if (!registrationOpen()) {
+      return sendError(res, 403, 'Registration is closed. Ask a workspace admin to add you.');
+    }
+
+    const { username, password, workspaceName } = req.body;
+    const errors = validateCredentials({ username, password });
+
+    if (errors.length > 0) {
+      return sendError(res, 400, errors.join('; '));
+    }
+
+    if (findUserByUsername(username)) {
+      return sendError(res, 409, 'That username is taken');
+    }
+
+    const isFirstUser = !hasUsers();
+    const workspace = createWorkspace(workspaceName || `${username}'s workspace`);
+    const user = createUser({ username, password, workspaceId: workspace.id, role: 'admin' });
+
+    if (isFirstUser) {
+      const claimed = claimUnownedDocuments(workspace.id);
+      if (claimed > 0) {
+        logger.info('Assigned existing documents to workspace', { documents: claimed, workspaceId: workspace.id });
+      }
+    }
+
+    const session = createAuthSession(user.id);
+    res.status(201).json({ ...session, user: publicUser(user), workspace });
+  } catch (error) {
+    logger.error('Registration error', { error });
+    sendError(res, 500, 'Failed to create account');
+  }
+});
+
+app.post('/auth/login', validateRequest('login'), (req, res) => {
+  const { username, password } = req.body;
+  const user = authenticateUser(username, password);
+
+  if (!user) {
+    return sendError(res, 401, 'Invalid username or password');
+  }
+
+  const session = createAuthSession(user.id);
+  res.json({ ...session, user: publicUser(user), workspace: getWorkspace(user.workspaceId) });
+});
+
+// Whether the login screen should offer sign-up
+app.get('/auth/status', validateRequest('getAuthStatus'), (req, res) => {
+  res.json({ registrationOpen: registrationOpen(), hasUsers: hasUsers() });
+});
+
+// The API description is public so clients can be generated without an account
+app.get('/openapi.json', validateRequest('getOpenApiDocument'), (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Prometheus scrape endpoint; set METRICS_TOKEN to require it as a bearer token
+app.get('/metrics', validateRequest('getMetrics'), async (req, res) => {
+  if (config.server.metricsToken && readToken(req) !== config.server.metricsToken) {
+    return sendError(res, 401, 'Metrics token required');
+  }
+
+  res.setHeader('Content-Type', metricsRegistry.contentType);
+  res.send(await metricsRegistry.metrics());
+});
+
+// Everything below requires a session token or API key
+app.use(requireAuth);
+
+app.post('/auth/logout', validateRequest('logout'), (req, res) => {
+  if (req.auth.method === 'session') {
+    deleteAuthSession(readToken(req));
+  }
+
+  res.json({ success: true });
+});
+
+app.get('/auth/me', validateRequest('getCurrentUser'), (req, res) => {
+  res.json({
+    user: req.auth.user ? publicUser(req.auth.user) : null,
+    workspace: req.auth.workspace,
+    method: req.auth.method
+  });
+});
+
+// Non-secret settings, so clients can match the server's limits and defaults
+app.get('/config', validateRequest('getConfig'), (req, res) => {
+  res.json({ ...describeConfig(), models: describeProviders() });
+});
+
+// Chunking for uploads that don't choose their own; an empty body clears it
+app.put('/workspace/chunking', requireAdmin, validateRequest('updateWorkspaceChunking'), (req, res) => {
+  const chunkingDefaults = pickChunkingFields(req.body || {});
+  const { chunkingStrategy: strategy, ...options } = chunkingDefaults;
+
+  // Per-format rules (e.g. CSV rows) still apply at upload; this catches impossible combinations now
+  const { errors } = resolveChunkingOptions({ strategy, ...options }, { format: 'text' });
+
+  if (errors.length > 0) {
+    return sendError(res, 400, errors.join('; '));
+  }
+
+  const workspace = updateWorkspace(req.auth.workspace.id, { chunkingDefaults });
+  res.json({ chunkingDefaults: workspace.chunkingDefaults });
+});
+
+app.get('/workspace/members', validateRequest('listWorkspaceMembers'), (req, res) => {
+  res.json({ members: listWorkspaceMembers(req.auth.workspace.id) });
+});
+
+// Add an account to the caller's workspace
+app.post('/workspace/members', requireAdmin, validateRequest('addWorkspaceMember'), (req, res) => {
+  const { username, password, role = 'member' } = req.body;
+  const errors = validateCredentials({ username, password });
+
+  if (!ROLES.includes(role)) {
+    errors.push(`role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return sendError(res, 400, errors.join('; '));
+  }
+
+  if (findUserByUsername(username)) {
+    return sendError(res, 409, 'That username is taken');
+  }
+
+  const user = createUser({ username, password, workspaceId: req.auth.workspace.id, role });
+  res.status(201).json({ user: publicUser(user) });
+});
+
+app.get('/auth/api-keys', validateRequest('listApiKeys'), (req, res) => {
+  res.json({ apiKeys: listApiKeys(req.auth.workspace.id) });
+});
+
+// The key is only shown in this response
+app.post('/auth/api-keys', requireAdmin, validateRequest('createApiKey'), (req, res) => {
+  const { name, role = 'member' } = req.body || {};
+
+  if (!ROLES.includes(role)) {
+    return sendError(res, 400, `role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const { key, apiKey } = createApiKey({
+    workspaceId: req.auth.workspace.id,
+    userId: req.auth.user.id,
+    name,
+    role
+  });
+
+  res.status(201).json({ key, apiKey });
+});
+
+app.delete('/auth/api-keys/:id', requireAdmin, validateRequest('deleteApiKey'), (req, res) => {
+  if (!deleteApiKey(req.auth.workspace.id, req.params.id)) {
+    return sendError(res, 404, 'API key not found');
+  }
+
+  res.json({ success: true, id: req.params.id });
+});
+
+// Parse a from/to query value; a bare date as the end of a range covers that whole day
+const parseUsageDate = (value, { endOfDay = false } = {}) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Token and cost report for the workspace, plus where it stands against its limits.
+// Query: from, to (default: this month), groupBy (day, operation, user or model), userId.
+app.get('/usage', validateRequest('getUsage'), (req, res) => {
+  const now = new Date();
+  const { groupBy = 'day', userId } = req.query;
+  const from = req.query.from
+    ? parseUsageDate(req.query.from)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const to = req.query.to ? parseUsageDate(req.query.to, { endOfDay: true }) : now;
+
+  if (!from || !to) {
+    return sendError(res, 400, 'from and to must be dates, e.g. 2025-01-31');
+  }
+
+  if (from > to) {
+    return sendError(res, 400, 'from must not be after to');
+  }
+
+  try {
+    const records = listUsageRecords({
+      workspaceId: req.auth.workspace.id,
+      from,
+      to,
+      userId: typeof userId === 'string' ? userId : null
+    });
+
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      groupBy,
+      ...summarizeUsage(records, groupBy),
+      quota: describeQuota(req.auth.workspace.id),
+      rateLimits: {
+        chatPerMinute: RATE_LIMITS.chat || null,
+        uploadPerMinute: RATE_LIMITS.upload || null
+      }
+    });
+  } catch (error) {
+    logger.error('Usage report error', { error });
+    sendError(res, 500, 'Failed to build usage report');
+  }
+});
+
+// Parse and index an uploaded file; runs in the background as an ingestion job
+const ingestDocument = async ({ filePath, collectionId, filename, loader, owner }, reportProgress) => {
+  const usage = newUsage();
+
+  try {
+    // Parse the file with the loader for its format
+    reportProgress('parsing', 0, `Extracting text from ${loader.format.toUpperCase()}`);
+    const registered = getDocument(collectionId);
+    const loaded = await timeStage('parse', () => loader.load(filePath, { chunkSize: registered.chunking.chunkSize }));
+
+    if (!loaded.pages.some(page => page.text.trim().length > 0)) {
+      throw new Error('No text content found in document');
+    }
+
+    reportProgress('parsing', 1, loaded.paged
+      ? `Extracted text from ${loaded.pageCount} pages`
+      : 'Extracted text');
+
+    // Process document
+    const result = await processDocument(loaded, collectionId, {
+      filename,
+      format: loader.format,
+      uploadedAt: Date.parse(registered.uploadedAt),
+      tags: registered.tags,
+      chunking: registered.chunking,
+      usage,
+      reportProgress
+    });
+
+    const document = updateDocument(collectionId, {
+      status: 'ready',
+      chunkCount: result.chunksCount,
+      pageCount: loaded.paged ? loaded.pageCount : null,
+      embeddingModel: getEmbeddingModelId()
+    });
+
+    recordIngestion('completed', { format: loader.format, chunkCount: result.chunksCount });
+    logger.info('Ingestion completed', { filename, chunks: result.chunksCount });
+    return { ...result, document };
+  } catch (error) {
+    recordIngestion('failed');
+    logger.error('Ingestion failed', { filename, error });
+    updateDocument(collectionId, { status: 'failed', error: error.message });
+    throw error;
+  } finally {
+    // Embeddings are paid for even when ingestion fails later on
+    saveUsage(owner, 'upload', usage, { documentId: collectionId });
+  }
+};
+
+const CHUNKING_FIELDS = ['chunkingStrategy', 'chunkSize', 'chunkOverlap', 'breakpointPercentile'];
+
+// Chunking choices from an upload form or JSON body, leaving out blank ones
+const pickChunkingFields = (body = {}) => Object.fromEntries(
+  CHUNKING_FIELDS.filter(field => body[field] !== undefined && body[field] !== '').map(field => [field, body[field]])
+);
+
+// Complete chunking for a file: the caller's choices, then the workspace defaults,
+// then CHUNKING_STRATEGY and the per-format default. Returns { chunking, errors }.
+const resolveWorkspaceChunking = (req, body, format) => {
+  const { chunkingStrategy: strategy, ...options } = {
+    ...pickChunkingFields(req.auth.workspace.chunkingDefaults),
+    ...pickChunkingFields(body)
+  };
+
+  return resolveChunkingOptions({ strategy, ...options }, { format, defaultStrategy: DEFAULT_CHUNKING_STRATEGY });
+};
+
+// Drop a document's vectors and keyword index, e.g. before indexing it again
+const deleteDocumentIndex = async (document) => {
+  try {
+    await chromaClient.deleteCollection({ name: document.collectionName });
+  } catch (error) {
+    // A failed upload may never have created its collection
+    logger.info('Collection could not be deleted', { collectionName: document.collectionName, error: error.message });
+  }
+
+  deleteKeywordIndex(document.id);
+};
+
+// Upload a document and queue it for processing
+app.post('/upload', rateLimit('upload'), enforceQuota, uploadDocument, validateRequest('uploadDocument'), async (req, res) => {
+  try {
+    if (!chromaClient) {
+      fs.unlinkSync(req.file.path);
+      return sendError(res, 503, 'ChromaDB is not available');
+    }
+
+    const loader = getLoaderForFile(req.file);
+
+    let tags;
+    try {
+      tags = parseTags(req.body.tags);
+    } catch (error) {
+      fs.unlinkSync(req.file.path);
+      return sendError(res, 400, error.message);
+    }
+
+    const { chunking, errors } = resolveWorkspaceChunking(req, req.body, loader.format);
+
+    if (errors.length > 0) {
+      fs.unlinkSync(req.file.path);
+      return sendError(res, 400, errors.join('; '));
+    }
+
+    recordUpload(loader.format, req.file.size);
+
+    // The same file uploaded again with the same chunking resolves to the document already indexed from it
+    const contentHash = await hashFile(req.file.path);
+    const existing = findDocumentByHash(contentHash, req.auth.workspace.id);
+    const sameChunking = JSON.stringify(existing?.chunking) === JSON.stringify(chunking);
+
+    if (existing && sameChunking && (existing.status === 'processing' || existing.embeddingModel === getEmbeddingModelId())) {
+      fs.unlinkSync(req.file.path);
+      logger.info('Upload matches an existing document', { filename: req.file.originalname, documentId: existing.id });
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: existing.status === 'processing'
+          ? 'This file is already being processed'
+          : 'This file has already been uploaded',
+        jobId: existing.status === 'processing' ? existing.jobId : null,
+        collectionId: existing.id,
+        document: existing
+      });
+    }
+
+    const collectionId = uuidv4();
+    const filename = req.file.originalname;
+
+    // Register the document before processing so failures are visible too
+    createDocument({
+      id: collectionId,
+      workspaceId: req.auth.workspace.id,
+      filename,
+      format: loader.format,
+      size: req.file.size,
+      contentHash,
+      tags,
+      chunking
+    });
+
+    // Keep the original so it can be viewed later; ingestion reads it from the store
+    const filePath = storeOriginal(getDocument(collectionId), req.file.path);
+
+    const job = createJob({ documentId: collectionId, filename });
+    const document = updateDocument(collectionId, { jobId: job.id });
+
+    // Jobs run after the response, so their log lines carry the upload's request id explicitly
+    const logContext = { requestId: req.id, jobId: job.id, documentId: collectionId };
+    enqueueJob(job.id, (reportProgress) => runWithLogContext(logContext, () => ingestDocument({
+      filePath,
+      collectionId,
+      filename,
+      loader,
+      owner: getUsageOwner(req)
+    }, reportProgress)));
+
+    res.status(202).json({
+      success: true,
+      message: 'Document queued for processing',
+      jobId: job.id,
+      collectionId,
+      document
+    });
+  } catch (error) {
+    logger.error('Upload error', { error });
+    sendError(res, 500, 'Failed to process document');
+  }
+});
+
+// Jobs are visible to the workspace that owns their document
+const getWorkspaceJob = (req, jobId) => {
+  const job = getJob(jobId);
+  return job && getWorkspaceDocument(req, job.documentId) ? job : null;
+};
+
+// Get the current state of an ingestion job
+app.get('/jobs/:id', validateRequest('getJob'), (req, res) => {
+  const job = getWorkspaceJob(req, req.params.id);
+
+  if (!job) {
+    return sendError(res, 404, 'Job not found');
+  }
+
+  res.json(job);
+});
+
+// Stream ingestion progress as Server-Sent Events until the job finishes
+app.get('/jobs/:id/events', validateRequest('streamJobEvents'), (req, res) => {
+  const job = getWorkspaceJob(req, req.params.id);
+
+  if (!job) {
+    return sendError(res, 404, 'Job not found');
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const writeEvent = (event) => {
+    checkStreamEvent('JobEvent', event);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const sendProgress = (currentJob) => {
+    writeEvent({ type: 'progress', job: currentJob });
+
+    if (isJobFinished(currentJob)) {
+      writeEvent({ type: 'end' });
+      unsubscribe();
+      res.end();
+    }
+  };
+
+  const unsubscribe = subscribeToJob(job.id, sendProgress);
+  res.on('close', unsubscribe);
+
+  sendProgress(job);
+});
+
+// List the workspace's documents
+app.get('/documents', validateRequest('listDocuments'), (req, res) => {
+  res.json({ documents: listDocuments({ workspaceId: req.auth.workspace.id }) });
+});
+
+// Get a single document, including the live chunk count from ChromaDB
+app.get('/documents/:id', validateRequest('getDocument'), async (req, res) => {
+  try {
+    const document = getWorkspaceDocument(req, req.params.id);
+
+    if (!document) {
+      return sendError(res, 404, 'Document not found');
+    }
+
+    let storedChunks = null;
+    if (document.status === 'ready' && chromaClient) {
+      try {
+        const collection = await getDocumentCollection(document.id);
+        storedChunks = await collection.count();
+      } catch (error) {
+        logger.warn('Could not read collection', { documentId: document.id, error: error.message });
+      }
+    }
+
+    res.json({ ...document, storedChunks });
+  } catch (error) {
+    logger.error('Document info error', { error });
+    sendError(res, 500, 'Failed to get document info');
+  }
+});
+
+// Replace a document's saved retrieval settings; an empty body restores the server defaults
+app.put('/documents/:id/settings', validateRequest('updateDocumentSettings'), (req, res) => {
+  const document = getWorkspaceDocument(req, req.params.id);
+
+  if (!document) {
+    return sendError(res, 404, 'Document not found');
+  }
+
+  const { settings, errors } = validateRetrievalSettings(req.body || {});
+
+  if (errors.length > 0) {
+    return sendError(res, 400, errors.join('; '));
+  }
+
+  const updated = updateDocument(document.id, { retrievalSettings: settings });
+
+  res.json({
+    retrievalSettings: updated.retrievalSettings,
+    effectiveSettings: { ...RETRIEVAL_DEFAULTS, ...updated.retrievalSettings }
+  });
+});
+
+// Chunk and embed a document again from its original file. An empty body replays the
+// recorded chunking; otherwise the given options and the workspace defaults pick a new one.
+app.post('/documents/:id/reindex', rateLimit('upload'), enforceQuota, validateRequest('reindexDocument'), (req, res) => {
+  const document = getWorkspaceDocument(req, req.params.id);
+
+  if (!document) {
+    return sendError(res, 404, 'Document not found');
+  }
+
+  if (document.status === 'processing') {
+    return sendError(res, 409, 'Document is still being processed');
+  }
+
+  if (!chromaClient) {
+    return sendError(res, 503, 'ChromaDB is not available');
+  }
+
+  const filePath = getOriginalPath(document);
+
+  if (!filePath) {
+    return sendError(res, 409, 'The original file of this document was not kept. Upload it again instead.', {
+      code: 'original_not_available'
+    });
+  }
+
+  // Uploads can be accepted by MIME type alone, so the filename may not name a format.
+  // Documents from before formats were recorded fall back to their extension.
+  const loader = getLoaderForFormat(document.format) || getLoaderForFile({ originalname: document.filename });
+
+  if (!loader) {
+    return sendError(res, 409, 'No loader supports this document\'s format. Upload it again instead.', {
+      code: 'unsupported_format'
+    });
+  }
+
+  const replay = Object.keys(pickChunkingFields(req.body || {})).length === 0 && document.chunking;
+  const { chunking, errors } = replay
+    ? { chunking: document.chunking, errors: [] }
+    : resolveWorkspaceChunking(req, req.body || {}, loader.format);
+
+  if (errors.length > 0) {
+    return sendError(res, 400, errors.join('; '));
+  }
+
+  const job = createJob({ documentId: document.id, filename: document.filename });
+  const updated = updateDocument(document.id, { status: 'processing', error: null, chunking, jobId: job.id });
+
+  const logContext = { requestId: req.id, jobId: job.id, documentId: document.id };
+  enqueueJob(job.id, (reportProgress) => runWithLogContext(logContext, async () => {
+    // Chunk ids are positional, so chunks of the old split must not survive a shorter new one
+    await deleteDocumentIndex(document);
+    return ingestDocument({
+      filePath,
+      collectionId: document.id,
+      filename: document.filename,
+      loader,
+      owner: getUsageOwner(req)
+    }, reportProgress);
+  }));
+
+  logger.info('Re-indexing document', { documentId: document.id, chunking });
+  res.status(202).json({
+    success: true,
+    message: 'Document queued for re-indexing',
+    jobId: job.id,
+    collectionId: document.id,
+    document: updated
+  });
+});
+
+// Pick the prompt template /chat uses for a document; templateId null restores the default
+app.put('/documents/:id/prompt-template', validateRequest('setDocumentPromptTemplate'), (req, res) => {
+  const document = getWorkspaceDocument(req, req.params.id);
+
+  if (!document) {
+    return sendError(res, 404, 'Document not found');
+  }
+
+  const { templateId, version = null } = req.body;
+  const choice = templateId && templateId !== DEFAULT_TEMPLATE_ID ? { id: templateId, version } : null;
+
+  if (choice && !resolvePromptTemplate(req, choice)) {
+    return sendError(res, 404, version ? `Prompt template version ${version} not found` : 'Prompt template not found');
+  }
+
+  const updated = updateDocument(document.id, { promptTemplate: choice });
+  res.json({ promptTemplate: updated.promptTemplate });
+});
+
+// Stream a document's original file, e.g. for the PDF viewer. Supports Range requests.
+app.get('/documents/:id/file', validateRequest('getDocumentFile'), (req, res) => {
+  const document = getWorkspaceDocument(req, req.params.id);
+
+  if (!document) {
+    return sendError(res, 404, 'Document not found');
+  }
+
+  const filePath = getOriginalPath(document);
+
+  if (!filePath) {
+    return sendError(res, 404, 'The original file of this document was not kept. Upload it again to view it.', {
+      code: 'original_not_available'
+    });
+  }
+
+  // Only PDFs open in the browser; HTML and other uploads would otherwise run on the API's origin.
+  // The sandbox policy keeps even an inline PDF from running scripts with that origin.
+  const disposition = document.format === 'pdf' ? 'inline' : 'attachment';
+
+  res.sendFile(path.resolve(filePath), {
+    headers: {
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(document.filename)}`,
+      'Content-Security-Policy': 'sandbox',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600'
+    }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      logger.error('Original file error', { documentId: document.id, error });
+      sendError(res, 500, 'Failed to read the original file');
+    }
+  });
+});
+
+// Delete a document and its vector collection
+app.delete('/documents/:id', validateRequest('deleteDocument'), async (req, res) => {
+  try {
+    const document = getWorkspaceDocument(req, req.params.id);
+
+    if (!document) {
+      return sendError(res, 404, 'Document not found');
+    }
+
+    if (document.status === 'processing') {
+      return sendError(res, 409, 'Document is still being processed');
+    }
+
+    if (!chromaClient && document.status === 'ready') {
+      return sendError(res, 503, 'ChromaDB is not available');
+    }
+
+    if (chromaClient) {
+      await deleteDocumentIndex(document);
+    } else {
+      deleteKeywordIndex(document.id);
     }
+
+    removeOriginal(document);
+    deleteDocumentSessions(document.id);
+    removeDocument(document.id);
+
+    res.json({ success: true, id: document.id });
+  } catch (error) {
+    logger.error('Document delete error', { error });
+    sendError(res, 500, 'Failed to delete document');
   }
 });
 
-// Global variables for vector store
-let vectorStore = null;
-let chromaClient = null;
-let currentCollection = null;
-
-// Initialize ChromaDB
-const initializeChroma = async () => {
+// Chat endpoint with streaming (Server-Sent Events)
+app.post('/chat', rateLimit('chat'), enforceQuota, validateRequest('chat'), async (req, res) => {
   try {
-    const embeddings = new OpenAIEmbeddings({
-      openAIApiKey: process.env.OPENAI_API_KEY,
-      modelName: 'text-embedding-3-small'
+    const {
+      question,
+      collectionId,
+      sessionId,
+      retrievalMode,
+      keywordWeight,
+      k,
+      maxDistance,
+      mmr,
+      mmrLambda,
+      filter,
+      promptTemplateId,
+      promptTemplateVersion,
+      trace: traceRequested
+    } = req.body;
+
+    const { settings: requestSettings, errors } = validateRetrievalSettings({
+      retrievalMode, keywordWeight, k, maxDistance, mmr, mmrLambda
     });
+    const { where, errors: filterErrors } = buildWhereClause(filter);
+
+    if (errors.length > 0 || filterErrors.length > 0) {
+      return sendError(res, 400, [...errors, ...filterErrors].join('; '));
+    }
+
+    const document = getWorkspaceDocument(req, collectionId);
+
+    if (!document) {
+      return sendError(res, 404, 'Document not found. Please upload a document first.');
+    }
+
+    if (document.status !== 'ready') {
+      return sendError(res, 409, `Document is not ready for chat (status: ${document.status})`);
+    }
+
+    // Query vectors must come from the same model the document was indexed with
+    if (document.embeddingModel && document.embeddingModel !== getEmbeddingModelId()) {
+      return sendError(res, 409, `Document was indexed with ${document.embeddingModel} but the server now uses ${getEmbeddingModelId()}. Please upload it again.`, {
+        code: 'embedding_model_mismatch'
+      });
+    }
+
+    // The request's template wins over the document's, which wins over the built-in default
+    const promptTemplate = resolvePromptTemplate(req, promptTemplateId
+      ? { id: promptTemplateId, version: promptTemplateVersion ?? null }
+      : document.promptTemplate || { id: DEFAULT_TEMPLATE_ID });
+
+    if (!promptTemplate) {
+      return sendError(res, 404, 'Prompt template not found');
+    }
+
+    // Saved with the answer so it is clear which wording produced it
+    const templateInfo = {
+      id: promptTemplate.template.id,
+      name: promptTemplate.template.name,
+      version: promptTemplate.version.version
+    };
+
+    if (!chromaClient) {
+      return sendError(res, 503, 'ChromaDB is not available');
+    }
 
-    // Initialize direct ChromaDB client
-    chromaClient = new ChromaClient({
-      path: 'http://localhost:8000'
+    const collection = await getDocumentCollection(document.id);
+    const session = resolveSession(sessionId, document, {
+      workspaceId: req.auth.workspace.id,
+      userId: req.auth.user?.id || null
     });
+    const conversation = getConversation(session);
 
-    // Test the connection
-    await chromaClient.heartbeat();
-    console.log('ChromaDB client initialized successfully');
-    
-    return chromaClient;
-  } catch (error) {
-    console.error('Error initializing ChromaDB:', error);
-    console.log('Make sure ChromaDB is running on http://localhost:8000');
-    console.log('ChromaDB is running in Docker - check Docker Desktop');
-    console.log('Note: ChromaDB v2 API is being used');
-    throw error;
-  }
-};
+    // Request settings win over the document's saved settings, which win over server defaults
+    const retrievalSettings = {
+      ...RETRIEVAL_DEFAULTS,
+      ...document.retrievalSettings,
+      ...requestSettings
+    };
 
-// Parse PDF document
-const parsePDF = async (filePath) => {
-  try {
-    // Dynamic import to avoid test file issues during startup
-    const pdf = (await import('pdf-parse')).default;
-    const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdf(dataBuffer);
-    return data.text;
-  } catch (error) {
-    console.error('Error parsing PDF:', error);
-    throw error;
-  }
-};
+    // Set response headers for streaming
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
 
-// Chunk text and create embeddings
-const processDocument = async (text, collectionId) => {
-  try {
-    // Split text into chunks
-    const textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1000,
-      chunkOverlap: 200,
+    // Abort generation when the client goes away before we finish
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        logger.info('Client disconnected, aborting generation');
+        abortController.abort();
+      }
     });
 
-    const docs = await textSplitter.createDocuments([text]);
-    
-    // Add metadata to documents
-    const documentsWithMetadata = docs.map(doc => ({
-      ...doc,
-      metadata: {
-        ...doc.metadata,
-        collectionId: collectionId,
-        timestamp: new Date().toISOString()
+    const sendEvent = (type, payload = {}) => {
+      if (!res.writableEnded) {
+        const event = { type, ...payload };
+        checkStreamEvent('ChatEvent', event);
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
       }
-    }));
+    };
 
-    // Create embeddings
-    const embeddings = new OpenAIEmbeddings({
-      openAIApiKey: process.env.OPENAI_API_KEY,
-      modelName: 'text-embedding-3-small'
-    });
+    // Tokens are billed once, whether the answer completes, stops or fails
+    const usage = newUsage();
+    let prompt = null;
+    let answer = '';
+    let usageRecord;
+    const settleUsage = () => {
+      if (usageRecord === undefined) {
+        if (prompt) {
+          // Providers do not report usage for streamed completions, so count it locally
+          usage.promptTokens += countTokens(prompt);
+          usage.completionTokens += countTokens(answer);
+        }
+        usageRecord = saveUsage(getUsageOwner(req), 'chat', usage, { documentId: document.id });
+      }
+      return usageRecord;
+    };
+    const describeUsage = () => {
+      const record = settleUsage();
+      return {
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        embeddingTokens: usage.embeddingTokens,
+        totalTokens: record?.totalTokens ?? 0,
+        cost: record?.cost ?? null,
+        estimated: true
+      };
+    };
+
+    // Opt-in debug trace of what the model saw, filled in stage by stage,
+    // stored for GET /traces/:id and sent as a trace event before end or error
+    const startedAt = Date.now();
+    const timings = {};
+    const trace = traceRequested ? createTrace({
+      ...getUsageOwner(req),
+      requestId: req.id,
+      sessionId: session.id,
+      messageId: null,
+      documentId: document.id,
+      documentName: document.filename,
+      question,
+      query: null,
+      retrieval: null,
+      candidates: [],
+      prompt: null,
+      promptTemplate: templateInfo,
+      models: describeProviders()
+    }) : null;
+    const finishTrace = (outcome, fields = {}) => {
+      if (!trace) {
+        return;
+      }
+
+      Object.assign(trace, {
+        ...fields,
+        outcome,
+        prompt,
+        usage: describeUsage(),
+        timings: { ...timings, total: Date.now() - startedAt }
+      });
+      saveTrace(trace);
+      sendEvent('trace', { traceId: trace.id, trace });
+    };
 
-    // Create or get collection
-    const collectionName = `collection_${collectionId}`;
-    
-    // Create collection using direct ChromaDB client
-    let collection;
     try {
-      // Try to get existing collection first
-      collection = await chromaClient.getCollection({ name: collectionName });
-      console.log(`Using existing collection: ${collectionName}`);
-    } catch (error) {
-      // Collection doesn't exist, create it
-      console.log(`Creating new collection: ${collectionName}`);
-      collection = await chromaClient.createCollection({
-        name: collectionName
+      sendEvent('start', { message: 'Processing your question...', sessionId: session.id });
+
+      // Create LLM instance
+      const llm = createChatModel({ streaming: true });
+
+      // Create embeddings instance
+      const embeddings = getEmbeddings();
+
+      // Follow-ups are rewritten into standalone queries before retrieval
+      const condenseHistory = getHistoryWithinBudget(conversation, CONDENSE_HISTORY_TOKEN_BUDGET);
+      const standaloneQuestion = await timeStage('condense', () => condenseQuestion(condenseHistory, question, {
+        signal: abortController.signal,
+        usage
+      }), timings);
+
+      // Retrieve chunks with dense, keyword or hybrid search
+      const { mode, docs, candidateCount, candidates } = await timeStage('retrieve', () => retrieve({
+        collection,
+        documentId: document.id,
+        query: standaloneQuestion,
+        embedQuery: async (text) => {
+          const vector = await withRetry(() => embeddings.embedQuery(text), { retries: 2, baseDelayMs: 250 });
+          usage.embeddingTokens += countTokens(text);
+          return vector;
+        },
+        settings: retrievalSettings,
+        where,
+        includeCandidates: Boolean(trace)
+      }), timings);
+
+      const retrievalInfo = { ...retrievalSettings, retrievalMode: mode, candidateCount, filter: where ? filter : null };
+
+      if (trace) {
+        trace.query = standaloneQuestion;
+        trace.retrieval = retrievalInfo;
+        trace.candidates = candidates.map(candidate => ({
+          id: candidate.id,
+          rank: candidate.rank,
+          status: candidate.status,
+          citation: candidate.position,
+          content: candidate.pageContent,
+          pageLabel: formatPageLabel(candidate.metadata),
+          metadata: candidate.metadata,
+          distance: candidate.distance ?? null,
+          relevance: candidate.relevance ?? null,
+          score: candidate.fusedScore ?? candidate.keywordScore ?? null,
+          ranks: candidate.ranks || null
+        }));
+      }
+
+      // Nothing close enough to the question: answer without calling the LLM
+      if (docs.length === 0) {
+        const answer = buildNoContextAnswer({
+          template: promptTemplate.version.noContextAnswer,
+          question,
+          filtered: Boolean(where)
+        });
+        sendEvent('sources', { sources: [], query: standaloneQuestion, retrievalMode: mode, retrieval: retrievalInfo });
+        sendEvent('token', { token: answer });
+        const reply = appendTurn(session.id, question, {
+          answer,
+          retrieval: { query: standaloneQuestion, ...retrievalInfo },
+          traceId: trace?.id
+        });
+        recordChatAnswer('no_context');
+        finishTrace('no_context', { messageId: reply.id, answer });
+        sendEvent('end', { messageId: reply.id, usage: describeUsage(), citations: [], invalidCitations: [] });
+        return;
+      }
+
+      // Send sources up front so the client can show them while the answer streams.
+      // `citation` is the number the answer uses to cite a source, as numbered in the prompt.
+      const sources = docs.map((doc, index) => ({
+        id: doc.id,
+        citation: index + 1,
+        content: doc.pageContent,
+        pageLabel: formatPageLabel(doc.metadata),
+        metadata: doc.metadata,
+        distance: doc.distance,
+        score: doc.fusedScore ?? doc.keywordScore ?? null,
+        ranks: doc.ranks || null
+      }));
+      sendEvent('sources', {
+        query: standaloneQuestion,
+        retrievalMode: mode,
+        retrieval: retrievalInfo,
+        sources
       });
-      console.log(`Successfully created collection: ${collectionName}`);
-    }
 
-    // Prepare documents for ChromaDB
-    const documents = documentsWithMetadata.map(doc => doc.pageContent);
-    const metadatas = documentsWithMetadata.map(doc => doc.metadata);
-    const ids = documentsWithMetadata.map((_, index) => `${collectionId}_${index}`);
+      // Include as much recent conversation as fits the budget
+      const history = getHistoryWithinBudget(conversation, HISTORY_TOKEN_BUDGET);
+      prompt = buildAnswerPrompt({
+        context: buildContext(docs),
+        history,
+        question,
+        template: promptTemplate.version.template
+      });
 
-    console.log(`Processing ${documents.length} document chunks...`);
-    
-    // Validate data before processing
-    if (documents.length === 0) {
-      throw new Error('No documents to process');
-    }
-    
-    // Filter valid documents and corresponding metadata/ids
-    const validIndices = [];
-    const validDocuments = [];
-    const validMetadatas = [];
-    const validIds = [];
-    
-    documents.forEach((doc, index) => {
-      if (typeof doc === 'string' && doc.trim().length > 0) {
-        validDocuments.push(doc);
-        validMetadatas.push(metadatas[index]);
-        validIds.push(ids[index]);
-        validIndices.push(index);
+      // Stream the response from the LLM token by token
+      await timeStage('generate', async () => {
+        const stream = await llm.stream(prompt, { signal: abortController.signal });
+
+        for await (const chunk of stream) {
+          if (chunk.content) {
+            answer += chunk.content;
+            sendEvent('token', { token: chunk.content });
+          }
+        }
+      }, timings);
+
+      // Only numbers that match a source count as citations; the rest were made up by the model
+      const { citations, invalid } = resolveCitations(answer, docs);
+      if (invalid.length > 0) {
+        logger.info('Answer cited unknown sources', { invalidCitations: invalid, sources: docs.length });
       }
-    });
-    
-    if (validDocuments.length === 0) {
-      throw new Error('No valid documents found');
-    }
-    
-    console.log(`Valid documents: ${validDocuments.length}/${documents.length}`);
 
-    // Generate embeddings and add documents (reliable approach)
-    console.log('Generating embeddings and processing documents...');
-    
-    const embeddingsList = await embeddings.embedDocuments(validDocuments);
-    console.log(`Generated ${embeddingsList.length} embeddings`);
-    
-    // Add documents without metadata (this approach works reliably)
-    console.log('Adding documents to ChromaDB...');
-    
-    for (let i = 0; i < validDocuments.length; i++) {
-      console.log(`Processing document ${i + 1}/${validDocuments.length}...`);
-      
-      await collection.add({
-        ids: [validIds[i]],
-        documents: [validDocuments[i]],
-        embeddings: [embeddingsList[i]]
+      const reply = appendTurn(session.id, question, {
+        answer,
+        sources,
+        citations,
+        invalidCitations: invalid,
+        prompt,
+        promptTemplate: templateInfo,
+        retrieval: { query: standaloneQuestion, ...retrievalInfo },
+        traceId: trace?.id
+      });
+      recordChatAnswer('answered');
+      finishTrace('answered', { messageId: reply.id, answer, citations, invalidCitations: invalid });
+
+      sendEvent('end', {
+        messageId: reply.id,
+        citations,
+        invalidCitations: invalid,
+        usage: describeUsage()
       });
-      
-      console.log(`✅ Successfully added document ${i + 1}`);
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        recordChatAnswer('aborted');
+        finishTrace('aborted', { answer });
+        return;
+      }
+
+      recordChatAnswer('failed');
+      logger.error('Chat error', { error });
+      let errorMessage = 'Failed to process question';
+
+      if (error.message.includes('Invalid where clause')) {
+        errorMessage = 'Database query error. Please try uploading the document again.';
+      } else if (error.message.includes('collection')) {
+        errorMessage = 'No document found. Please upload a document first.';
+      } else if (error.message.includes('embedding')) {
+        errorMessage = 'Embedding error. Please try again.';
+      }
+
+      finishTrace('failed', { answer, error: error.message });
+
+      // Same shape as the error envelope of JSON responses
+      sendEvent('error', { error: errorBody(500, errorMessage, { code: 'generation_failed' }).error });
+    } finally {
+      settleUsage();
+
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  } catch (error) {
+    logger.error('Chat endpoint error', { error });
+    if (res.headersSent) {
+      res.end();
+    } else {
+      sendError(res, 500, 'Internal server error');
     }
+  }
+});
+
+// Search chunks across documents without generating an answer
+app.post('/search', rateLimit('chat'), enforceQuota, validateRequest('search'), async (req, res) => {
+  try {
+    const { query, documentIds, filter } = req.body;
 
-    // Store collection reference for later use
-    currentCollection = collection;
+    // Retrieval settings (k, retrievalMode, maxDistance, ...) sit at the top level of the body
+    const { settings: requestSettings, errors } = validateRetrievalSettings(req.body);
+    const { where, errors: filterErrors } = buildWhereClause(filter);
 
-    return {
-      success: true,
-      message: 'Document processed successfully',
-      collectionId: collectionId,
-      chunksCount: documentsWithMetadata.length
+    if (errors.length > 0 || filterErrors.length > 0) {
+      return sendError(res, 400, [...errors, ...filterErrors].join('; '));
+    }
+
+    if (!chromaClient) {
+      return sendError(res, 503, 'ChromaDB is not available');
+    }
+
+    // Only documents indexed with the current embedding model can be compared
+    const documents = listDocuments({ workspaceId: req.auth.workspace.id }).filter(doc =>
+      doc.status === 'ready' &&
+      (!documentIds || documentIds.includes(doc.id)) &&
+      (!doc.embeddingModel || doc.embeddingModel === getEmbeddingModelId())
+    );
+
+    // Embed the query once and share it between documents
+    const embeddings = getEmbeddings();
+    const usage = newUsage();
+    let queryEmbedding = null;
+    const embedQuery = async (text) => {
+      if (!queryEmbedding) {
+        queryEmbedding = withRetry(() => embeddings.embedQuery(text), { retries: 2, baseDelayMs: 250 });
+        usage.embeddingTokens += countTokens(text);
+      }
+      return queryEmbedding;
     };
+
+    const k = requestSettings.k ?? RETRIEVAL_DEFAULTS.k;
+    const perDocument = await timeStage('retrieve', () => mapWithConcurrency(documents, 4, async (document) => {
+      const collection = await getDocumentCollection(document.id);
+      const { docs } = await retrieve({
+        collection,
+        documentId: document.id,
+        query,
+        embedQuery,
+        settings: { ...RETRIEVAL_DEFAULTS, ...document.retrievalSettings, ...requestSettings },
+        where
+      });
+
+      return docs.map(doc => ({ ...doc, document }));
+    }));
+
+    // Distances share a scale across documents, so they decide the overall order
+    const results = perDocument
+      .flat()
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, k)
+      .map(doc => ({
+        id: doc.id,
+        documentId: doc.document.id,
+        filename: doc.document.filename,
+        content: doc.pageContent,
+        pageLabel: formatPageLabel(doc.metadata),
+        metadata: doc.metadata,
+        distance: doc.distance,
+        score: doc.fusedScore ?? doc.keywordScore ?? null
+      }));
+
+    saveUsage(getUsageOwner(req), 'search', usage);
+
+    res.json({ query, searchedDocuments: documents.length, results });
   } catch (error) {
-    console.error('Error processing document:', error);
-    throw error;
+    logger.error('Search error', { error });
+    sendError(res, 500, 'Failed to search documents');
   }
-};
+});
 
-// Routes
+// Chat history of the workspace, optionally of one document
+app.get('/chat/sessions', validateRequest('listChatSessions'), (req, res) => {
+  const sessions = listSessions({
+    workspaceId: req.auth.workspace.id,
+    documentId: req.query.documentId
+  });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'RAG Server is running' });
+  res.json({ sessions: sessions.map(summarizeSession) });
 });
 
-// Upload and process document
-app.post('/upload', upload.single('document'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+// One session with its questions, answers, sources and citations
+app.get('/chat/sessions/:id', validateRequest('getChatSession'), (req, res) => {
+  const session = getWorkspaceSession(req, req.params.id);
 
-    const collectionId = uuidv4();
-    const filePath = req.file.path;
+  if (!session) {
+    return sendError(res, 404, 'Session not found');
+  }
 
-    // Parse PDF
-    const text = await parsePDF(filePath);
-    
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({ error: 'No text content found in PDF' });
-    }
+  res.json(publicSession(session));
+});
 
-    // Process document
-    const result = await processDocument(text, collectionId);
-    
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
+app.patch('/chat/sessions/:id', validateRequest('renameChatSession'), (req, res) => {
+  const session = getWorkspaceSession(req, req.params.id);
 
-    res.json(result);
-  } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Failed to process document' });
+  if (!session) {
+    return sendError(res, 404, 'Session not found');
   }
+
+  res.json(summarizeSession(renameSession(session.id, req.body.title)));
 });
 
-// Chat endpoint with streaming
-app.post('/chat', async (req, res) => {
+// Download a conversation as Markdown, JSON or PDF
+app.get('/chat/sessions/:id/export', validateRequest('exportChatSession'), async (req, res) => {
+  const session = getWorkspaceSession(req, req.params.id);
+
+  if (!session) {
+    return sendError(res, 404, 'Session not found');
+  }
+
   try {
-    const { question, collectionId } = req.body;
+    const { body, contentType, filename } = await exportSession(publicSession(session), req.query.format || 'markdown');
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.send(body);
+  } catch (error) {
+    logger.error('Chat export error', { error });
+    sendError(res, 500, 'Failed to export chat session');
+  }
+});
+
+// Delete a chat session with its history and conversation memory
+app.delete('/chat/sessions/:id', validateRequest('deleteChatSession'), (req, res) => {
+  const session = getWorkspaceSession(req, req.params.id);
+
+  if (!session) {
+    return sendError(res, 404, 'Session not found');
+  }
+
+  deleteSession(session.id);
+
+  res.json({ success: true, id: req.params.id });
+});
+
+// Rate an answer (thumbs up or down, optionally with a comment); rating it again replaces the earlier rating
+app.post('/feedback', validateRequest('sendFeedback'), (req, res) => {
+  const { sessionId, messageId, rating, comment } = req.body;
+  const session = getWorkspaceSession(req, sessionId);
+  const turn = session ? findTurn(session, messageId) : null;
+
+  if (!turn) {
+    return sendError(res, 404, 'Answer not found');
+  }
+
+  const { feedback, created } = recordFeedback({
+    owner: { ...getUsageOwner(req), username: req.auth.user?.username || null },
+    session,
+    question: turn.question,
+    answer: turn.answer,
+    prompt: getAnswerPrompt(session.id, turn.answer),
+    rating,
+    comment: comment?.trim() || null
+  });
+
+  res.status(created ? 201 : 200).json({
+    id: feedback.id,
+    messageId: feedback.messageId,
+    rating: feedback.rating,
+    comment: feedback.comment,
+    updatedAt: feedback.updatedAt
+  });
+});
+
+// Rated answers with the question, prompt and retrieved chunks behind them, for diagnosing bad answers
+app.get('/feedback', requireAdmin, validateRequest('listFeedback'), (req, res) => {
+  const { rating, documentId, limit } = req.query;
+
+  res.json(listFeedback({ workspaceId: req.auth.workspace.id, rating, documentId, limit }));
+});
+
+// Debug trace of one answer, recorded when /chat was called with trace: true
+app.get('/traces/:id', validateRequest('getTrace'), (req, res) => {
+  const trace = getTrace(req.params.id);
+
+  if (!trace || trace.workspaceId !== req.auth.workspace.id) {
+    return sendError(res, 404, 'Trace not found');
+  }
+
+  res.json(trace);
+});
+
+// Prompt templates of the workspace, after the built-in default
+app.get('/prompt-templates', validateRequest('listPromptTemplates'), (req, res) => {
+  res.json({ templates: listTemplates(req.auth.workspace.id).map(summarizeTemplate) });
+});
+
+app.post('/prompt-templates', requireAdmin, validateRequest('createPromptTemplate'), (req, res) => {
+  const { name, description = null, template, noContextAnswer = null } = req.body;
+  const { errors, warnings } = validatePromptTemplate(template);
+  errors.push(...validateNoContextAnswer(noContextAnswer));
+
+  if (errors.length > 0) {
+    return sendError(res, 400, errors.join('; '), { code: 'invalid_prompt_template' });
+  }
+
+  if (findTemplateByName(req.auth.workspace.id, name)) {
+    return sendError(res, 409, `A prompt template named "${name.trim()}" already exists`);
+  }
 
-    if (!question) {
-      return res.status(400).json({ error: 'Question is required' });
+  const created = createTemplate({
+    workspaceId: req.auth.workspace.id,
+    name,
+    description,
+    template,
+    noContextAnswer,
+    createdBy: req.auth.user?.username || null
+  });
+
+  res.status(201).json({ ...created, warnings });
+});
+
+// Render a template against a question with sample chunks and conversation.
+// Either the template text (e.g. unsaved edits) or a saved template's id and version.
+app.post('/prompt-templates/preview', validateRequest('previewPromptTemplate'), (req, res) => {
+  const { template, templateId, version = null, question, withHistory = true } = req.body;
+  let text = template;
+  let noContextAnswer = req.body.noContextAnswer ?? null;
+
+  if (text === undefined) {
+    const resolved = templateId && resolvePromptTemplate(req, { id: templateId, version });
+
+    if (!resolved) {
+      return sendError(res, 404, 'Prompt template not found');
     }
+    text = resolved.version.template;
+    noContextAnswer = resolved.version.noContextAnswer ?? null;
+  }
+
+  const { errors, warnings } = validatePromptTemplate(text);
+  errors.push(...validateNoContextAnswer(noContextAnswer));
+
+  if (errors.length > 0) {
+    return sendError(res, 400, errors.join('; '), { code: 'invalid_prompt_template' });
+  }
+
+  const prompt = buildSamplePrompt({ template: text, question, withHistory });
+  res.json({
+    prompt,
+    tokens: countTokens(prompt),
+    noContextAnswer: buildNoContextAnswer({ template: noContextAnswer, question }),
+    warnings
+  });
+});
+
+app.get('/prompt-templates/:id', validateRequest('getPromptTemplate'), (req, res) => {
+  const template = getTemplate(req.auth.workspace.id, req.params.id);
+
+  if (!template) {
+    return sendError(res, 404, 'Prompt template not found');
+  }
 
-    if (!currentCollection) {
-      return res.status(400).json({ error: 'No document loaded. Please upload a document first.' });
+  res.json(template);
+});
+
+// Rename, describe or change the text or no-context answer; either change becomes the next version
+app.put('/prompt-templates/:id', requireAdmin, validateRequest('updatePromptTemplate'), (req, res) => {
+  const existing = getTemplate(req.auth.workspace.id, req.params.id);
+
+  if (!existing) {
+    return sendError(res, 404, 'Prompt template not found');
+  }
+
+  if (existing.builtIn) {
+    return sendError(res, 409, 'The default prompt template cannot be changed; create a new template instead');
+  }
+
+  const { name, description, template, noContextAnswer } = req.body;
+  let warnings = [];
+
+  if (template !== undefined) {
+    const validation = validatePromptTemplate(template);
+
+    if (validation.errors.length > 0) {
+      return sendError(res, 400, validation.errors.join('; '), { code: 'invalid_prompt_template' });
     }
+    warnings = validation.warnings;
+  }
 
-    // Set response headers for streaming
-    res.setHeader('Content-Type', 'text/plain');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+  const answerErrors = validateNoContextAnswer(noContextAnswer);
+  if (answerErrors.length > 0) {
+    return sendError(res, 400, answerErrors.join('; '), { code: 'invalid_prompt_template' });
+  }
 
-    // Create a readable stream for the response
-    const stream = new ReadableStream({
-      start(controller) {
-        // Send initial response
-        controller.enqueue(`data: ${JSON.stringify({ type: 'start', message: 'Processing your question...' })}\n\n`);
-      },
-      async pull(controller) {
-        try {
-          // Create LLM instance
-          const llm = new ChatOpenAI({
-            openAIApiKey: process.env.OPENAI_API_KEY,
-            modelName: 'gpt-4o-mini',
-            temperature: 0.7,
-            streaming: true
-          });
-
-          // Create embeddings instance
-          const embeddings = new OpenAIEmbeddings({
-            openAIApiKey: process.env.OPENAI_API_KEY,
-            modelName: 'text-embedding-3-small'
-          });
-
-          // Generate embedding for the question
-          const questionEmbedding = await embeddings.embedQuery(question);
-          
-          // Query the collection directly
-          const results = await currentCollection.query({
-            queryEmbeddings: [questionEmbedding],
-            nResults: 4
-          });
-          
-          // Convert results to document format
-          const docs = results.documents[0].map((doc, index) => ({
-            pageContent: doc,
-            metadata: results.metadatas?.[0]?.[index] || { source: 'document' }
-          }));
-          
-          if (docs.length === 0) {
-            controller.enqueue(`data: ${JSON.stringify({ 
-              type: 'answer', 
-              answer: 'I couldn\'t find any relevant information in the uploaded document to answer your question. Please make sure you have uploaded a document and try asking a different question.',
-              sources: []
-            })}\n\n`);
-            controller.enqueue(`data: ${JSON.stringify({ type: 'end' })}\n\n`);
-            controller.close();
-            return;
-          }
+  const sameName = name !== undefined && findTemplateByName(req.auth.workspace.id, name);
+  if (sameName && sameName.id !== existing.id) {
+    return sendError(res, 409, `A prompt template named "${name.trim()}" already exists`);
+  }
 
-          // Create context from retrieved documents
-          const context = docs.map(doc => doc.pageContent).join('\n\n');
-          
-          // Create prompt
-          const prompt = `Based on the following context from the uploaded document, please answer the user's question. If the answer cannot be found in the context, say so.
-
-Context:
-${context}
-
-Question: ${question}
-
-Answer:`;
-
-          // Get response from LLM
-          const response = await llm.invoke(prompt);
-
-          // Send the answer
-          controller.enqueue(`data: ${JSON.stringify({ 
-            type: 'answer', 
-            answer: response.content,
-            sources: docs.map(doc => ({
-              content: doc.pageContent.substring(0, 200) + '...',
-              metadata: doc.metadata
-            }))
-          })}\n\n`);
-
-          // Send end signal
-          controller.enqueue(`data: ${JSON.stringify({ type: 'end' })}\n\n`);
-          controller.close();
-        } catch (error) {
-          console.error('Chat error:', error);
-          let errorMessage = 'Failed to process question';
-          
-          if (error.message.includes('Invalid where clause')) {
-            errorMessage = 'Database query error. Please try uploading the document again.';
-          } else if (error.message.includes('collection')) {
-            errorMessage = 'No document found. Please upload a document first.';
-          } else if (error.message.includes('embedding')) {
-            errorMessage = 'Embedding error. Please try again.';
-          }
-          
-          controller.enqueue(`data: ${JSON.stringify({ type: 'error', error: errorMessage })}\n\n`);
-          controller.close();
-        }
-      }
-    });
+  const updated = updateTemplate(existing.id, { name, description, template, noContextAnswer, updatedBy: req.auth.user?.username || null });
+  res.json({ ...updated, warnings });
+});
 
-    // Pipe the stream to response
-    const reader = stream.getReader();
-    const pump = () => {
-      return reader.read().then(({ done, value }) => {
-        if (done) {
-          res.end();
-          return;
-        }
-        res.write(value);
-        return pump();
-      });
-    };
+// Templates still assigned to documents are kept, so no document silently changes prompt
+app.delete('/prompt-templates/:id', requireAdmin, validateRequest('deletePromptTemplate'), (req, res) => {
+  const existing = getTemplate(req.auth.workspace.id, req.params.id);
 
-    pump().catch(error => {
-      console.error('Streaming error:', error);
-      res.status(500).end();
-    });
+  if (!existing) {
+    return sendError(res, 404, 'Prompt template not found');
+  }
 
-  } catch (error) {
-    console.error('Chat endpoint error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  if (existing.builtIn) {
+    return sendError(res, 409, 'The default prompt template cannot be deleted');
+  }
+
+  const usedBy = listDocuments({ workspaceId: req.auth.workspace.id })
+    .filter(document => document.promptTemplate?.id === existing.id);
+
+  if (usedBy.length > 0) {
+    return sendError(res, 409, `Prompt template is used by ${usedBy.length} document(s)`, {
+      code: 'template_in_use',
+      details: { documents: usedBy.map(document => ({ id: document.id, filename: document.filename })) }
+    });
   }
+
+  deleteTemplate(existing.id);
+  res.json({ success: true, id: existing.id });
 });
 
-// Get collection info
-app.get('/collection/:id', async (req, res) => {
+// Get collection info (kept for older clients, backed by the document registry)
+app.get('/collection/:id', validateRequest('getCollection'), async (req, res) => {
   try {
     const { id } = req.params;
-    
-    if (!vectorStore) {
-      return res.status(404).json({ error: 'No collection found' });
+    const document = getWorkspaceDocument(req, id);
+
+    if (!document) {
+      return sendError(res, 404, 'No collection found');
     }
 
-    // Get collection stats
-    const collection = await vectorStore.collection.get();
-    const count = await collection.count();
+    let count = 0;
+    if (document.status === 'ready') {
+      const collection = await getDocumentCollection(id);
+      count = await collection.count();
+    }
 
     res.json({
       collectionId: id,
+      filename: document.filename,
       documentCount: count,
-      status: 'active'
+      status: document.status === 'ready' ? 'active' : document.status
     });
   } catch (error) {
-    console.error('Collection info error:', error);
-    res.status(500).json({ error: 'Failed to get collection info' });
+    logger.error('Collection info error', { error });
+    sendError(res, 500, 'Failed to get collection info');
   }
 });
 
 // Debug endpoint to check ChromaDB status
-app.get('/debug/chromadb', async (req, res) => {
+app.get('/debug/chromadb', validateRequest('debugChroma'), async (req, res) => {
   try {
     if (!chromaClient) {
       return res.json({ 
@@ -422,21 +2028,37 @@ app.get('/debug/chromadb', async (req, res) => {
       });
     }
 
-    if (!currentCollection) {
+    const documents = listDocuments({ workspaceId: req.auth.workspace.id });
+
+    if (documents.length === 0) {
       return res.json({ 
-        status: 'ChromaDB connected but no collection loaded',
+        status: 'ChromaDB connected but no documents registered',
         message: 'Upload a document first'
       });
     }
 
-    // Try to get collection info
-    const count = await currentCollection.count();
+    // Report the stored chunk count for every ready document
+    const collections = await Promise.all(documents.map(async (document) => {
+      if (document.status !== 'ready') {
+        return { collectionName: document.collectionName, status: document.status };
+      }
+
+      try {
+        const collection = await getDocumentCollection(document.id);
+        return {
+          collectionName: document.collectionName,
+          status: document.status,
+          documentCount: await collection.count()
+        };
+      } catch (error) {
+        return { collectionName: document.collectionName, status: 'missing', error: error.message };
+      }
+    }));
     
     res.json({
       status: 'ChromaDB connected',
-      collectionName: currentCollection.name,
-      documentCount: count,
-      message: count > 0 ? 'Ready for queries' : 'No documents uploaded yet'
+      collections,
+      message: 'Ready for queries'
     });
   } catch (error) {
     res.json({
@@ -446,11 +2068,11 @@ app.get('/debug/chromadb', async (req, res) => {
   }
 });
 
-// Test endpoint to verify ChromaDB functionality
-app.get('/test/chromadb', async (req, res) => {
+// Test endpoint to verify ChromaDB functionality; it writes to ChromaDB, so admins only
+app.get('/test/chromadb', requireAdmin, validateRequest('testChroma'), async (req, res) => {
   try {
     if (!chromaClient) {
-      return res.status(500).json({ error: 'ChromaDB client not initialized' });
+      return sendError(res, 503, 'ChromaDB client not initialized');
     }
 
     // Test creating a simple collection
@@ -486,28 +2108,85 @@ app.get('/test/chromadb', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
-      status: 'ChromaDB test failed',
-      error: error.message
-    });
+    sendError(res, 500, `ChromaDB test failed: ${error.message}`);
   }
 });
 
+app.use((req, res) => {
+  sendError(res, 404, `No route for ${req.method} ${req.path}`, { code: 'route_not_found' });
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Server error:', error);
-  res.status(500).json({ error: 'Internal server error' });
+  // express.json() rejects malformed bodies before any route runs
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+
+  logger.error('Server error', { error });
+  sendError(res, 500, 'Internal server error');
 });
 
+// Fail fast on an invalid provider configuration
+try {
+  const { llm, embedding } = describeProviders();
+  logger.info('Model providers', { llm: `${llm.provider}/${llm.model}`, embeddings: `${embedding.provider}/${embedding.model}` });
+} catch (error) {
+  logger.error(`Invalid provider configuration: ${error.message}`);
+  process.exit(1);
+}
+
+try {
+  getPriceTable();
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD so a fresh server is usable headless
+const bootstrapAdmin = () => {
+  if (hasUsers()) {
+    return;
+  }
+
+  const { adminUsername: username, adminPassword: password } = config.auth;
+
+  if (!username || !password) {
+    logger.info('No accounts yet: register the first one in the web app or with POST /auth/register');
+    return;
+  }
+
+  const errors = validateCredentials({ username, password });
+  if (errors.length > 0) {
+    logger.error(`Cannot create admin account: ${errors.join('; ')}`);
+    return;
+  }
+
+  const workspace = createWorkspace(config.auth.adminWorkspace);
+  createUser({ username, password, workspaceId: workspace.id, role: 'admin' });
+  const claimed = claimUnownedDocuments(workspace.id);
+  logger.info('Created admin account', { username, workspace: workspace.name, claimedDocuments: claimed });
+};
+
 // Start server
 app.listen(PORT, async () => {
-  console.log(`RAG Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
+  logger.info(`RAG Server running on port ${PORT}`, { healthCheck: `http://localhost:${PORT}/health`, configFile: config.file });
+
+  const interrupted = markInterruptedDocuments();
+  if (interrupted > 0) {
+    logger.warn('Marked interrupted documents as failed', { documents: interrupted });
+  }
+
+  bootstrapAdmin();
+
+  const undocumented = findUndocumentedRoutes(app);
+  if (undocumented.length > 0) {
+    logger.warn('Routes missing from the OpenAPI document', { routes: undocumented });
+  }
   
   // Initialize ChromaDB in the background
   initializeChroma().catch(error => {
-    console.error('Failed to initialize ChromaDB:', error);
-    console.log('The server will continue running, but document processing will not work until ChromaDB is available.');
+    logger.error('Failed to initialize ChromaDB; document processing will not work until it is available', { error });
   });
 });
 
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { dataPath, createJSONStore } from './storage.js';
+
+// Login sessions last a week; API keys until they are revoked
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Avoid rewriting the auth file on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const SESSION_PREFIX = 'sess_';
+const API_KEY_PREFIX = 'rag_';
+
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._@-]{3,64}$/;
+
+export const ROLES = ['admin', 'member'];
+
+// In-memory copy of the auth store, loaded lazily from disk
+const { load: loadStore, save: saveStore } = createJSONStore(dataPath('auth.json'), {
+  name: 'auth store',
+  initial: () => ({ workspaces: {}, users: {}, apiKeys: {}, sessions: {} })
+});
+
+// Only hashes of secrets are stored; a leaked auth file can't be used to log in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = (prefix) => `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const pruneExpiredSessions = () => {
+  const store = loadStore();
+  const now = Date.now();
+  let changed = false;
+
+  for (const [hash, session] of Object.entries(store.sessions)) {
+    if (session.expiresAt < now) {
+      delete store.sessions[hash];
+      changed = true;
+    }
+  }
+
+  return changed;
+};
+
+// User record without secrets, safe to return from the API
+export const publicUser = (user) => {
+  const { passwordHash, ...rest } = user;
+  return rest;
+};
+
+export const hasUsers = () => Object.keys(loadStore().users).length > 0;
+
+export const getWorkspace = (workspaceId) => loadStore().workspaces[workspaceId] || null;
+
+export const findUserByUsername = (username) => {
+  const wanted = String(username || '').toLowerCase();
+  return Object.values(loadStore().users).find(user => user.username.toLowerCase() === wanted) || null;
+};
+
+export const listWorkspaceMembers = (workspaceId) => {
+  return Object.values(loadStore().users)
+    .filter(user => user.workspaceId === workspaceId)
+    .map(publicUser);
+};
+
+export const createWorkspace = (name) => {
+  const store = loadStore();
+
+  const workspace = {
+    id: uuidv4(),
+    name: String(name || '').trim() || 'My workspace',
+    createdAt: new Date().toISOString()
+  };
+
+  store.workspaces[workspace.id] = workspace;
+  saveStore();
+  return workspace;
+};
+
+export const updateWorkspace = (workspaceId, changes) => {
+  const workspace = loadStore().workspaces[workspaceId];
+
+  if (!workspace) {
+    return null;
+  }
+
+  Object.assign(workspace, changes);
+  saveStore();
+  return workspace;
+};
+
+// Check new account details; returns a list of problems (empty when valid)
+export const validateCredentials = ({ username, password }) => {
+  const errors = [];
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    errors.push('username must be 3-64 characters of letters, digits, ".", "_", "@" or "-"');
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  return errors;
+};
+
+export const createUser = ({ username, password, workspaceId, role = 'member' }) => {
+  const store = loadStore();
+
+  const user = {
+    id: uuidv4(),
+    username,
+    passwordHash: hashPassword(password),
+    workspaceId,
+    role,
+    createdAt: new Date().toISOString()
+  };
+
+  store.users[user.id] = user;
+  saveStore();
+  return user;
+};
+
+// Returns the user when the password matches, otherwise null
+export const authenticateUser = (username, password) => {
+  const user = findUserByUsername(username);
+
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+    return null;
+  }
+
+  return user;
+};
+
+export const createAuthSession = (userId) => {
+  const store = loadStore();
+  pruneExpiredSessions();
+
+  const token = generateToken(SESSION_PREFIX);
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+
+  store.sessions[hashToken(token)] = { userId, createdAt: Date.now(), expiresAt };
+  saveStore();
+
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+};
+
+export const deleteAuthSession = (token) => {
+  const store = loadStore();
+
+  const hash = hashToken(token);
+  if (!store.sessions[hash]) {
+    return false;
+  }
+
+  delete store.sessions[hash];
+  saveStore();
+  return true;
+};
+
+// The key itself is only returned here; afterwards only its prefix is shown.
+// `role` is what the key may do, independent of the member who created it.
+export const createApiKey = ({ workspaceId, userId, name, role = 'member' }) => {
+  const store = loadStore();
+
+  const key = generateToken(API_KEY_PREFIX);
+  const record = {
+    id: uuidv4(),
+    name: String(name || '').trim() || 'API key',
+    workspaceId,
+    createdBy: userId,
+    role,
+    preview: `${key.slice(0, API_KEY_PREFIX.length + 6)}...`,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+
+  store.apiKeys[hashToken(key)] = record;
+  saveStore();
+
+  return { key, apiKey: record };
+};
+
+export const listApiKeys = (workspaceId) => {
+  return Object.values(loadStore().apiKeys).filter(apiKey => apiKey.workspaceId === workspaceId);
+};
+
+export const deleteApiKey = (workspaceId, apiKeyId) => {
+  const store = loadStore();
+
+  const entry = Object.entries(store.apiKeys)
+    .find(([, apiKey]) => apiKey.id === apiKeyId && apiKey.workspaceId === workspaceId);
+
+  if (!entry) {
+    return false;
+  }
+
+  delete store.apiKeys[entry[0]];
+  saveStore();
+  return true;
+};
+
+// Resolve a session token or API key to { user, workspace, method }, or null.
+// API keys act for their workspace; `user` is the member who created the key, with
+// the key's role. Keys created before roles existed are members, and a key never
+// outranks its creator's current role.
+export const resolveCredential = (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const store = loadStore();
+  const hash = hashToken(token);
+
+  if (token.startsWith(SESSION_PREFIX)) {
+    const session = store.sessions[hash];
+
+    if (!session || session.expiresAt < Date.now()) {
+      return null;
+    }
+
+    const user = store.users[session.userId];
+    const workspace = user && store.workspaces[user.workspaceId];
+    return workspace ? { user, workspace, method: 'session' } : null;
+  }
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const apiKey = store.apiKeys[hash];
+    const workspace = apiKey && store.workspaces[apiKey.workspaceId];
+
+    if (!workspace) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - Date.parse(apiKey.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+      apiKey.lastUsedAt = new Date().toISOString();
+      saveStore();
+    }
+
+    const creator = store.users[apiKey.createdBy];
+    const role = creator?.role === 'admin' && apiKey.role === 'admin' ? 'admin' : 'member';
+
+    return { user: creator ? { ...creator, role } : null, workspace, method: 'apiKey', apiKey };
+  }
+
+  return null;
+};
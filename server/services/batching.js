@@ -0,0 +1,36 @@
+// Split an array into consecutive batches of at most `size` items
+export const chunkArray = (items, size) => {
+  const batches = [];
+
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+
+  return batches;
+};
+
+// Map over items with at most `limit` calls in flight, keeping results in input order.
+// Stops starting new work after the first failure and rejects with that error.
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+};
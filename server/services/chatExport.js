@@ -0,0 +1,142 @@
+import PDFDocument from 'pdfkit';
+
+export const EXPORT_FORMATS = ['markdown', 'json', 'pdf'];
+
+// Markdown and PDF quote the start of each cited chunk; JSON keeps it whole
+const EXCERPT_LENGTH = 300;
+
+const describeSource = (source) => [source.metadata?.filename, source.pageLabel, source.metadata?.section].filter(Boolean).join(' · ');
+
+const excerpt = (text) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat;
+};
+
+// Pair each question with its answer and resolve the answer's citations to their sources
+const toTurns = (session) => {
+  const turns = [];
+
+  for (let i = 0; i < session.messages.length; i += 2) {
+    const question = session.messages[i];
+    const answer = session.messages[i + 1];
+
+    if (!answer) {
+      break;
+    }
+
+    const sourceById = new Map((answer.sources || []).map(source => [source.id, source]));
+
+    turns.push({
+      question: question.content,
+      answer: answer.content,
+      askedAt: question.createdAt,
+      citations: (answer.citations || []).map(({ number, sourceId }) => {
+        const source = sourceById.get(sourceId);
+        return {
+          number,
+          sourceId,
+          source: source ? describeSource(source) : null,
+          content: source?.content || null
+        };
+      })
+    });
+  }
+
+  return turns;
+};
+
+const sessionTitle = (session) => session.title || 'Untitled chat';
+
+const toJSON = (session) => JSON.stringify({
+  id: session.id,
+  title: sessionTitle(session),
+  documentId: session.documentId,
+  documentName: session.documentName,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  exportedAt: new Date().toISOString(),
+  turns: toTurns(session)
+}, null, 2);
+
+const toMarkdown = (session) => {
+  const lines = [
+    `# ${sessionTitle(session)}`,
+    '',
+    `Document: ${session.documentName || session.documentId}  `,
+    `Started: ${session.createdAt}  `,
+    `Exported: ${new Date().toISOString()}`
+  ];
+
+  toTurns(session).forEach((turn, index) => {
+    lines.push('', `## ${index + 1}. ${turn.question}`, '', turn.answer);
+
+    if (turn.citations.length > 0) {
+      lines.push('', '**Sources**', '');
+      turn.citations.forEach(citation => {
+        lines.push(`- [${citation.number}] ${citation.source || 'Unknown source'}`);
+        if (citation.content) {
+          lines.push(`  > ${excerpt(citation.content)}`);
+        }
+      });
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const toPDF = (session) => new Promise((resolve, reject) => {
+  const pdf = new PDFDocument({ margin: 50, info: { Title: sessionTitle(session) } });
+  const chunks = [];
+
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  pdf.font('Helvetica-Bold').fontSize(18).text(sessionTitle(session));
+  pdf.moveDown(0.5);
+  pdf.font('Helvetica').fontSize(9).fillColor('#6b7280')
+    .text(`Document: ${session.documentName || session.documentId}`)
+    .text(`Started: ${session.createdAt} · Exported: ${new Date().toISOString()}`);
+
+  toTurns(session).forEach((turn, index) => {
+    pdf.moveDown(1.5);
+    pdf.font('Helvetica-Bold').fontSize(12).fillColor('#111827').text(`${index + 1}. ${turn.question}`);
+    pdf.moveDown(0.5);
+    pdf.font('Helvetica').fontSize(11).text(turn.answer);
+
+    if (turn.citations.length > 0) {
+      pdf.moveDown(0.75);
+      pdf.font('Helvetica-Bold').fontSize(9).fillColor('#374151').text('Sources');
+
+      turn.citations.forEach(citation => {
+        pdf.moveDown(0.25);
+        pdf.font('Helvetica-Bold').fontSize(9).fillColor('#374151')
+          .text(`[${citation.number}] ${citation.source || 'Unknown source'}`);
+        if (citation.content) {
+          pdf.font('Helvetica-Oblique').fillColor('#6b7280').text(excerpt(citation.content), { indent: 12 });
+        }
+      });
+    }
+  });
+
+  pdf.end();
+});
+
+// File name for a download, from the session title
+const exportFilename = (session, extension) => {
+  const slug = sessionTitle(session).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  return `${slug || 'chat'}.${extension}`;
+};
+
+// Render a session in one of EXPORT_FORMATS: { body, contentType, filename }
+export const exportSession = async (session, format) => {
+  if (format === 'pdf') {
+    return { body: await toPDF(session), contentType: 'application/pdf', filename: exportFilename(session, 'pdf') };
+  }
+
+  if (format === 'json') {
+    return { body: toJSON(session), contentType: 'application/json; charset=utf-8', filename: exportFilename(session, 'json') };
+  }
+
+  return { body: toMarkdown(session), contentType: 'text/markdown; charset=utf-8', filename: exportFilename(session, 'md') };
+};
@@ -0,0 +1,224 @@
+import { v4 as uuidv4 } from 'uuid';
+import { countTokens } from './tokens.js';
+import { removeCitations } from './citations.js';
+import { dataPath, createJSONStore, tryReadJSON, tryWriteJSON, removeFile } from './storage.js';
+
+// Titles come from the first question until the user renames the session
+const MAX_TITLE_LENGTH = 80;
+
+// In-memory copy of all sessions, loaded lazily from disk
+const { load: loadSessions, save: saveSessions } = createJSONStore(dataPath('chatSessions.json'), {
+  name: 'chat sessions'
+});
+
+// Rendered prompts hold whole chunks and history, so they stay out of the sessions
+// file (rewritten on every turn) and out of session responses: one file per session,
+// data/session-prompts/<id>.json, maps answer ids to prompts for feedback to copy.
+const promptsPath = (sessionId) => dataPath('session-prompts', `${sessionId}.json`);
+
+// An unreadable prompts file is replaced, since none of its prompts can be used anyway
+const savePrompt = (sessionId, messageId, prompt) => {
+  const filePath = promptsPath(sessionId);
+  const context = { name: 'answer prompt', sessionId, messageId };
+  tryWriteJSON(filePath, { ...tryReadJSON(filePath, {}, context), [messageId]: prompt }, context);
+};
+
+// The prompt an answer was generated from, or null. Answers saved before prompts
+// moved out of the sessions file still carry their own.
+export const getAnswerPrompt = (sessionId, answer) => {
+  const prompts = tryReadJSON(promptsPath(sessionId), {}, { name: 'answer prompt', sessionId, messageId: answer.id });
+  return prompts[answer.id] ?? answer.prompt ?? null;
+};
+
+// Session as returned by the API, without prompts older answers kept inline
+export const publicSession = (session) => ({
+  ...session,
+  messages: session.messages.map(({ prompt, ...message }) => message)
+});
+
+const titleFromQuestion = (question) => {
+  const title = question.replace(/\s+/g, ' ').trim();
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1)}…` : title;
+};
+
+// Session without its messages, for listings
+export const summarizeSession = ({ messages, ...session }) => ({
+  ...session,
+  messageCount: messages.length
+});
+
+export const createSession = ({ documentId, documentName, workspaceId, userId = null }) => {
+  const registry = loadSessions();
+  const id = uuidv4();
+  const now = new Date().toISOString();
+
+  registry[id] = {
+    id,
+    workspaceId,
+    userId,
+    documentId,
+    documentName,
+    title: null,
+    messages: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  saveSessions();
+  return registry[id];
+};
+
+export const getSession = (sessionId) => {
+  return loadSessions()[sessionId] || null;
+};
+
+// Sessions of a workspace, optionally of one document, most recently active first.
+// Sessions whose first question never got an answer are left out.
+export const listSessions = ({ workspaceId, documentId } = {}) => {
+  return Object.values(loadSessions())
+    .filter(session => session.workspaceId === workspaceId && session.messages.length > 0)
+    .filter(session => !documentId || session.documentId === documentId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Reuse the given session when it belongs to the document and workspace, otherwise start a new one
+export const resolveSession = (sessionId, document, { workspaceId, userId }) => {
+  const session = sessionId ? getSession(sessionId) : null;
+
+  if (session && session.documentId === document.id && session.workspaceId === workspaceId) {
+    return session;
+  }
+
+  return createSession({ documentId: document.id, documentName: document.filename, workspaceId, userId });
+};
+
+// Answers are kept with their [n] markers, sources and citations so the
+// conversation can be shown and exported later, and with the retrieval details
+// behind them for feedback. The prompt is saved separately. Returns the saved answer.
+export const appendTurn = (sessionId, question, {
+  answer,
+  sources = [],
+  citations = [],
+  invalidCitations = [],
+  prompt = null,
+  promptTemplate = null,
+  retrieval = null,
+  traceId = null
+}) => {
+  const session = getSession(sessionId);
+
+  if (!session) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const reply = {
+    id: uuidv4(),
+    role: 'assistant',
+    content: answer,
+    sources,
+    citations,
+    invalidCitations,
+    promptTemplate,
+    retrieval,
+    traceId,
+    createdAt: now
+  };
+
+  session.messages.push({ id: uuidv4(), role: 'user', content: question, createdAt: now }, reply);
+  session.title = session.title || titleFromQuestion(question);
+  session.updatedAt = now;
+
+  saveSessions();
+  if (prompt) {
+    savePrompt(sessionId, reply.id, prompt);
+  }
+  return reply;
+};
+
+// An answer of the session with the question it replied to, or null
+export const findTurn = (session, messageId) => {
+  const index = session.messages.findIndex(message => message.id === messageId && message.role === 'assistant');
+
+  if (index < 1) {
+    return null;
+  }
+
+  return { question: session.messages[index - 1].content, answer: session.messages[index] };
+};
+
+export const renameSession = (sessionId, title) => {
+  const session = getSession(sessionId);
+
+  if (!session) {
+    return null;
+  }
+
+  session.title = title.trim();
+  session.updatedAt = new Date().toISOString();
+
+  saveSessions();
+  return session;
+};
+
+export const deleteSession = (sessionId) => {
+  const registry = loadSessions();
+
+  if (!registry[sessionId]) {
+    return false;
+  }
+
+  delete registry[sessionId];
+  saveSessions();
+  removeFile(promptsPath(sessionId));
+  return true;
+};
+
+// Conversations about a deleted document can't continue, and their sources point at removed chunks
+export const deleteDocumentSessions = (documentId) => {
+  const registry = loadSessions();
+  const ids = Object.keys(registry).filter(id => registry[id].documentId === documentId);
+
+  if (ids.length > 0) {
+    ids.forEach(id => delete registry[id]);
+    saveSessions();
+    ids.forEach(id => removeFile(promptsPath(id)));
+  }
+
+  return ids.length;
+};
+
+// Messages as conversation memory for prompts. Markers only make sense next to
+// the sources of their own turn, so answers lose them.
+export const getConversation = (session) => {
+  return session.messages.map(({ role, content }) => ({
+    role,
+    content: role === 'assistant' ? removeCitations(content) : content
+  }));
+};
+
+// Most recent messages that fit in the token budget, oldest first
+export const getHistoryWithinBudget = (messages, tokenBudget) => {
+  const history = [];
+  let usedTokens = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = countTokens(messages[i].content);
+
+    if (usedTokens + tokens > tokenBudget) {
+      break;
+    }
+
+    history.unshift(messages[i]);
+    usedTokens += tokens;
+  }
+
+  return history;
+};
+
+// Render messages as "User: ..." / "Assistant: ..." lines for prompts
+export const formatHistory = (messages) => {
+  return messages
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+};
@@ -0,0 +1,8 @@
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+
+// Recursive split on paragraphs, lines, then words, measured in characters
+export const splitByCharacters = async (text, { chunkSize, chunkOverlap }) => {
+  const splitter = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+  const chunks = await splitter.splitText(text);
+  return chunks.map(chunk => ({ text: chunk }));
+};
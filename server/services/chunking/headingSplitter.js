@@ -0,0 +1,71 @@
+import { splitByCharacters } from './characterSplitter.js';
+
+const ATX_HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const SETEXT_UNDERLINE = /^(=+|-+)\s*$/;
+
+// Find Markdown headings (`# Title` or a line underlined with === / ---) with their offsets
+const findHeadings = (text) => {
+  const headings = [];
+  const lines = text.split('\n');
+  let offset = 0;
+  let inCodeBlock = false;
+
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+    }
+
+    const atx = !inCodeBlock && line.match(ATX_HEADING);
+    const next = lines[index + 1];
+
+    if (atx) {
+      headings.push({ level: atx[1].length, title: atx[2], start: offset });
+    } else if (!inCodeBlock && line.trim() && next !== undefined && SETEXT_UNDERLINE.test(next)) {
+      headings.push({ level: next.startsWith('=') ? 1 : 2, title: line.trim(), start: offset });
+    }
+
+    offset += line.length + 1;
+  });
+
+  return headings;
+};
+
+// One chunk per section, titled with its heading path ("Setup > Linux").
+// Sections longer than a chunk are split by characters and keep the same title.
+export const splitByHeadings = async (text, { chunkSize, chunkOverlap }) => {
+  const headings = findHeadings(text);
+  const sections = [];
+
+  // Text before the first heading has no section title
+  if (headings.length === 0 || headings[0].start > 0) {
+    sections.push({ title: null, start: 0, end: headings[0]?.start ?? text.length });
+  }
+
+  const path = [];
+  headings.forEach((heading, index) => {
+    path.length = Math.min(path.length, heading.level - 1);
+    path[heading.level - 1] = heading.title;
+
+    sections.push({
+      title: path.filter(Boolean).join(' > '),
+      start: heading.start,
+      end: headings[index + 1]?.start ?? text.length
+    });
+  });
+
+  const chunks = [];
+  for (const section of sections) {
+    const sectionText = text.slice(section.start, section.end).trim();
+    if (!sectionText) {
+      continue;
+    }
+
+    const pieces = sectionText.length > chunkSize
+      ? await splitByCharacters(sectionText, { chunkSize, chunkOverlap })
+      : [{ text: sectionText }];
+
+    chunks.push(...pieces.map(piece => ({ text: piece.text, section: section.title })));
+  }
+
+  return chunks;
+};
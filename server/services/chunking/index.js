@@ -0,0 +1,113 @@
+import { splitByCharacters } from './characterSplitter.js';
+import { splitByTokens } from './tokenSplitter.js';
+import { splitBySentences } from './sentenceSplitter.js';
+import { splitByHeadings } from './headingSplitter.js';
+import { splitSemantically } from './semanticSplitter.js';
+
+// One entry per strategy. `defaults` lists every option the strategy uses, so
+// resolved settings can be recorded on the document and replayed exactly.
+const STRATEGIES = {
+  character: {
+    defaults: { chunkSize: 1000, chunkOverlap: 200 },
+    split: splitByCharacters
+  },
+  token: {
+    defaults: { chunkSize: 256, chunkOverlap: 32 },
+    split: splitByTokens
+  },
+  sentence: {
+    defaults: { chunkSize: 1000, chunkOverlap: 200 },
+    split: splitBySentences
+  },
+  heading: {
+    defaults: { chunkSize: 1000, chunkOverlap: 200 },
+    split: splitByHeadings
+  },
+  semantic: {
+    defaults: { chunkSize: 1500, breakpointPercentile: 95 },
+    split: splitSemantically
+  }
+};
+
+export const CHUNKING_STRATEGIES = Object.keys(STRATEGIES);
+
+// Loaders that chunk by their own structure (CSV rows); only chunkSize applies to them
+const SELF_CHUNKING_FORMATS = ['csv'];
+
+// Strategy used when an upload does not pick one
+const FORMAT_DEFAULTS = {
+  markdown: 'heading'
+};
+
+const MAX_CHUNK_SIZE = 10000;
+
+// Options arrive as strings from multipart forms
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+// Resolve upload options into complete chunking settings for a format.
+// `defaultStrategy` (e.g. from CHUNKING_STRATEGY) wins over the per-format default.
+// Returns { chunking, errors }.
+export const resolveChunkingOptions = (input = {}, { format, defaultStrategy } = {}) => {
+  const errors = [];
+  const chunkSize = toNumber(input.chunkSize);
+  const chunkOverlap = toNumber(input.chunkOverlap);
+  const breakpointPercentile = toNumber(input.breakpointPercentile);
+
+  if (chunkSize !== undefined && (!Number.isInteger(chunkSize) || chunkSize < 50 || chunkSize > MAX_CHUNK_SIZE)) {
+    errors.push(`chunkSize must be an integer between 50 and ${MAX_CHUNK_SIZE}`);
+  }
+
+  if (SELF_CHUNKING_FORMATS.includes(format)) {
+    return { chunking: { strategy: 'rows', chunkSize: chunkSize ?? 1000 }, errors };
+  }
+
+  const strategy = input.strategy || defaultStrategy || FORMAT_DEFAULTS[format] || 'character';
+  const definition = STRATEGIES[strategy];
+
+  if (!definition) {
+    errors.push(`chunkingStrategy must be one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+    return { chunking: null, errors };
+  }
+
+  const chunking = { strategy, ...definition.defaults };
+
+  if (chunkSize !== undefined) {
+    chunking.chunkSize = chunkSize;
+  }
+
+  if ('chunkOverlap' in definition.defaults) {
+    if (chunkOverlap !== undefined) {
+      chunking.chunkOverlap = chunkOverlap;
+    } else if (chunkSize !== undefined) {
+      // The default overlap must not swallow a small chunk size the caller picked
+      chunking.chunkOverlap = Math.min(definition.defaults.chunkOverlap, Math.floor(chunkSize / 5));
+    }
+
+    if (!Number.isInteger(chunking.chunkOverlap) || chunking.chunkOverlap < 0 || chunking.chunkOverlap >= chunking.chunkSize) {
+      errors.push('chunkOverlap must be a non-negative integer smaller than chunkSize');
+    }
+  }
+
+  if ('breakpointPercentile' in definition.defaults && breakpointPercentile !== undefined) {
+    if (typeof breakpointPercentile !== 'number' || breakpointPercentile < 50 || breakpointPercentile > 99) {
+      errors.push('breakpointPercentile must be a number between 50 and 99');
+    } else {
+      chunking.breakpointPercentile = breakpointPercentile;
+    }
+  }
+
+  return { chunking: errors.length > 0 ? null : chunking, errors };
+};
+
+// Split text with resolved settings into [{ text, section? }].
+// `context.embedTexts` is needed by the semantic strategy.
+export const splitText = async (text, chunking, context = {}) => {
+  const definition = STRATEGIES[chunking.strategy];
+
+  if (!definition) {
+    throw new Error(`Unknown chunking strategy "${chunking.strategy}"`);
+  }
+
+  const chunks = await definition.split(text, chunking, context);
+  return chunks.filter(chunk => chunk.text.trim().length > 0);
+};
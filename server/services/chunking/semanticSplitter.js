@@ -0,0 +1,28 @@
+import { cosineSimilarity } from '../mmr.js';
+import { splitSentences, splitLongSentences, groupSentences } from './sentenceSplitter.js';
+
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[index];
+};
+
+// Start a new chunk where consecutive sentences drift apart in meaning: the cosine
+// distance between neighbouring sentence embeddings is above the given percentile.
+// chunkSize caps chunk length in characters. Needs `embedTexts` from the caller.
+export const splitSemantically = async (text, { chunkSize, breakpointPercentile }, { embedTexts }) => {
+  const sentences = await splitLongSentences(text, splitSentences(text), chunkSize);
+
+  if (sentences.length < 3) {
+    return groupSentences(text, sentences, chunkSize);
+  }
+
+  const vectors = await embedTexts(sentences.map(sentence => sentence.text));
+  const distances = sentences.slice(1).map((sentence, i) => 1 - cosineSimilarity(vectors[i], vectors[i + 1]));
+  const threshold = percentile(distances, breakpointPercentile);
+
+  // distances[i - 1] is the gap between sentence i - 1 and sentence i
+  return groupSentences(text, sentences, chunkSize, {
+    shouldBreak: (index) => index > 0 && distances[index - 1] > threshold
+  });
+};
@@ -0,0 +1,85 @@
+import { splitByCharacters } from './characterSplitter.js';
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+
+// Sentences with their offsets in the text, whitespace trimmed
+export const splitSentences = (text) => {
+  const sentences = [];
+
+  for (const { segment, index } of segmenter.segment(text)) {
+    const trimmed = segment.trim();
+    if (!trimmed) {
+      continue;
+    }
+
+    const start = index + segment.indexOf(trimmed);
+    sentences.push({ text: trimmed, start, end: start + trimmed.length });
+  }
+
+  return sentences;
+};
+
+// Group consecutive sentences into chunks of up to maxLength characters
+export const groupSentences = (text, sentences, maxLength, { overlap = 0, shouldBreak = () => false } = {}) => {
+  const chunks = [];
+  let group = [];
+
+  const flush = () => {
+    if (group.length > 0) {
+      chunks.push({ text: text.slice(group[0].start, group[group.length - 1].end) });
+    }
+  };
+
+  sentences.forEach((sentence, index) => {
+    const length = group.length > 0 ? sentence.end - group[0].start : sentence.text.length;
+
+    if (group.length > 0 && (length > maxLength || shouldBreak(index))) {
+      flush();
+
+      // Carry trailing sentences into the next chunk, up to `overlap` characters
+      const carried = [];
+      for (let i = group.length - 1; i >= 0; i--) {
+        if (group[group.length - 1].end - group[i].start > overlap) {
+          break;
+        }
+        carried.unshift(group[i]);
+      }
+
+      // Never carry so much that the new sentence no longer fits
+      group = carried.length > 0 && sentence.end - carried[0].start <= maxLength ? carried : [];
+    }
+
+    group.push(sentence);
+  });
+
+  flush();
+  return chunks;
+};
+
+// Break sentences longer than maxLength into character-split pieces (e.g. PDF text without punctuation)
+export const splitLongSentences = async (text, sentences, maxLength) => {
+  const result = [];
+
+  for (const sentence of sentences) {
+    if (sentence.text.length <= maxLength) {
+      result.push(sentence);
+      continue;
+    }
+
+    let searchFrom = sentence.start;
+    for (const piece of await splitByCharacters(sentence.text, { chunkSize: maxLength, chunkOverlap: 0 })) {
+      const found = text.indexOf(piece.text, searchFrom);
+      const start = found === -1 ? searchFrom : found;
+      result.push({ text: piece.text, start, end: start + piece.text.length });
+      searchFrom = start + piece.text.length;
+    }
+  }
+
+  return result;
+};
+
+// Whole sentences packed into chunks, overlapping by whole sentences
+export const splitBySentences = async (text, { chunkSize, chunkOverlap }) => {
+  const sentences = await splitLongSentences(text, splitSentences(text), chunkSize);
+  return groupSentences(text, sentences, chunkSize, { overlap: chunkOverlap });
+};
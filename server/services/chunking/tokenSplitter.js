@@ -0,0 +1,14 @@
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { countTokens } from '../tokens.js';
+
+// Same natural boundaries as the character splitter, but sizes are counted in tokens
+export const splitByTokens = async (text, { chunkSize, chunkOverlap }) => {
+  const splitter = new RecursiveCharacterTextSplitter({
+    chunkSize,
+    chunkOverlap,
+    lengthFunction: countTokens
+  });
+
+  const chunks = await splitter.splitText(text);
+  return chunks.map(chunk => ({ text: chunk }));
+};
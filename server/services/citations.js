@@ -0,0 +1,25 @@
+// Inline citation markers such as [1], [2] or [1, 3], numbered after the sources in the prompt
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const citedNumbers = (text) => [...(text || '').matchAll(CITATION_PATTERN)]
+  .flatMap(match => match[1].split(',').map(number => Number(number.trim())));
+
+// Sort the numbers an answer cites into those that match one of `sources` and those
+// that don't (the model made them up). Returns { citations: [{ number, sourceId }], invalid: [n] }.
+export const resolveCitations = (text, sources) => {
+  const numbers = [...new Set(citedNumbers(text))].sort((a, b) => a - b);
+
+  return {
+    citations: numbers
+      .filter(number => number >= 1 && number <= sources.length)
+      .map(number => ({ number, sourceId: sources[number - 1].id })),
+    invalid: numbers.filter(number => number < 1 || number > sources.length)
+  };
+};
+
+// Markers only make sense next to the sources of their own turn, so conversation
+// memory keeps answers without them
+export const removeCitations = (text) => (text || '')
+  .replace(CITATION_PATTERN, '')
+  .replace(/[ \t]+([.,;:!?])/g, '$1')
+  .replace(/[ \t]{2,}/g, ' ');
@@ -0,0 +1,304 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RETRIEVAL_MODES } from './retrieval.js';
+import { CHUNKING_STRATEGIES } from './chunking/index.js';
+import { LOG_LEVELS } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Relative paths (upload directory, config file, ...) are resolved against the server directory
+const SERVER_DIR = path.join(__dirname, '..');
+
+const DEFAULT_CONFIG_FILE = 'config.json';
+
+// Every setting the server reads. `key` is its place in the config object and in
+// the config file, `env` the variable that overrides it. `exposed` settings are
+// returned by GET /config; `secret` ones are never echoed, not even in errors.
+// Built on first use: the logger and retrieval modules import this one in turn.
+const defineSettings = () => [
+  { key: 'server.port', env: 'PORT', type: 'integer', default: 3001, min: 1, max: 65535 },
+  { key: 'server.nodeEnv', env: 'NODE_ENV', type: 'string', default: 'development', exposed: true },
+  { key: 'server.corsOrigins', env: 'CORS_ORIGINS', type: 'list', default: ['http://localhost:3000'] },
+  { key: 'server.logLevel', env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info', exposed: true },
+  // Unset: on unless NODE_ENV=production
+  { key: 'server.validateResponses', env: 'OPENAPI_VALIDATE_RESPONSES', type: 'boolean', default: null },
+  { key: 'server.metricsToken', env: 'METRICS_TOKEN', type: 'string', default: null, secret: true },
+
+  { key: 'uploads.directory', env: 'UPLOAD_DIR', type: 'path', default: 'uploads' },
+  { key: 'uploads.maxFileSizeMb', env: 'MAX_UPLOAD_MB', type: 'number', default: 10, min: 0.1, max: 1024, exposed: true },
+
+  { key: 'chroma.url', env: 'CHROMA_URL', type: 'url', default: 'http://localhost:8000' },
+  { key: 'chroma.persistDirectory', env: 'CHROMA_PERSIST_DIRECTORY', type: 'path', default: 'chroma_db' },
+  { key: 'chroma.batchSize', env: 'CHROMA_BATCH_SIZE', type: 'integer', default: 100, min: 1 },
+
+  // Provider names and the models they default to are checked by services/providers.js
+  { key: 'models.llmProvider', env: 'LLM_PROVIDER', type: 'string', default: 'openai', exposed: true },
+  { key: 'models.llmModel', env: 'LLM_MODEL', type: 'string', default: null, exposed: true },
+  { key: 'models.temperature', env: 'LLM_TEMPERATURE', type: 'number', default: 0.7, min: 0, max: 2, exposed: true },
+  { key: 'models.maxTokens', env: 'LLM_MAX_TOKENS', type: 'integer', default: null, min: 1, exposed: true },
+  // Unset: same as the LLM provider
+  { key: 'models.embeddingProvider', env: 'EMBEDDING_PROVIDER', type: 'string', default: null, exposed: true },
+  { key: 'models.embeddingModel', env: 'EMBEDDING_MODEL', type: 'string', default: null, exposed: true },
+  { key: 'models.openaiApiKey', env: 'OPENAI_API_KEY', type: 'string', default: null, secret: true },
+  { key: 'models.openaiCompatibleBaseUrl', env: 'OPENAI_COMPATIBLE_BASE_URL', type: 'url', default: null },
+  { key: 'models.openaiCompatibleApiKey', env: 'OPENAI_COMPATIBLE_API_KEY', type: 'string', default: null, secret: true },
+  { key: 'models.ollamaBaseUrl', env: 'OLLAMA_BASE_URL', type: 'url', default: 'http://localhost:11434' },
+  { key: 'models.prices', env: 'MODEL_PRICES', type: 'json', default: {} },
+
+  { key: 'ingestion.embeddingBatchSize', env: 'EMBEDDING_BATCH_SIZE', type: 'integer', default: 64, min: 1 },
+  { key: 'ingestion.embeddingConcurrency', env: 'EMBEDDING_CONCURRENCY', type: 'integer', default: 2, min: 1 },
+  { key: 'ingestion.maxRetries', env: 'INGESTION_MAX_RETRIES', type: 'integer', default: 5, min: 0 },
+  { key: 'ingestion.retryBaseDelayMs', env: 'INGESTION_RETRY_BASE_DELAY_MS', type: 'integer', default: 500, min: 0 },
+  { key: 'ingestion.embeddingCache', env: 'EMBEDDING_CACHE', type: 'boolean', default: true, exposed: true },
+  // Unset: picked per format
+  { key: 'ingestion.chunkingStrategy', env: 'CHUNKING_STRATEGY', type: 'enum', values: CHUNKING_STRATEGIES, default: null, exposed: true },
+
+  { key: 'retrieval.mode', env: 'RETRIEVAL_MODE', type: 'enum', values: RETRIEVAL_MODES, default: 'hybrid', exposed: true },
+  { key: 'retrieval.keywordWeight', env: 'HYBRID_KEYWORD_WEIGHT', type: 'number', default: 0.3, min: 0, max: 1, exposed: true },
+  { key: 'retrieval.topK', env: 'RETRIEVAL_TOP_K', type: 'integer', default: 4, min: 1, max: 20, exposed: true },
+  // 0 = no cutoff
+  { key: 'retrieval.maxDistance', env: 'RETRIEVAL_MAX_DISTANCE', type: 'number', default: 0, min: 0, exposed: true },
+  { key: 'retrieval.mmr', env: 'RETRIEVAL_MMR', type: 'boolean', default: false, exposed: true },
+  { key: 'retrieval.mmrLambda', env: 'RETRIEVAL_MMR_LAMBDA', type: 'number', default: 0.5, min: 0, max: 1, exposed: true },
+
+  { key: 'chat.historyTokenBudget', env: 'HISTORY_TOKEN_BUDGET', type: 'integer', default: 1500, min: 0, exposed: true },
+  { key: 'chat.condenseHistoryTokenBudget', env: 'CONDENSE_HISTORY_TOKEN_BUDGET', type: 'integer', default: 1000, min: 0, exposed: true },
+
+  // 0 turns a limit off
+  { key: 'limits.chatPerMinute', env: 'RATE_LIMIT_CHAT_PER_MINUTE', type: 'integer', default: 20, min: 0, exposed: true },
+  { key: 'limits.uploadPerMinute', env: 'RATE_LIMIT_UPLOAD_PER_MINUTE', type: 'integer', default: 10, min: 0, exposed: true },
+  { key: 'limits.monthlyTokenQuota', env: 'MONTHLY_TOKEN_QUOTA', type: 'integer', default: 0, min: 0, exposed: true },
+  { key: 'limits.monthlyCostQuotaUsd', env: 'MONTHLY_COST_QUOTA_USD', type: 'number', default: 0, min: 0, exposed: true },
+
+  // 0 keeps traces forever
+  { key: 'traces.retentionDays', env: 'TRACE_RETENTION_DAYS', type: 'number', default: 7, min: 0, exposed: true },
+
+  { key: 'auth.allowRegistration', env: 'ALLOW_REGISTRATION', type: 'boolean', default: false, exposed: true },
+  { key: 'auth.adminUsername', env: 'ADMIN_USERNAME', type: 'string', default: null },
+  { key: 'auth.adminPassword', env: 'ADMIN_PASSWORD', type: 'string', default: null, secret: true },
+  { key: 'auth.adminWorkspace', env: 'ADMIN_WORKSPACE', type: 'string', default: 'Default workspace' }
+];
+
+let settingsList = null;
+
+const getSettings = () => {
+  settingsList ??= defineSettings();
+  return settingsList;
+};
+
+// Each parser turns an env string or a config file value into the setting's type, or throws
+const PARSERS = {
+  string: (value) => {
+    if (typeof value !== 'string') {
+      throw new Error('must be a string');
+    }
+    return value;
+  },
+  integer: (value) => {
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (!Number.isInteger(parsed)) {
+      throw new Error('must be an integer');
+    }
+    return parsed;
+  },
+  number: (value) => {
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+      throw new Error('must be a number');
+    }
+    return parsed;
+  },
+  boolean: (value) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new Error('must be true or false');
+  },
+  enum: (value) => PARSERS.string(value).toLowerCase(),
+  // Comma-separated in the environment, an array in the config file
+  list: (value) => {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+      throw new Error('must be a comma-separated list');
+    }
+    return items.map(item => item.trim()).filter(Boolean);
+  },
+  url: (value) => {
+    let url;
+    try {
+      url = new URL(PARSERS.string(value));
+    } catch (error) {
+      throw new Error('must be a URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('must be an http or https URL');
+    }
+    return value.replace(/\/+$/, '');
+  },
+  path: (value) => path.resolve(SERVER_DIR, PARSERS.string(value)),
+  // A JSON string in the environment, an object in the config file
+  json: (value) => {
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`must be valid JSON (${error.message})`);
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('must be a JSON object');
+    }
+    return parsed;
+  }
+};
+
+const describeRange = ({ min, max }) => {
+  if (min !== undefined && max !== undefined) return `between ${min} and ${max}`;
+  return min !== undefined ? `at least ${min}` : `at most ${max}`;
+};
+
+// Parse one raw value and check its bounds. Throws with a message naming the setting.
+const parseSetting = (setting, raw, label) => {
+  const shown = setting.secret ? '' : ` (got ${JSON.stringify(raw)})`;
+
+  try {
+    const value = PARSERS[setting.type](raw);
+
+    if ((setting.min !== undefined && value < setting.min) || (setting.max !== undefined && value > setting.max)) {
+      throw new Error(`must be ${describeRange(setting)}`);
+    }
+
+    if (setting.values && !setting.values.includes(value)) {
+      throw new Error(`must be one of: ${setting.values.join(', ')}`);
+    }
+
+    return value;
+  } catch (error) {
+    throw new Error(`${label} ${error.message}${shown}`);
+  }
+};
+
+const getIn = (object, key) => key.split('.').reduce((value, part) => value?.[part], object);
+
+const setIn = (object, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((parent, part) => (parent[part] ??= {}), object);
+  target[last] = value;
+};
+
+// Settings from the JSON config file, or {} when the default file does not exist.
+// A file named by CONFIG_FILE must exist.
+const readConfigFile = (env, problems) => {
+  const filePath = path.resolve(SERVER_DIR, env.CONFIG_FILE || DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    if (env.CONFIG_FILE) {
+      problems.push(`CONFIG_FILE ${filePath} does not exist`);
+    }
+    return { filePath: null, values: {} };
+  }
+
+  try {
+    const values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('must contain a JSON object');
+    }
+    return { filePath, values };
+  } catch (error) {
+    problems.push(`${filePath}: ${error.message}`);
+    return { filePath: null, values: {} };
+  }
+};
+
+// Keys in the config file that no setting uses, e.g. "retrieval.topk"
+const findUnknownKeys = (values, prefix = '') => Object.entries(values).flatMap(([name, value]) => {
+  const key = `${prefix}${name}`;
+  if (getSettings().some(setting => setting.key === key)) return [];
+  if (value && typeof value === 'object' && !Array.isArray(value) && getSettings().some(setting => setting.key.startsWith(`${key}.`))) {
+    return findUnknownKeys(value, `${key}.`);
+  }
+  return [key];
+});
+
+// Build the config from defaults, then the config file, then environment variables.
+// Every invalid value is collected and reported in one error with a `problems` list.
+// Returns { config, sources }, where sources maps each key to default, file or env.
+export const loadConfig = (env = process.env) => {
+  const problems = [];
+  const config = {};
+  const sources = {};
+  const file = readConfigFile(env, problems);
+
+  for (const key of findUnknownKeys(file.values)) {
+    problems.push(`${file.filePath}: unknown setting "${key}"`);
+  }
+
+  for (const setting of getSettings()) {
+    let value = setting.default;
+    let source = 'default';
+
+    try {
+      const fromFile = getIn(file.values, setting.key);
+      if (fromFile !== undefined && fromFile !== null) {
+        value = parseSetting(setting, fromFile, `${setting.key} in ${path.basename(file.filePath)}`);
+        source = 'file';
+      }
+
+      // Empty variables (e.g. "LLM_MODEL=" in a copied env.example) count as unset
+      const fromEnv = env[setting.env];
+      if (fromEnv !== undefined && fromEnv.trim() !== '') {
+        value = parseSetting(setting, fromEnv, setting.env);
+        source = 'env';
+      }
+    } catch (error) {
+      problems.push(error.message);
+    }
+
+    if (setting.type === 'path' && source === 'default') {
+      value = PARSERS.path(value);
+    }
+
+    setIn(config, setting.key, value);
+    sources[setting.key] = source;
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration: ${problems.join('; ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  config.server.validateResponses ??= config.server.nodeEnv !== 'production';
+  config.file = file.filePath;
+
+  return { config, sources };
+};
+
+let loaded = null;
+
+// The server's configuration, loaded on first use (after dotenv has filled process.env)
+export const getConfig = () => {
+  if (!loaded) {
+    loaded = loadConfig();
+  }
+
+  return loaded.config;
+};
+
+// Settings that are safe to show to any signed-in user, with where each value came from
+export const describeConfig = () => {
+  getConfig();
+
+  const settings = {};
+  const sources = {};
+
+  for (const setting of getSettings().filter(entry => entry.exposed)) {
+    setIn(settings, setting.key, getIn(loaded.config, setting.key));
+    sources[setting.key] = loaded.sources[setting.key];
+  }
+
+  return { settings, sources };
+};
@@ -0,0 +1,18 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// SHA-256 of a file's bytes, streamed so large uploads are not read into memory
+export const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+
+    fs.createReadStream(filePath)
+      .on('data', (data) => hash.update(data))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+};
+
+export const hashText = (text) => {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+};
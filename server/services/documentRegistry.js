@@ -0,0 +1,102 @@
+import { dataPath, createJSONStore } from './storage.js';
+
+// In-memory copy of the registry, loaded lazily from disk
+const { load: loadRegistry, save: saveRegistry } = createJSONStore(dataPath('documents.json'), {
+  name: 'document registry'
+});
+
+export const getCollectionName = (documentId) => `collection_${documentId}`;
+
+// All documents, or only those of one workspace
+export const listDocuments = ({ workspaceId } = {}) => {
+  return Object.values(loadRegistry())
+    .filter(doc => !workspaceId || doc.workspaceId === workspaceId)
+    .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+};
+
+export const getDocument = (documentId) => {
+  return loadRegistry()[documentId] || null;
+};
+
+// Newest document in the workspace with the same file contents that did not fail to process
+export const findDocumentByHash = (contentHash, workspaceId) => {
+  return listDocuments({ workspaceId })
+    .find(doc => doc.contentHash === contentHash && doc.status !== 'failed') || null;
+};
+
+export const createDocument = ({ id, workspaceId, filename, format, size, contentHash = null, tags = [], chunking = null }) => {
+  const registry = loadRegistry();
+
+  registry[id] = {
+    id,
+    workspaceId,
+    filename,
+    format,
+    size,
+    contentHash,
+    tags,
+    chunking,
+    collectionName: getCollectionName(id),
+    uploadedAt: new Date().toISOString(),
+    chunkCount: 0,
+    status: 'processing',
+    error: null
+  };
+
+  saveRegistry();
+  return registry[id];
+};
+
+export const updateDocument = (documentId, changes) => {
+  const registry = loadRegistry();
+
+  if (!registry[documentId]) {
+    return null;
+  }
+
+  registry[documentId] = {
+    ...registry[documentId],
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+
+  saveRegistry();
+  return registry[documentId];
+};
+
+export const removeDocument = (documentId) => {
+  const registry = loadRegistry();
+
+  if (!registry[documentId]) {
+    return false;
+  }
+
+  delete registry[documentId];
+  saveRegistry();
+  return true;
+};
+
+// Documents left in "processing" by a crash or restart can never finish
+export const markInterruptedDocuments = () => {
+  const interrupted = listDocuments().filter(doc => doc.status === 'processing');
+
+  interrupted.forEach(doc => {
+    updateDocument(doc.id, {
+      status: 'failed',
+      error: 'Processing was interrupted by a server restart'
+    });
+  });
+
+  return interrupted.length;
+};
+
+// Documents registered before workspaces existed go to the first workspace created
+export const claimUnownedDocuments = (workspaceId) => {
+  const unowned = listDocuments().filter(doc => !doc.workspaceId);
+
+  unowned.forEach(doc => {
+    updateDocument(doc.id, { workspaceId });
+  });
+
+  return unowned.length;
+};
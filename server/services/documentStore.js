@@ -0,0 +1,36 @@
+import fs from 'fs';
+import path from 'path';
+import { dataPath, removeFile } from './storage.js';
+
+// Originals of uploaded files, kept so clients can show the document itself:
+// data/originals/<document id><extension>
+const ORIGINALS_DIR = dataPath('originals');
+
+const originalPath = (document) => path.join(ORIGINALS_DIR, `${document.id}${path.extname(document.filename).toLowerCase()}`);
+
+// Move an uploaded file into the store and return its new path
+export const storeOriginal = (document, uploadedPath) => {
+  const target = originalPath(document);
+  fs.mkdirSync(ORIGINALS_DIR, { recursive: true });
+
+  try {
+    fs.renameSync(uploadedPath, target);
+  } catch (error) {
+    // Uploads and data may live on different volumes
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    fs.copyFileSync(uploadedPath, target);
+    fs.unlinkSync(uploadedPath);
+  }
+
+  return target;
+};
+
+// Path of a document's original, or null when it was uploaded before originals were kept
+export const getOriginalPath = (document) => {
+  const filePath = originalPath(document);
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+export const removeOriginal = (document) => removeFile(originalPath(document));
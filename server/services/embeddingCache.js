@@ -0,0 +1,34 @@
+import { dataPath, readJSON, writeJSON } from './storage.js';
+import { hashText } from './contentHash.js';
+import { logger } from './logger.js';
+
+// One file per (model, chunk text), sharded by the first characters of the hash:
+// data/embedding-cache/<model>/<ab>/<hash>.json
+const cachePath = (modelId, hash) => {
+  const modelDir = modelId.replace(/[^a-zA-Z0-9._-]/g, '_');
+  return dataPath('embedding-cache', modelDir, hash.slice(0, 2), `${hash}.json`);
+};
+
+// Look up cached vectors for each text; misses come back as null
+export const getCachedEmbeddings = (modelId, texts) => {
+  return texts.map(text => {
+    try {
+      const entry = readJSON(cachePath(modelId, hashText(text)), null);
+      return Array.isArray(entry?.embedding) ? entry.embedding : null;
+    } catch (error) {
+      // A corrupt entry is just a miss; it gets rewritten after embedding
+      logger.warn('Error reading embedding cache entry', { error: error.message });
+      return null;
+    }
+  });
+};
+
+export const cacheEmbeddings = (modelId, texts, vectors) => {
+  texts.forEach((text, index) => {
+    try {
+      writeJSON(cachePath(modelId, hashText(text)), { embedding: vectors[index] }, { compact: true });
+    } catch (error) {
+      logger.warn('Error writing embedding cache entry', { error: error.message });
+    }
+  });
+};
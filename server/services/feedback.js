@@ -0,0 +1,70 @@
+import { v4 as uuidv4 } from 'uuid';
+import { dataPath, createJSONStore } from './storage.js';
+
+export const RATINGS = ['up', 'down'];
+
+// In-memory copy of all feedback, loaded lazily from disk
+const { load: loadFeedback, save: saveFeedback } = createJSONStore(dataPath('feedback.json'), {
+  name: 'feedback'
+});
+
+// Each caller has one rating per answer; rating again replaces it.
+// The question, answer, prompt and retrieved chunks are copied so the entry
+// still explains the answer after the session or document is deleted.
+// Returns { feedback, created }.
+export const recordFeedback = ({ owner, session, question, answer, prompt = null, rating, comment = null }) => {
+  const registry = loadFeedback();
+  const now = new Date().toISOString();
+  const existing = Object.values(registry).find(entry => (
+    entry.messageId === answer.id &&
+    entry.userId === owner.userId &&
+    entry.apiKeyId === owner.apiKeyId
+  ));
+
+  if (existing) {
+    Object.assign(existing, { rating, comment, updatedAt: now });
+    saveFeedback();
+    return { feedback: existing, created: false };
+  }
+
+  const feedback = {
+    id: uuidv4(),
+    ...owner,
+    sessionId: session.id,
+    messageId: answer.id,
+    documentId: session.documentId,
+    documentName: session.documentName,
+    rating,
+    comment,
+    question,
+    answer: answer.content,
+    prompt,
+    retrieval: answer.retrieval || null,
+    chunkIds: (answer.sources || []).map(source => source.id),
+    sources: answer.sources || [],
+    citations: answer.citations || [],
+    invalidCitations: answer.invalidCitations || [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  registry[feedback.id] = feedback;
+  saveFeedback();
+  return { feedback, created: true };
+};
+
+// Feedback of a workspace, newest first, with up/down totals over the whole filtered set
+export const listFeedback = ({ workspaceId, rating, documentId, limit = 50 }) => {
+  const matching = Object.values(loadFeedback())
+    .filter(entry => entry.workspaceId === workspaceId)
+    .filter(entry => !documentId || entry.documentId === documentId);
+
+  const totals = Object.fromEntries(RATINGS.map(value => [value, matching.filter(entry => entry.rating === value).length]));
+
+  const feedback = matching
+    .filter(entry => !rating || entry.rating === rating)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit);
+
+  return { totals, feedback };
+};
@@ -0,0 +1,25 @@
+// Every error response uses the same envelope: { error: { code, message, details } }.
+// `code` is stable for clients to branch on; `message` is meant for people.
+const DEFAULT_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'service_unavailable'
+};
+
+export const errorBody = (status, message, { code, details = null } = {}) => ({
+  error: {
+    code: code || DEFAULT_CODES[status] || 'error',
+    message,
+    details
+  }
+});
+
+export const sendError = (res, status, message, options) => {
+  return res.status(status).json(errorBody(status, message, options));
+};
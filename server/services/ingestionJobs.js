@@ -0,0 +1,169 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+// Pipeline stages in order, with the share of overall progress each one covers
+export const INGESTION_STAGES = [
+  { name: 'parsing', weight: 10 },
+  { name: 'chunking', weight: 10 },
+  { name: 'embedding', weight: 50 },
+  { name: 'indexing', weight: 30 }
+];
+
+// How many documents are ingested at the same time; the rest wait in the queue
+const MAX_CONCURRENT_JOBS = 2;
+
+// Finished jobs are kept around this long so clients can still read the outcome
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const events = new EventEmitter();
+const queue = [];
+let runningJobs = 0;
+
+events.setMaxListeners(0);
+
+export const isJobFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+const pruneFinishedJobs = () => {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+
+  for (const [id, job] of jobs) {
+    if (isJobFinished(job) && Date.parse(job.updatedAt) < cutoff) {
+      jobs.delete(id);
+    }
+  }
+};
+
+// Overall progress from the current stage and how far along it is (0-1)
+const overallProgress = (stageName, stageFraction) => {
+  let progress = 0;
+
+  for (const stage of INGESTION_STAGES) {
+    if (stage.name === stageName) {
+      return Math.round(progress + stage.weight * Math.min(Math.max(stageFraction, 0), 1));
+    }
+    progress += stage.weight;
+  }
+
+  return progress;
+};
+
+const updateJob = (jobId, changes) => {
+  const job = jobs.get(jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  events.emit(jobId, job);
+  return job;
+};
+
+export const createJob = ({ documentId, filename }) => {
+  pruneFinishedJobs();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    documentId,
+    filename,
+    status: 'queued',
+    stage: null,
+    progress: 0,
+    stages: Object.fromEntries(INGESTION_STAGES.map(stage => [stage.name, { status: 'pending' }])),
+    message: 'Waiting to start',
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.set(job.id, job);
+  return job;
+};
+
+export const getJob = (jobId) => jobs.get(jobId) || null;
+
+// Called by the pipeline as it works: reportProgress(stage, fraction, message)
+const createProgressReporter = (jobId) => (stageName, fraction = 0, message = null) => {
+  const job = jobs.get(jobId);
+
+  if (!job) {
+    return;
+  }
+
+  // Entering a new stage completes every stage before it
+  const stages = { ...job.stages };
+  for (const stage of INGESTION_STAGES) {
+    if (stage.name === stageName) {
+      stages[stage.name] = { status: 'running', progress: Math.round(fraction * 100) };
+      break;
+    }
+    stages[stage.name] = { status: 'completed', progress: 100 };
+  }
+
+  updateJob(jobId, {
+    status: 'running',
+    stage: stageName,
+    stages,
+    progress: overallProgress(stageName, fraction),
+    message: message || job.message
+  });
+};
+
+const runNext = () => {
+  while (runningJobs < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    const { jobId, task } = queue.shift();
+    runningJobs++;
+
+    updateJob(jobId, { status: 'running', message: 'Starting ingestion' });
+
+    task(createProgressReporter(jobId))
+      .then((result) => {
+        const job = jobs.get(jobId);
+        const stages = Object.fromEntries(
+          Object.keys(job.stages).map(name => [name, { status: 'completed', progress: 100 }])
+        );
+
+        updateJob(jobId, {
+          status: 'completed',
+          stage: 'done',
+          stages,
+          progress: 100,
+          message: 'Document processed successfully',
+          result
+        });
+      })
+      .catch((error) => {
+        const job = jobs.get(jobId);
+        const stages = { ...job.stages };
+
+        if (job.stage && stages[job.stage]) {
+          stages[job.stage] = { ...stages[job.stage], status: 'failed' };
+        }
+
+        updateJob(jobId, {
+          status: 'failed',
+          stages,
+          message: 'Ingestion failed',
+          error: error.message
+        });
+      })
+      .finally(() => {
+        runningJobs--;
+        runNext();
+      });
+  }
+};
+
+// Queue a task for a job. The task receives a progress reporter and resolves with the job result.
+export const enqueueJob = (jobId, task) => {
+  queue.push({ jobId, task });
+  runNext();
+};
+
+// Listen for updates to a job; returns an unsubscribe function
+export const subscribeToJob = (jobId, listener) => {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+};
@@ -0,0 +1,137 @@
+import { dataPath, readJSON, writeJSON, removeFile } from './storage.js';
+import { logger } from './logger.js';
+
+// BM25 parameters: k1 controls term-frequency saturation, b length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const INDEX_VERSION = 1;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with',
+  'what', 'which', 'who', 'how', 'does', 'do', 'did', 'can', 'about'
+]);
+
+// Loaded indexes, keyed by document id
+const cache = new Map();
+
+const indexPath = (documentId) => dataPath('keyword-indexes', `${documentId}.json`);
+
+// Lowercased terms. Identifiers such as "XJ-42" or "v2.1" are kept whole and also
+// split into their parts, so both exact codes and their pieces match.
+export const tokenize = (text) => {
+  const tokens = [];
+  const matches = (text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || [];
+
+  for (const match of matches) {
+    const parts = match.split(/[-_./]/);
+
+    if (parts.length > 1) {
+      tokens.push(match);
+    }
+
+    for (const part of parts) {
+      if (!STOPWORDS.has(part)) {
+        tokens.push(part);
+      }
+    }
+  }
+
+  return tokens;
+};
+
+// Build a BM25 index over chunks ({ id, document })
+export const buildKeywordIndex = (chunks) => {
+  const documentFrequency = {};
+  let totalLength = 0;
+
+  const docs = chunks.map(chunk => {
+    const termFrequency = {};
+    const tokens = tokenize(chunk.document);
+
+    for (const token of tokens) {
+      termFrequency[token] = (termFrequency[token] || 0) + 1;
+    }
+
+    for (const term of Object.keys(termFrequency)) {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    }
+
+    totalLength += tokens.length;
+    return { id: chunk.id, length: tokens.length, termFrequency };
+  });
+
+  return {
+    version: INDEX_VERSION,
+    docCount: docs.length,
+    averageLength: docs.length > 0 ? totalLength / docs.length : 0,
+    documentFrequency,
+    docs
+  };
+};
+
+// Score every chunk against the query and return the best `limit` as [{ id, score }].
+// `allowedIds` (a Set) restricts scoring to chunks that passed a metadata filter.
+export const searchKeywordIndex = (index, query, limit, allowedIds = null) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  const results = [];
+
+  for (const doc of index.docs) {
+    if (allowedIds && !allowedIds.has(doc.id)) {
+      continue;
+    }
+
+    let score = 0;
+
+    for (const term of queryTerms) {
+      const frequency = doc.termFrequency[term];
+      if (!frequency) {
+        continue;
+      }
+
+      const df = index.documentFrequency[term];
+      const idf = Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+      const lengthNorm = 1 - BM25_B + BM25_B * (doc.length / (index.averageLength || 1));
+      score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+    }
+
+    if (score > 0) {
+      results.push({ id: doc.id, score });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+export const saveKeywordIndex = (documentId, index) => {
+  writeJSON(indexPath(documentId), index);
+  cache.set(documentId, index);
+};
+
+// Returns null when the document has no keyword index (e.g. uploaded before hybrid search)
+export const loadKeywordIndex = (documentId) => {
+  if (cache.has(documentId)) {
+    return cache.get(documentId);
+  }
+
+  try {
+    const index = readJSON(indexPath(documentId), null);
+
+    if (index && index.version === INDEX_VERSION) {
+      cache.set(documentId, index);
+      return index;
+    }
+  } catch (error) {
+    logger.error('Error loading keyword index', { documentId, error });
+  }
+
+  return null;
+};
+
+export const deleteKeywordIndex = (documentId) => {
+  cache.delete(documentId);
+  return removeFile(indexPath(documentId));
+};
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import { parse } from 'csv-parse/sync';
+
+// Render a row as "column: value" pairs so every chunk is self-describing
+const renderRow = (header, row) => {
+  return row
+    .map((value, index) => `${header[index] || `column ${index + 1}`}: ${value}`)
+    .filter((_, index) => row[index] !== '')
+    .join('; ');
+};
+
+// CSV files are chunked by whole rows: a chunk never cuts a row in half
+export const loadCSV = async (filePath, { chunkSize = 1000 } = {}) => {
+  const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  const [header = [], ...rows] = parse(content, {
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  });
+
+  const lines = rows.map(row => renderRow(header, row));
+  const text = lines.join('\n');
+
+  const chunks = [];
+  let current = null;
+  let offset = 0;
+
+  lines.forEach((line, index) => {
+    const rowNumber = index + 1;
+
+    // Start a new chunk when this row would overflow the current one
+    if (current && current.text.length + 1 + line.length > chunkSize) {
+      chunks.push(current);
+      current = null;
+    }
+
+    if (!current) {
+      current = { text: line, startOffset: offset, rowStart: rowNumber };
+    } else {
+      current.text += '\n' + line;
+    }
+
+    current.endOffset = offset + line.length;
+    current.rowEnd = rowNumber;
+    offset += line.length + 1;
+  });
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return {
+    pages: [{ pageNumber: 1, text }],
+    pageCount: 1,
+    paged: false,
+    chunks: chunks.map((chunk, chunkIndex) => ({
+      ...chunk,
+      chunkIndex,
+      pageStart: 1,
+      pageEnd: 1
+    }))
+  };
+};
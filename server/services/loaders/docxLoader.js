@@ -0,0 +1,17 @@
+import mammoth from 'mammoth';
+import { logger } from '../logger.js';
+
+// Word documents carry no reliable page breaks, so the body is one unpaged section
+export const loadDOCX = async (filePath) => {
+  const { value, messages } = await mammoth.extractRawText({ path: filePath });
+
+  messages
+    .filter(message => message.type === 'error')
+    .forEach(message => logger.warn('DOCX conversion problem', { problem: message.message }));
+
+  return {
+    pages: [{ pageNumber: 1, text: value }],
+    pageCount: 1,
+    paged: false
+  };
+};
@@ -0,0 +1,38 @@
+import fs from 'fs';
+import { convert } from 'html-to-text';
+
+// Page chrome that never holds document content
+const BOILERPLATE_SELECTORS = [
+  'nav', 'header', 'footer', 'aside', 'form', 'button', 'iframe', 'svg', 'img',
+  'script', 'style', 'noscript', '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]'
+];
+
+export const loadHTML = async (filePath) => {
+  const html = fs.readFileSync(filePath, 'utf8');
+
+  const text = convert(html, {
+    wordwrap: false,
+    // Prefer the main content area when the page marks one
+    baseElements: {
+      selectors: ['main', 'article', '[role="main"]'],
+      returnDomByDefault: true
+    },
+    selectors: [
+      ...BOILERPLATE_SELECTORS.map(selector => ({ selector, format: 'skip' })),
+      { selector: 'a', options: { ignoreHref: true } },
+      { selector: 'h1', options: { uppercase: false } },
+      { selector: 'h2', options: { uppercase: false } },
+      { selector: 'h3', options: { uppercase: false } },
+      { selector: 'h4', options: { uppercase: false } },
+      { selector: 'h5', options: { uppercase: false } },
+      { selector: 'h6', options: { uppercase: false } },
+      { selector: 'table', format: 'dataTable', options: { uppercaseHeaderCells: false } }
+    ]
+  });
+
+  return {
+    pages: [{ pageNumber: 1, text }],
+    pageCount: 1,
+    paged: false
+  };
+};
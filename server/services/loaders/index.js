@@ -0,0 +1,61 @@
+import path from 'path';
+import { loadPDF } from './pdfLoader.js';
+import { loadDOCX } from './docxLoader.js';
+import { loadHTML } from './htmlLoader.js';
+import { loadText, loadMarkdown } from './textLoader.js';
+import { loadCSV } from './csvLoader.js';
+
+// One entry per supported format. Extensions are checked first because browsers
+// report Markdown and CSV with inconsistent (or empty) MIME types.
+const LOADERS = [
+  {
+    format: 'pdf',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    load: loadPDF
+  },
+  {
+    format: 'docx',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    load: loadDOCX
+  },
+  {
+    format: 'markdown',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    load: loadMarkdown
+  },
+  {
+    format: 'html',
+    extensions: ['.html', '.htm'],
+    mimeTypes: ['text/html'],
+    load: loadHTML
+  },
+  {
+    format: 'text',
+    extensions: ['.txt'],
+    mimeTypes: ['text/plain'],
+    load: loadText
+  },
+  {
+    format: 'csv',
+    extensions: ['.csv'],
+    mimeTypes: ['text/csv', 'application/csv'],
+    load: loadCSV
+  }
+];
+
+// Find the loader for an uploaded file, or null if the format is not supported
+export const getLoaderForFile = ({ originalname, mimetype }) => {
+  const extension = path.extname(originalname || '').toLowerCase();
+
+  return LOADERS.find(loader => loader.extensions.includes(extension))
+    || LOADERS.find(loader => loader.mimeTypes.includes(mimetype))
+    || null;
+};
+
+// Loader for a format recorded on a document, or null
+export const getLoaderForFormat = (format) => LOADERS.find(loader => loader.format === format) || null;
+
+export const SUPPORTED_EXTENSIONS = LOADERS.flatMap(loader => loader.extensions);
@@ -0,0 +1,48 @@
+import fs from 'fs';
+
+// Extract the text of a single PDF page, keeping pdf-parse's line handling
+const renderPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+
+  return text;
+};
+
+// Parse PDF document into per-page text
+export const loadPDF = async (filePath) => {
+  // The package entry point parses ./test/data/05-versions-space.pdf when loaded
+  // without a CommonJS parent, as it is from ESM, so load the library directly
+  const pdf = (await import('pdf-parse/lib/pdf-parse.js')).default;
+  // pdf.js copies its input with `new input.constructor(input)`. A Buffer under 4 KB is copied
+  // into Node's shared pool, which pdf.js then reads from offset 0, so pass a plain Uint8Array.
+  const dataBuffer = new Uint8Array(fs.readFileSync(filePath));
+
+  // pdf-parse renders pages sequentially, so pages arrive in order
+  const pages = [];
+  const data = await pdf(dataBuffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPage(pageData);
+      pages.push({ pageNumber: pageData.pageIndex + 1, text });
+      return text;
+    }
+  });
+
+  return {
+    pages,
+    pageCount: data.numpages,
+    paged: true
+  };
+};
@@ -0,0 +1,19 @@
+import fs from 'fs';
+
+// Plain text and Markdown are indexed as-is; Markdown syntax is readable enough for the LLM
+export const loadText = async (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+
+  return {
+    pages: [{ pageNumber: 1, text }],
+    pageCount: 1,
+    paged: false
+  };
+};
+
+// Markdown front matter is metadata, not content
+export const loadMarkdown = async (filePath) => {
+  const result = await loadText(filePath);
+  result.pages[0].text = result.pages[0].text.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '');
+  return result;
+};
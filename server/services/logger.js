@@ -0,0 +1,69 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { getConfig } from './config.js';
+
+// One JSON object per line: { time, level, msg, requestId?, jobId?, ...fields }
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export const LOG_LEVELS = Object.keys(LEVELS);
+
+// Read on first use, after server.js has loaded .env
+let minLevel = null;
+
+const getMinLevel = () => {
+  if (minLevel === null) {
+    try {
+      minLevel = LEVELS[getConfig().server.logLevel];
+    } catch (error) {
+      // Invalid settings are reported through this logger, so log at info until they are fixed
+      return LEVELS.info;
+    }
+  }
+
+  return minLevel;
+};
+
+// Ids of the request or job being handled, picked up by every log line written while handling it
+const context = new AsyncLocalStorage();
+
+export const runWithLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+export const getLogContext = () => context.getStore() || {};
+
+// Errors lose their message and stack in JSON.stringify
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.stack && { stack: error.stack })
+});
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < getMinLevel()) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...getLogContext(),
+    ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+      key,
+      value instanceof Error ? serializeError(value) : value
+    ]))
+  };
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
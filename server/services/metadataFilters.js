@@ -0,0 +1,181 @@
+// Structured filters for chat and search, translated into ChromaDB `where` clauses
+// over the chunk metadata written at ingestion.
+//
+// {
+//   filename: 'report.pdf' | ['a.pdf', 'b.pdf'],
+//   format: 'pdf' | ['pdf', 'docx'],
+//   pages: { from: 10, to: 40 },        // chunks overlapping the range, paged formats only
+//   rows: { from: 1, to: 100 },         // CSV chunks overlapping the row range
+//   uploadedAfter: '2025-06-01',        // ISO dates, inclusive
+//   uploadedBefore: '2025-06-30T23:59:59Z',
+//   tags: ['finance', 'q2']             // chunks from documents carrying every tag
+// }
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+const MAX_LIST_LENGTH = 50;
+
+const FILTER_KEYS = ['filename', 'format', 'pages', 'rows', 'uploadedAfter', 'uploadedBefore', 'tags'];
+
+// Lowercase, dash-separated tag names, safe to use inside metadata keys
+export const normalizeTag = (tag) => {
+  return String(tag)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9_-]/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+};
+
+// Parse tags from an array or a comma-separated string (as sent by multipart forms)
+export const parseTags = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return [];
+  }
+
+  const values = Array.isArray(input) ? input : String(input).split(',');
+  const tags = [...new Set(values.map(normalizeTag).filter(Boolean))];
+
+  if (tags.length > MAX_TAGS) {
+    throw new Error(`A document can have at most ${MAX_TAGS} tags`);
+  }
+
+  return tags;
+};
+
+// Chroma metadata can't hold arrays, so each tag becomes its own boolean key
+export const tagMetadataKey = (tag) => `tag_${tag}`;
+
+export const tagsToMetadata = (tags = []) => {
+  return Object.fromEntries(tags.map(tag => [tagMetadataKey(tag), true]));
+};
+
+const validateStringList = (name, value, errors) => {
+  const values = Array.isArray(value) ? value : [value];
+
+  if (values.length === 0 || values.length > MAX_LIST_LENGTH || !values.every(item => typeof item === 'string' && item.length > 0)) {
+    errors.push(`${name} must be a non-empty string or a list of up to ${MAX_LIST_LENGTH} strings`);
+    return null;
+  }
+
+  return values.length === 1 ? { [name]: { $eq: values[0] } } : { [name]: { $in: values } };
+};
+
+// A range overlaps chunks whose [startKey, endKey] span intersects [from, to]
+const validateRange = (name, value, startKey, endKey, errors) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${name} must be an object with "from" and/or "to"`);
+    return [];
+  }
+
+  const { from, to } = value;
+  const isPosition = (n) => Number.isInteger(n) && n >= 1;
+
+  if ((from !== undefined && !isPosition(from)) || (to !== undefined && !isPosition(to))) {
+    errors.push(`${name}.from and ${name}.to must be positive integers`);
+    return [];
+  }
+
+  if (from === undefined && to === undefined) {
+    errors.push(`${name} needs "from", "to" or both`);
+    return [];
+  }
+
+  if (from !== undefined && to !== undefined && from > to) {
+    errors.push(`${name}.from must not be greater than ${name}.to`);
+    return [];
+  }
+
+  const clauses = [];
+  if (from !== undefined) {
+    clauses.push({ [endKey]: { $gte: from } });
+  }
+  if (to !== undefined) {
+    clauses.push({ [startKey]: { $lte: to } });
+  }
+
+  return clauses;
+};
+
+const validateDate = (name, value, errors) => {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+
+  if (Number.isNaN(time)) {
+    errors.push(`${name} must be an ISO date string`);
+    return null;
+  }
+
+  return time;
+};
+
+// Validate a filter object and build its `where` clause.
+// Returns { where, errors }; `where` is null when the filter is empty.
+export const buildWhereClause = (filter) => {
+  const errors = [];
+  const clauses = [];
+
+  if (filter === undefined || filter === null) {
+    return { where: null, errors };
+  }
+
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    return { where: null, errors: ['filter must be an object'] };
+  }
+
+  const unknownKeys = Object.keys(filter).filter(key => !FILTER_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`Unknown filter field(s): ${unknownKeys.join(', ')}. Expected: ${FILTER_KEYS.join(', ')}`);
+  }
+
+  for (const name of ['filename', 'format']) {
+    if (filter[name] !== undefined) {
+      const clause = validateStringList(name, filter[name], errors);
+      if (clause) {
+        clauses.push(clause);
+      }
+    }
+  }
+
+  if (filter.pages !== undefined) {
+    const rangeClauses = validateRange('pages', filter.pages, 'pageStart', 'pageEnd', errors);
+    if (rangeClauses.length > 0) {
+      // Page numbers mean nothing for Word, Markdown, HTML or text files
+      clauses.push({ paged: { $eq: true } }, ...rangeClauses);
+    }
+  }
+
+  if (filter.rows !== undefined) {
+    clauses.push(...validateRange('rows', filter.rows, 'rowStart', 'rowEnd', errors));
+  }
+
+  // Upload times are stored as epoch milliseconds because Chroma only compares numbers
+  if (filter.uploadedAfter !== undefined) {
+    const time = validateDate('uploadedAfter', filter.uploadedAfter, errors);
+    if (time !== null) {
+      clauses.push({ uploadedAt: { $gte: time } });
+    }
+  }
+
+  if (filter.uploadedBefore !== undefined) {
+    const time = validateDate('uploadedBefore', filter.uploadedBefore, errors);
+    if (time !== null) {
+      clauses.push({ uploadedAt: { $lte: time } });
+    }
+  }
+
+  if (filter.tags !== undefined) {
+    try {
+      const tags = parseTags(filter.tags);
+      clauses.push(...tags.map(tag => ({ [tagMetadataKey(tag)]: { $eq: true } })));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length > 0 || clauses.length === 0) {
+    return { where: null, errors };
+  }
+
+  // Chroma rejects $and with a single operand
+  return { where: clauses.length === 1 ? clauses[0] : { $and: clauses }, errors };
+};
@@ -0,0 +1,109 @@
+import client from 'prom-client';
+
+// Prometheus metrics served by GET /metrics. Labels are kept to small fixed
+// sets (route patterns, stage names, formats) so series don't multiply.
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: 'rag_' });
+
+// Ingestion stages and the stages of answering a question
+export const PIPELINE_STAGES = ['parse', 'chunk', 'embed', 'index', 'condense', 'retrieve', 'generate'];
+
+const httpRequests = new client.Counter({
+  name: 'rag_http_requests_total',
+  help: 'HTTP requests by method, route pattern and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'rag_http_request_duration_seconds',
+  help: 'Time until the response finished; for streams, until the stream ended',
+  labelNames: ['method', 'route'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [registry]
+});
+
+const stageDuration = new client.Histogram({
+  name: 'rag_pipeline_stage_duration_seconds',
+  help: 'Duration of each pipeline stage',
+  labelNames: ['stage'],
+  buckets: [0.005, 0.025, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [registry]
+});
+
+const stageErrors = new client.Counter({
+  name: 'rag_pipeline_stage_errors_total',
+  help: 'Pipeline stages that threw',
+  labelNames: ['stage'],
+  registers: [registry]
+});
+
+const uploadSize = new client.Histogram({
+  name: 'rag_upload_size_bytes',
+  help: 'Size of uploaded files',
+  labelNames: ['format'],
+  buckets: [10e3, 100e3, 500e3, 1e6, 2.5e6, 5e6, 10e6],
+  registers: [registry]
+});
+
+const documentChunks = new client.Histogram({
+  name: 'rag_document_chunks',
+  help: 'Chunks per ingested document',
+  labelNames: ['format'],
+  buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500],
+  registers: [registry]
+});
+
+const ingestions = new client.Counter({
+  name: 'rag_ingestions_total',
+  help: 'Finished ingestion jobs by outcome (completed or failed)',
+  labelNames: ['outcome'],
+  registers: [registry]
+});
+
+const chatAnswers = new client.Counter({
+  name: 'rag_chat_answers_total',
+  help: 'Chat questions by outcome (answered, no_context, aborted or failed)',
+  labelNames: ['outcome'],
+  registers: [registry]
+});
+
+// Zero every labelled series up front so rates work before the first event
+PIPELINE_STAGES.forEach(stage => stageErrors.labels(stage).inc(0));
+['completed', 'failed'].forEach(outcome => ingestions.labels(outcome).inc(0));
+['answered', 'no_context', 'aborted', 'failed'].forEach(outcome => chatAnswers.labels(outcome).inc(0));
+
+export const recordRequest = ({ method, route, status, durationMs }) => {
+  httpRequests.labels(method, route, String(status)).inc();
+  httpDuration.labels(method, route).observe(durationMs / 1000);
+};
+
+// Run one pipeline stage, recording how long it took and whether it threw.
+// Pass `timings` to also get the duration in milliseconds as timings[stage].
+export const timeStage = async (stage, fn, timings = null) => {
+  const end = stageDuration.labels(stage).startTimer();
+
+  try {
+    return await fn();
+  } catch (error) {
+    stageErrors.labels(stage).inc();
+    throw error;
+  } finally {
+    const seconds = end();
+    if (timings) {
+      timings[stage] = Math.round(seconds * 1000);
+    }
+  }
+};
+
+export const recordUpload = (format, bytes) => uploadSize.labels(format).observe(bytes);
+
+export const recordIngestion = (outcome, { format, chunkCount } = {}) => {
+  ingestions.labels(outcome).inc();
+  if (outcome === 'completed') {
+    documentChunks.labels(format).observe(chunkCount);
+  }
+};
+
+export const recordChatAnswer = (outcome) => chatAnswers.labels(outcome).inc();
@@ -0,0 +1,59 @@
+// Cosine similarity between two vectors, in [-1, 1]
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+// Same measure as ChromaDB's default "l2" space, so values are comparable with query distances
+export const squaredL2Distance = (a, b) => {
+  let sum = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+
+  return sum;
+};
+
+// Maximal Marginal Relevance: repeatedly pick the candidate that is relevant to the
+// query but least similar to what was already picked. Candidates need `relevance`
+// (0-1) and `embedding`. lambda = 1 is pure relevance, 0 is pure diversity.
+export const maximalMarginalRelevance = (candidates, k, lambda = 0.5) => {
+  const remaining = [...candidates];
+  const selected = [];
+
+  while (selected.length < k && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const redundancy = selected.length === 0
+        ? 0
+        : Math.max(...selected.map(chosen => cosineSimilarity(candidate.embedding, chosen.embedding)));
+      const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return selected;
+};
@@ -0,0 +1,283 @@
+import fs from 'fs';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { schemas } from './schemas.js';
+import { paths } from './paths.js';
+import { sendError } from '../httpErrors.js';
+import { logger } from '../logger.js';
+
+const errorResponse = (description, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const responses = {
+  BadRequest: errorResponse('The request is invalid. Schema problems have code validation_failed and list each problem in details.'),
+  Unauthorized: errorResponse('Missing, expired or revoked credentials'),
+  Forbidden: errorResponse('The caller may not do this, e.g. it needs a workspace admin'),
+  NotFound: errorResponse('The resource does not exist in the caller\'s workspace'),
+  Conflict: errorResponse('The resource is in a state that does not allow this'),
+  PayloadTooLarge: errorResponse('The upload is larger than the server\'s MAX_UPLOAD_MB'),
+  TooManyRequests: errorResponse('A rate limit (code rate_limited) or the monthly quota (code quota_exceeded) was hit. details.retryAfter is in seconds.', {
+    'Retry-After': { description: 'Seconds until the request may succeed', schema: { type: 'integer' } }
+  }),
+  ServiceUnavailable: errorResponse('ChromaDB is not available'),
+  InternalError: errorResponse('Unexpected server error')
+};
+
+// Every operation can fail unexpectedly
+const withDefaultResponse = (pathItems) => Object.fromEntries(
+  Object.entries(pathItems).map(([path, methods]) => [path, Object.fromEntries(
+    Object.entries(methods).map(([method, operation]) => [method, {
+      ...operation,
+      responses: { ...operation.responses, default: { $ref: '#/components/responses/InternalError' } }
+    }])
+  )])
+);
+
+export const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'RAG Document Chat API',
+    version: '1.0.0',
+    description: 'Upload documents, then ask questions about them or search them. Errors always use the Error envelope: { error: { code, message, details } }.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+  tags: [
+    { name: 'Auth' },
+    { name: 'Workspace' },
+    { name: 'Documents' },
+    { name: 'Chat' },
+    { name: 'Feedback' },
+    { name: 'Prompts' },
+    { name: 'Search' },
+    { name: 'Usage' },
+    { name: 'System' }
+  ],
+  paths: withDefaultResponse(paths),
+  components: {
+    schemas,
+    responses,
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from /auth/login, or an API key' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      accessTokenQuery: { type: 'apiKey', in: 'query', name: 'access_token', description: 'Only for Server-Sent Event routes' }
+    }
+  }
+};
+
+// OpenAPI keywords such as `example` are not JSON Schema, hence strict: false.
+// Path and query values arrive as strings, so their validator coerces types.
+const createAjv = (options = {}) => {
+  const ajv = new Ajv2020({ allErrors: true, strict: false, verbose: true, discriminator: true, ...options });
+  addFormats(ajv);
+  ajv.addSchema({ $id: 'openapi', components: openApiDocument.components });
+  return ajv;
+};
+
+const bodyAjv = createAjv();
+const parameterAjv = createAjv({ coerceTypes: 'array' });
+
+// Point component references at the registered document so fragments compile on their own
+const resolveRefs = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(resolveRefs);
+  }
+
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === '$ref' && value.startsWith('#/components/') ? `openapi${value}` : resolveRefs(value)
+  ]));
+};
+
+const compileParameters = (parameters, location) => {
+  const matching = parameters.filter(parameter => parameter.in === location);
+
+  if (matching.length === 0) {
+    return null;
+  }
+
+  return parameterAjv.compile(resolveRefs({
+    type: 'object',
+    properties: Object.fromEntries(matching.map(parameter => [parameter.name, parameter.schema])),
+    required: matching.filter(parameter => parameter.required).map(parameter => parameter.name)
+  }));
+};
+
+const compileResponses = (operationResponses) => {
+  const validators = {};
+
+  for (const [status, response] of Object.entries(operationResponses)) {
+    const resolved = response.$ref
+      ? responses[response.$ref.split('/').pop()]
+      : response;
+    const schema = resolved.content?.['application/json']?.schema;
+
+    if (schema) {
+      validators[status] = bodyAjv.compile(resolveRefs(schema));
+    }
+  }
+
+  return validators;
+};
+
+const compileOperation = (method, path, operation) => {
+  const parameters = operation.parameters || [];
+  const bodySchema = Object.values(operation.requestBody?.content || {})[0]?.schema;
+
+  return {
+    method,
+    path,
+    validatePath: compileParameters(parameters, 'path'),
+    validateQuery: compileParameters(parameters, 'query'),
+    validateBody: bodySchema ? bodyAjv.compile(resolveRefs(bodySchema)) : null,
+    validateResponse: compileResponses(operation.responses)
+  };
+};
+
+// Validators per operationId, compiled once at startup
+const operations = new Map();
+for (const [path, methods] of Object.entries(openApiDocument.paths)) {
+  for (const [method, operation] of Object.entries(methods)) {
+    operations.set(operation.operationId, compileOperation(method, path, operation));
+  }
+}
+
+const describeError = (error) => {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'additionalProperties':
+      return `has unknown field "${error.params.additionalProperty}"`;
+    case 'pattern':
+    case 'format':
+      // The field's description says what is expected, the regex would not help
+      return error.parentSchema?.description
+        ? `has an invalid format (${error.parentSchema.description})`
+        : 'has an invalid format';
+    case 'anyOf':
+    case 'oneOf':
+      return 'has an invalid value';
+    case 'discriminator':
+      return `has an unknown ${error.params.tag}`;
+    default:
+      return error.message;
+  }
+};
+
+// Turn Ajv errors into [{ location, path, message }], one per offending field.
+// Branch errors under a failed anyOf are dropped in favour of the anyOf itself.
+const toProblems = (location, errors) => {
+  const unionPaths = errors
+    .filter(error => error.keyword === 'anyOf' || error.keyword === 'oneOf')
+    .map(error => error.instancePath);
+
+  return errors
+    .filter(error => error.keyword === 'anyOf' || error.keyword === 'oneOf' ||
+      !unionPaths.some(unionPath => error.instancePath.startsWith(unionPath)))
+    .map(error => {
+      const pointer = error.keyword === 'required'
+        ? `${error.instancePath}/${error.params.missingProperty}`
+        : error.instancePath;
+      const path = pointer.split('/').filter(Boolean).join('.');
+      return { location, path, message: `${path || location} ${describeError(error)}` };
+    })
+    .filter((problem, index, all) => all.findIndex(other => other.message === problem.message) === index);
+};
+
+const check = (location, validator, value) => {
+  if (!validator) {
+    return [];
+  }
+
+  // Validate a copy: coercion is only for checking, handlers still parse their input
+  return validator(structuredClone(value ?? {})) ? [] : toProblems(location, validator.errors);
+};
+
+// `checkResponses` logs JSON responses and stream events that don't match the
+// document; it never changes what is sent. Meant for development.
+export const createValidators = ({ checkResponses = false } = {}) => {
+  const validateRequest = (operationId) => {
+    const operation = operations.get(operationId);
+
+    if (!operation) {
+      throw new Error(`No OpenAPI operation "${operationId}"`);
+    }
+
+    return (req, res, next) => {
+      // Multer keeps the uploaded file out of req.body; validate it as a form field
+      const body = req.file ? { ...req.body, [req.file.fieldname]: req.file.originalname } : req.body;
+      const problems = [
+        ...check('path', operation.validatePath, req.params),
+        ...check('query', operation.validateQuery, req.query),
+        ...check('body', operation.validateBody, body)
+      ];
+
+      if (problems.length > 0) {
+        if (req.file) {
+          fs.unlink(req.file.path, () => {});
+        }
+
+        return sendError(res, 400, `Invalid request: ${problems.map(problem => problem.message).join('; ')}`, {
+          code: 'validation_failed',
+          details: problems
+        });
+      }
+
+      if (checkResponses) {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          const validator = operation.validateResponse[res.statusCode] || operation.validateResponse.default;
+          if (validator && !validator(body)) {
+            const problems = toProblems('response', validator.errors).map(problem => problem.message);
+            logger.error('Response does not match the OpenAPI document', { operationId, status: res.statusCode, problems });
+          }
+          return json(body);
+        };
+      }
+
+      next();
+    };
+  };
+
+  const eventValidators = new Map();
+
+  // Check one Server-Sent Event payload against a schema such as ChatEvent
+  const checkStreamEvent = (schemaName, payload) => {
+    if (!checkResponses) {
+      return;
+    }
+
+    if (!eventValidators.has(schemaName)) {
+      eventValidators.set(schemaName, bodyAjv.compile({ $ref: `openapi#/components/schemas/${schemaName}` }));
+    }
+
+    const validator = eventValidators.get(schemaName);
+    if (!validator(payload)) {
+      const problems = toProblems('event', validator.errors).map(problem => problem.message);
+      logger.error('Stream event does not match the OpenAPI document', { schema: schemaName, eventType: payload.type, problems });
+    }
+  };
+
+  return { validateRequest, checkStreamEvent };
+};
+
+// Express routes that have no entry in the document, as "METHOD /path"
+export const findUndocumentedRoutes = (app) => {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method,
+      path: layer.route.path.replace(/:(\w+)/g, '{$1}')
+    })))
+    .filter(({ method, path }) => !openApiDocument.paths[path]?.[method])
+    .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+};
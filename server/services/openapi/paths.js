@@ -0,0 +1,953 @@
+import { ref } from './schemas.js';
+import { USAGE_GROUPS } from '../usage.js';
+import { EXPORT_FORMATS } from '../chatExport.js';
+import { RATINGS } from '../feedback.js';
+
+// Route descriptions for the OpenAPI document. Every route in server.js has an
+// entry here, and its operationId is what validateRequest() looks up.
+
+const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const eventStream = (description, schema) => ({
+  description,
+  content: { 'text/event-stream': { schema } }
+});
+
+const error = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const idParameter = (description) => ({
+  name: 'id',
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', minLength: 1 }
+});
+
+// Routes reachable without credentials
+const PUBLIC = [];
+
+export const paths = {
+  '/health': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['System'],
+      summary: 'Health check with the configured model providers',
+      security: PUBLIC,
+      responses: {
+        200: json('Server is up', {
+          type: 'object',
+          required: ['status', 'providers'],
+          properties: {
+            status: { type: 'string' },
+            message: { type: 'string' },
+            providers: { type: 'object' }
+          }
+        })
+      }
+    }
+  },
+
+  '/openapi.json': {
+    get: {
+      operationId: 'getOpenApiDocument',
+      tags: ['System'],
+      summary: 'This OpenAPI document',
+      security: PUBLIC,
+      responses: {
+        200: json('OpenAPI 3.1 document', { type: 'object' })
+      }
+    }
+  },
+
+  '/metrics': {
+    get: {
+      operationId: 'getMetrics',
+      tags: ['System'],
+      summary: 'Prometheus metrics',
+      description: 'Request counts and latencies per route, pipeline stage durations and errors, upload sizes, chunk counts and chat outcomes in the Prometheus text format. Public unless METRICS_TOKEN is set, in which case that token must be sent as a bearer token.',
+      security: PUBLIC,
+      responses: {
+        200: {
+          description: 'Metrics in the Prometheus text exposition format',
+          content: { 'text/plain': { schema: { type: 'string' } } }
+        },
+        401: error('Unauthorized')
+      }
+    }
+  },
+
+  '/config': {
+    get: {
+      operationId: 'getConfig',
+      tags: ['System'],
+      summary: 'The server\'s non-secret settings',
+      description: 'Settings come from defaults, then the JSON config file (CONFIG_FILE, default server/config.json), then environment variables. API keys, passwords, tokens and internal URLs and paths are never included.',
+      responses: {
+        200: json('Settings in effect', ref('PublicConfig')),
+        401: error('Unauthorized')
+      }
+    }
+  },
+
+  '/auth/register': {
+    post: {
+      operationId: 'register',
+      tags: ['Auth'],
+      summary: 'Create an account in a new workspace and sign in',
+      description: 'Open until the first account exists, afterwards only when ALLOW_REGISTRATION=true. The new account is the admin of its workspace.',
+      security: PUBLIC,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              allOf: [ref('Credentials')],
+              properties: { workspaceName: { type: 'string' } }
+            }
+          }
+        }
+      },
+      responses: {
+        201: json('Account created', ref('AuthSession')),
+        400: error('BadRequest'),
+        403: error('Forbidden'),
+        409: error('Conflict')
+      }
+    }
+  },
+
+  '/auth/login': {
+    post: {
+      operationId: 'login',
+      tags: ['Auth'],
+      summary: 'Sign in and get a session token',
+      security: PUBLIC,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['username', 'password'],
+              properties: {
+                username: { type: 'string' },
+                password: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('Signed in', ref('AuthSession')),
+        400: error('BadRequest'),
+        401: error('Unauthorized')
+      }
+    }
+  },
+
+  '/auth/status': {
+    get: {
+      operationId: 'getAuthStatus',
+      tags: ['Auth'],
+      summary: 'Whether registration is open',
+      security: PUBLIC,
+      responses: {
+        200: json('Registration status', {
+          type: 'object',
+          required: ['registrationOpen', 'hasUsers'],
+          properties: {
+            registrationOpen: { type: 'boolean' },
+            hasUsers: { type: 'boolean' }
+          }
+        })
+      }
+    }
+  },
+
+  '/auth/logout': {
+    post: {
+      operationId: 'logout',
+      tags: ['Auth'],
+      summary: 'End the current session',
+      responses: {
+        200: json('Signed out', ref('Success')),
+        401: error('Unauthorized')
+      }
+    }
+  },
+
+  '/auth/me': {
+    get: {
+      operationId: 'getCurrentUser',
+      tags: ['Auth'],
+      summary: 'The caller\'s user and workspace',
+      responses: {
+        200: json('Current credentials', {
+          type: 'object',
+          required: ['user', 'workspace', 'method'],
+          properties: {
+            user: { anyOf: [ref('User'), { type: 'null' }] },
+            workspace: ref('Workspace'),
+            method: { type: 'string', enum: ['session', 'apiKey'] }
+          }
+        }),
+        401: error('Unauthorized')
+      }
+    }
+  },
+
+  '/auth/api-keys': {
+    get: {
+      operationId: 'listApiKeys',
+      tags: ['Auth'],
+      summary: 'List the workspace\'s API keys',
+      responses: {
+        200: json('API keys', {
+          type: 'object',
+          required: ['apiKeys'],
+          properties: { apiKeys: { type: 'array', items: ref('ApiKey') } }
+        }),
+        401: error('Unauthorized')
+      }
+    },
+    post: {
+      operationId: 'createApiKey',
+      tags: ['Auth'],
+      summary: 'Create an API key for the workspace (admins only)',
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', maxLength: 100 },
+                role: { type: 'string', enum: ['admin', 'member'], default: 'member', description: 'admin keys can use admin-only endpoints' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: json('The key is only returned here', {
+          type: 'object',
+          required: ['key', 'apiKey'],
+          properties: {
+            key: { type: 'string' },
+            apiKey: ref('ApiKey')
+          }
+        }),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        403: error('Forbidden')
+      }
+    }
+  },
+
+  '/auth/api-keys/{id}': {
+    delete: {
+      operationId: 'deleteApiKey',
+      tags: ['Auth'],
+      summary: 'Revoke an API key (admins only)',
+      parameters: [idParameter('API key id')],
+      responses: {
+        200: json('Revoked', ref('Success')),
+        401: error('Unauthorized'),
+        403: error('Forbidden'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/workspace/chunking': {
+    put: {
+      operationId: 'updateWorkspaceChunking',
+      tags: ['Workspace'],
+      summary: 'Set the chunking used by uploads that don\'t choose their own',
+      description: 'Admins only. Replaces the workspace defaults; an empty body clears them so CHUNKING_STRATEGY and the per-format defaults apply again.',
+      requestBody: {
+        required: false,
+        content: { 'application/json': { schema: ref('ChunkingOptions') } }
+      },
+      responses: {
+        200: json('Saved defaults', {
+          type: 'object',
+          required: ['chunkingDefaults'],
+          properties: { chunkingDefaults: ref('ChunkingOptions') }
+        }),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        403: error('Forbidden')
+      }
+    }
+  },
+
+  '/workspace/members': {
+    get: {
+      operationId: 'listWorkspaceMembers',
+      tags: ['Workspace'],
+      summary: 'List the accounts in the caller\'s workspace',
+      responses: {
+        200: json('Members', {
+          type: 'object',
+          required: ['members'],
+          properties: { members: { type: 'array', items: ref('User') } }
+        }),
+        401: error('Unauthorized')
+      }
+    },
+    post: {
+      operationId: 'addWorkspaceMember',
+      tags: ['Workspace'],
+      summary: 'Add an account to the caller\'s workspace (admins only)',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              allOf: [ref('Credentials')],
+              properties: { role: { type: 'string', enum: ['admin', 'member'], default: 'member' } }
+            }
+          }
+        }
+      },
+      responses: {
+        201: json('Member added', {
+          type: 'object',
+          required: ['user'],
+          properties: { user: ref('User') }
+        }),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        403: error('Forbidden'),
+        409: error('Conflict')
+      }
+    }
+  },
+
+  '/usage': {
+    get: {
+      operationId: 'getUsage',
+      tags: ['Usage'],
+      summary: 'Token usage, estimated cost and quota status of the workspace',
+      parameters: [
+        { name: 'from', in: 'query', description: 'Start date or time (default: start of this month, UTC)', schema: { type: 'string' } },
+        { name: 'to', in: 'query', description: 'End date or time; a bare date covers that whole day (default: now)', schema: { type: 'string' } },
+        { name: 'groupBy', in: 'query', schema: { type: 'string', enum: USAGE_GROUPS, default: 'day' } },
+        { name: 'userId', in: 'query', description: 'Only this user\'s usage', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: json('Usage report', ref('UsageReport')),
+        400: error('BadRequest'),
+        401: error('Unauthorized')
+      }
+    }
+  },
+
+  '/upload': {
+    post: {
+      operationId: 'uploadDocument',
+      tags: ['Documents'],
+      summary: 'Upload a document and queue it for processing',
+      description: 'Returns 202 with a jobId; follow it with /jobs/{id} or /jobs/{id}/events. The same file uploaded again with the same chunking returns 200 with duplicate: true and the existing document.',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['document'],
+              properties: {
+                document: { type: 'string', format: 'binary', description: 'PDF, DOCX, Markdown, HTML, text or CSV file, at most MAX_UPLOAD_MB (default 10MB, see GET /config)' },
+                tags: { type: 'string', description: 'Comma-separated tags' },
+                chunkingStrategy: { type: 'string', enum: ['character', 'token', 'sentence', 'heading', 'semantic'] },
+                chunkSize: { type: 'string', pattern: '^\\d+$', description: 'a whole number: characters, or tokens for the token strategy' },
+                chunkOverlap: { type: 'string', pattern: '^\\d+$', description: 'a whole number, smaller than chunkSize' },
+                breakpointPercentile: { type: 'string', pattern: '^\\d+(\\.\\d+)?$', description: 'a number between 50 and 99, semantic strategy only' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('The file was uploaded before', ref('UploadResult')),
+        202: json('Queued for processing', ref('UploadResult')),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        413: error('PayloadTooLarge'),
+        429: error('TooManyRequests'),
+        503: error('ServiceUnavailable')
+      }
+    }
+  },
+
+  '/jobs/{id}': {
+    get: {
+      operationId: 'getJob',
+      tags: ['Documents'],
+      summary: 'State of an ingestion job',
+      parameters: [idParameter('Job id')],
+      responses: {
+        200: json('Job state', ref('Job')),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/jobs/{id}/events': {
+    get: {
+      operationId: 'streamJobEvents',
+      tags: ['Documents'],
+      summary: 'Stream ingestion progress as Server-Sent Events',
+      description: 'EventSource cannot set headers, so this route also accepts the token as ?access_token=.',
+      security: [{ bearerAuth: [] }, { apiKeyHeader: [] }, { accessTokenQuery: [] }],
+      parameters: [idParameter('Job id')],
+      responses: {
+        200: eventStream('progress events until the job finishes, then end', ref('JobEvent')),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/documents': {
+    get: {
+      operationId: 'listDocuments',
+      tags: ['Documents'],
+      summary: 'List the workspace\'s documents',
+      responses: {
+        200: json('Documents, newest first', {
+          type: 'object',
+          required: ['documents'],
+          properties: { documents: { type: 'array', items: ref('Document') } }
+        }),
+        401: error('Unauthorized')
+      }
+    }
+  },
+
+  '/documents/{id}': {
+    get: {
+      operationId: 'getDocument',
+      tags: ['Documents'],
+      summary: 'A document\'s registry entry and stored chunk count',
+      parameters: [idParameter('Document id')],
+      responses: {
+        200: json('Document', {
+          allOf: [ref('Document')],
+          properties: { storedChunks: { type: ['integer', 'null'] } }
+        }),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    },
+    delete: {
+      operationId: 'deleteDocument',
+      tags: ['Documents'],
+      summary: 'Delete a document and its vector collection',
+      parameters: [idParameter('Document id')],
+      responses: {
+        200: json('Deleted', ref('Success')),
+        401: error('Unauthorized'),
+        404: error('NotFound'),
+        409: error('Conflict'),
+        503: error('ServiceUnavailable')
+      }
+    }
+  },
+
+  '/documents/{id}/file': {
+    get: {
+      operationId: 'getDocumentFile',
+      tags: ['Documents'],
+      summary: 'The original uploaded file',
+      description: 'Served with the content type of its extension: PDFs inline, other formats as attachments, always with a sandbox Content-Security-Policy and nosniff. Supports Range requests. Documents uploaded before originals were kept answer 404 with code original_not_available.',
+      parameters: [idParameter('Document id')],
+      responses: {
+        200: {
+          description: 'The file',
+          content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+        },
+        206: { description: 'The requested byte range' },
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/documents/{id}/settings': {
+    put: {
+      operationId: 'updateDocumentSettings',
+      tags: ['Documents'],
+      summary: 'Replace a document\'s saved retrieval settings',
+      description: 'An empty body restores the server defaults.',
+      parameters: [idParameter('Document id')],
+      requestBody: {
+        required: false,
+        content: { 'application/json': { schema: ref('RetrievalSettings') } }
+      },
+      responses: {
+        200: json('Saved settings', {
+          type: 'object',
+          required: ['retrievalSettings', 'effectiveSettings'],
+          properties: {
+            retrievalSettings: ref('RetrievalSettings'),
+            effectiveSettings: ref('RetrievalSettings')
+          }
+        }),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/documents/{id}/reindex': {
+    post: {
+      operationId: 'reindexDocument',
+      tags: ['Documents'],
+      summary: 'Chunk and embed a document again from its original file',
+      description: 'An empty body replays the chunking recorded on the document. Otherwise the given options, then the workspace defaults, pick the new chunking. Returns 202 with a jobId like /upload. 409 when the document is processing, its original was not kept (original_not_available) or no loader supports its format (unsupported_format).',
+      parameters: [idParameter('Document id')],
+      requestBody: {
+        required: false,
+        content: { 'application/json': { schema: ref('ChunkingOptions') } }
+      },
+      responses: {
+        202: json('Queued for processing', ref('UploadResult')),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        404: error('NotFound'),
+        409: error('Conflict'),
+        429: error('TooManyRequests'),
+        503: error('ServiceUnavailable')
+      }
+    }
+  },
+
+  '/documents/{id}/prompt-template': {
+    put: {
+      operationId: 'setDocumentPromptTemplate',
+      tags: ['Documents', 'Prompts'],
+      summary: 'Pick the prompt template /chat uses for a document',
+      description: 'templateId null (or "default") restores the built-in template. version null follows the template\'s current version; a number pins that version.',
+      parameters: [idParameter('Document id')],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('PromptTemplateChoice') } }
+      },
+      responses: {
+        200: json('Saved choice', {
+          type: 'object',
+          required: ['promptTemplate'],
+          properties: { promptTemplate: ref('DocumentPromptTemplate') }
+        }),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/chat': {
+    post: {
+      operationId: 'chat',
+      tags: ['Chat'],
+      summary: 'Ask a question about a document; the answer streams as Server-Sent Events',
+      description: 'Send "Accept: text/event-stream". Validation and availability problems are answered with a JSON error before the stream starts; failures during generation arrive as an error event.',
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('ChatRequest') } }
+      },
+      responses: {
+        200: eventStream('start, sources, token..., then trace (when requested) and end or error', ref('ChatEvent')),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        404: error('NotFound'),
+        409: error('Conflict'),
+        429: error('TooManyRequests'),
+        503: error('ServiceUnavailable')
+      }
+    }
+  },
+
+  '/chat/sessions': {
+    get: {
+      operationId: 'listChatSessions',
+      tags: ['Chat'],
+      summary: 'Chat sessions of the workspace, most recently active first',
+      parameters: [
+        { name: 'documentId', in: 'query', description: 'Only sessions about this document', schema: { type: 'string', minLength: 1 } }
+      ],
+      responses: {
+        200: json('Sessions without their messages', {
+          type: 'object',
+          required: ['sessions'],
+          properties: { sessions: { type: 'array', items: ref('ChatSessionSummary') } }
+        }),
+        400: error('BadRequest'),
+        401: error('Unauthorized')
+      }
+    }
+  },
+
+  '/chat/sessions/{id}': {
+    get: {
+      operationId: 'getChatSession',
+      tags: ['Chat'],
+      summary: 'A chat session with its questions, answers, sources and citations',
+      parameters: [idParameter('Session id from the start event')],
+      responses: {
+        200: json('The session', ref('ChatSession')),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    },
+    patch: {
+      operationId: 'renameChatSession',
+      tags: ['Chat'],
+      summary: 'Rename a chat session',
+      parameters: [idParameter('Session id from the start event')],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['title'],
+              additionalProperties: false,
+              properties: { title: { type: 'string', minLength: 1, maxLength: 200, pattern: '\\S' } }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('Renamed', ref('ChatSessionSummary')),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    },
+    delete: {
+      operationId: 'deleteChatSession',
+      tags: ['Chat'],
+      summary: 'Delete a chat session with its history and conversation memory',
+      parameters: [idParameter('Session id from the start event')],
+      responses: {
+        200: json('Deleted', ref('Success')),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/chat/sessions/{id}/export': {
+    get: {
+      operationId: 'exportChatSession',
+      tags: ['Chat'],
+      summary: 'Download a conversation with its citations',
+      description: 'Sent as an attachment named after the session title. Markdown and PDF quote the start of each cited chunk; JSON includes the full chunks.',
+      parameters: [
+        idParameter('Session id from the start event'),
+        { name: 'format', in: 'query', schema: { type: 'string', enum: EXPORT_FORMATS, default: 'markdown' } }
+      ],
+      responses: {
+        200: {
+          description: 'The exported conversation',
+          content: {
+            'text/markdown': { schema: { type: 'string' } },
+            'application/json': { schema: { type: 'object' } },
+            'application/pdf': { schema: { type: 'string', format: 'binary' } }
+          }
+        },
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/feedback': {
+    post: {
+      operationId: 'sendFeedback',
+      tags: ['Feedback'],
+      summary: 'Rate an answer with a thumbs up or down and an optional comment',
+      description: 'Each caller has one rating per answer; sending another replaces it (200 instead of 201).',
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('FeedbackRequest') } }
+      },
+      responses: {
+        200: json('Rating replaced', ref('FeedbackReceipt')),
+        201: json('Rating recorded', ref('FeedbackReceipt')),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    },
+    get: {
+      operationId: 'listFeedback',
+      tags: ['Feedback'],
+      summary: 'Rated answers with their retrieval context, newest first (admin only)',
+      parameters: [
+        { name: 'rating', in: 'query', schema: { type: 'string', enum: RATINGS } },
+        { name: 'documentId', in: 'query', description: 'Only answers about this document', schema: { type: 'string', minLength: 1 } },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } }
+      ],
+      responses: {
+        200: json('Feedback with up/down totals', {
+          type: 'object',
+          required: ['totals', 'feedback'],
+          properties: {
+            totals: {
+              type: 'object',
+              description: 'Counts per rating, over all feedback matching documentId',
+              properties: { up: { type: 'integer' }, down: { type: 'integer' } }
+            },
+            feedback: { type: 'array', items: ref('Feedback') }
+          }
+        }),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        403: error('Forbidden')
+      }
+    }
+  },
+
+  '/traces/{id}': {
+    get: {
+      operationId: 'getTrace',
+      tags: ['Chat'],
+      summary: 'What the model saw for one answer: query, candidates, prompt, tokens and timings',
+      description: 'Recorded only when /chat is called with trace: true, and kept for TRACE_RETENTION_DAYS (default 7).',
+      parameters: [idParameter('traceId from the trace event or a saved answer')],
+      responses: {
+        200: json('The trace', ref('Trace')),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/prompt-templates': {
+    get: {
+      operationId: 'listPromptTemplates',
+      tags: ['Prompts'],
+      summary: 'The built-in default prompt template, then the workspace\'s templates by name',
+      responses: {
+        200: json('Templates without their version history', {
+          type: 'object',
+          required: ['templates'],
+          properties: { templates: { type: 'array', items: ref('PromptTemplateSummary') } }
+        }),
+        401: error('Unauthorized')
+      }
+    },
+    post: {
+      operationId: 'createPromptTemplate',
+      tags: ['Prompts'],
+      summary: 'Create a prompt template (admin only)',
+      description: 'The template must contain {context} and {question}; {history} is optional. Other {name} placeholders are rejected.',
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('PromptTemplateRequest') } }
+      },
+      responses: {
+        201: json('Created, with warnings such as a missing {history}', ref('PromptTemplateResult')),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        403: error('Forbidden'),
+        409: error('Conflict')
+      }
+    }
+  },
+
+  '/prompt-templates/preview': {
+    post: {
+      operationId: 'previewPromptTemplate',
+      tags: ['Prompts'],
+      summary: 'Render a template against a sample question with stand-in chunks and conversation',
+      description: 'Send the template text (e.g. unsaved edits) or a saved template\'s templateId and optional version. Nothing is retrieved or sent to a model.',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['question'],
+              additionalProperties: false,
+              properties: {
+                template: { type: 'string', minLength: 1 },
+                noContextAnswer: { type: 'string', minLength: 1, maxLength: 2000, description: 'Used with template; defaults to the built-in wording' },
+                templateId: { type: 'string', minLength: 1 },
+                version: { type: 'integer', minimum: 1 },
+                question: { type: 'string', minLength: 1, maxLength: 2000 },
+                withHistory: { type: 'boolean', default: true, description: 'Fill {history} with a sample earlier turn' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('The rendered prompt', {
+          type: 'object',
+          required: ['prompt', 'tokens', 'noContextAnswer', 'warnings'],
+          properties: {
+            prompt: { type: 'string' },
+            tokens: { type: 'integer', description: 'Prompt tokens, counted locally' },
+            noContextAnswer: { type: 'string', description: 'Answer sent when no chunk is relevant enough' },
+            warnings: { type: 'array', items: { type: 'string' } }
+          }
+        }),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/prompt-templates/{id}': {
+    get: {
+      operationId: 'getPromptTemplate',
+      tags: ['Prompts'],
+      summary: 'A prompt template with every version',
+      parameters: [idParameter('Template id, or "default"')],
+      responses: {
+        200: json('The template', ref('PromptTemplate')),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    },
+    put: {
+      operationId: 'updatePromptTemplate',
+      tags: ['Prompts'],
+      summary: 'Rename, describe or change a prompt template (admin only)',
+      description: 'Changed template text is saved as the next version; earlier versions stay available. Resending an old version\'s text restores it as a new version.',
+      parameters: [idParameter('Template id')],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('PromptTemplateUpdate') } }
+      },
+      responses: {
+        200: json('Updated, with warnings about the new text', ref('PromptTemplateResult')),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        403: error('Forbidden'),
+        404: error('NotFound'),
+        409: error('Conflict')
+      }
+    },
+    delete: {
+      operationId: 'deletePromptTemplate',
+      tags: ['Prompts'],
+      summary: 'Delete a prompt template (admin only)',
+      description: 'Refused with template_in_use while documents are assigned to it; the error details list them.',
+      parameters: [idParameter('Template id')],
+      responses: {
+        200: json('Deleted', ref('Success')),
+        401: error('Unauthorized'),
+        403: error('Forbidden'),
+        404: error('NotFound'),
+        409: error('Conflict')
+      }
+    }
+  },
+
+  '/search': {
+    post: {
+      operationId: 'search',
+      tags: ['Search'],
+      summary: 'Search chunks across documents without generating an answer',
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('SearchRequest') } }
+      },
+      responses: {
+        200: json('Closest chunks overall', {
+          type: 'object',
+          required: ['query', 'searchedDocuments', 'results'],
+          properties: {
+            query: { type: 'string' },
+            searchedDocuments: { type: 'integer' },
+            results: { type: 'array', items: ref('SearchResult') }
+          }
+        }),
+        400: error('BadRequest'),
+        401: error('Unauthorized'),
+        429: error('TooManyRequests'),
+        503: error('ServiceUnavailable')
+      }
+    }
+  },
+
+  '/collection/{id}': {
+    get: {
+      operationId: 'getCollection',
+      tags: ['Documents'],
+      summary: 'Collection information (kept for older clients)',
+      deprecated: true,
+      parameters: [idParameter('Document id')],
+      responses: {
+        200: json('Collection', {
+          type: 'object',
+          required: ['collectionId', 'filename', 'documentCount', 'status'],
+          properties: {
+            collectionId: { type: 'string' },
+            filename: { type: 'string' },
+            documentCount: { type: 'integer' },
+            status: { type: 'string', enum: ['active', 'processing', 'failed'] }
+          }
+        }),
+        401: error('Unauthorized'),
+        404: error('NotFound')
+      }
+    }
+  },
+
+  '/debug/chromadb': {
+    get: {
+      operationId: 'debugChroma',
+      tags: ['System'],
+      summary: 'ChromaDB status and chunk counts of the workspace\'s collections',
+      responses: {
+        200: json('Status report', {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: { type: 'string' },
+            message: { type: 'string' },
+            error: { type: 'string' },
+            collections: { type: 'array', items: { type: 'object' } }
+          }
+        }),
+        401: error('Unauthorized')
+      }
+    }
+  },
+
+  '/test/chromadb': {
+    get: {
+      operationId: 'testChroma',
+      tags: ['System'],
+      summary: 'Write, query and delete a test collection (admins only)',
+      responses: {
+        200: json('ChromaDB works', {
+          type: 'object',
+          required: ['status', 'testResults'],
+          properties: {
+            status: { type: 'string' },
+            message: { type: 'string' },
+            testResults: { type: 'object' }
+          }
+        }),
+        401: error('Unauthorized'),
+        403: error('Forbidden'),
+        503: error('ServiceUnavailable')
+      }
+    }
+  }
+};
@@ -0,0 +1,839 @@
+// Reusable schemas for the OpenAPI document (components.schemas).
+// They describe what the routes accept and return; keep them in step with server.js.
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+const stringOrList = (description) => ({
+  description,
+  anyOf: [
+    { type: 'string', minLength: 1 },
+    { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }
+  ]
+});
+
+const range = (unit) => ({
+  type: 'object',
+  description: `Inclusive ${unit} range; chunks overlapping it match`,
+  properties: {
+    from: { type: 'integer', minimum: 1 },
+    to: { type: 'integer', minimum: 1 }
+  },
+  minProperties: 1
+});
+
+const citationList = {
+  type: 'array',
+  description: 'Source numbers the answer cites, each matched to a source from the sources event',
+  items: {
+    type: 'object',
+    required: ['number', 'sourceId'],
+    properties: { number: { type: 'integer', minimum: 1 }, sourceId: { type: 'string' } }
+  }
+};
+
+// Tokens of one answer, counted locally
+const answerUsage = {
+  type: 'object',
+  properties: {
+    promptTokens: { type: 'integer' },
+    completionTokens: { type: 'integer' },
+    embeddingTokens: { type: 'integer' },
+    totalTokens: { type: 'integer' },
+    cost: nullable({ type: 'number' }),
+    estimated: { type: 'boolean' }
+  }
+};
+
+// Template, version and name an answer was generated with
+const usedTemplate = nullable({
+  type: 'object',
+  description: 'Prompt template the answer was generated with',
+  properties: { id: { type: 'string' }, name: { type: 'string' }, version: { type: 'integer' } }
+});
+
+// Shared by prompt templates with and without their versions
+const templateFields = {
+  id: { type: 'string', description: '"default" for the built-in template' },
+  workspaceId: nullable({ type: 'string' }),
+  name: { type: 'string' },
+  description: nullable({ type: 'string' }),
+  builtIn: { type: 'boolean', description: 'The read-only default template' },
+  currentVersion: { type: 'integer', minimum: 1, description: 'Version used unless a document or request pins another' },
+  createdAt: nullable({ type: 'string', format: 'date-time' }),
+  updatedAt: nullable({ type: 'string', format: 'date-time' })
+};
+
+const tokenTotals = {
+  requests: { type: 'integer' },
+  promptTokens: { type: 'integer' },
+  completionTokens: { type: 'integer' },
+  embeddingTokens: { type: 'integer' },
+  totalTokens: { type: 'integer' },
+  cost: { type: 'number', description: 'Estimated cost in USD' }
+};
+
+export const schemas = {
+  Error: {
+    type: 'object',
+    description: 'Envelope of every error response',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message', 'details'],
+        properties: {
+          code: { type: 'string', description: 'Stable machine-readable code, e.g. validation_failed or not_found', examples: ['validation_failed'] },
+          message: { type: 'string', description: 'Human-readable explanation' },
+          details: {
+            description: 'Extra context: a list of validation problems, or limit information for 429s',
+            anyOf: [
+              { type: 'array', items: ref('ValidationProblem') },
+              { type: 'object' },
+              { type: 'null' }
+            ]
+          }
+        }
+      }
+    }
+  },
+
+  ValidationProblem: {
+    type: 'object',
+    required: ['location', 'path', 'message'],
+    properties: {
+      location: { type: 'string', enum: ['path', 'query', 'body'] },
+      path: { type: 'string', description: 'Dotted path of the offending field, empty for the whole location' },
+      message: { type: 'string' }
+    }
+  },
+
+  Success: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean', const: true },
+      id: { type: 'string' }
+    }
+  },
+
+  User: {
+    type: 'object',
+    required: ['id', 'username', 'workspaceId', 'role', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      username: { type: 'string' },
+      workspaceId: { type: 'string' },
+      role: { type: 'string', enum: ['admin', 'member'] },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  Workspace: {
+    type: 'object',
+    required: ['id', 'name', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      chunkingDefaults: ref('ChunkingOptions')
+    }
+  },
+
+  AuthSession: {
+    type: 'object',
+    required: ['token', 'expiresAt', 'user', 'workspace'],
+    properties: {
+      token: { type: 'string', description: 'Session token; send it as "Authorization: Bearer <token>"' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      user: ref('User'),
+      workspace: ref('Workspace')
+    }
+  },
+
+  Credentials: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string', pattern: '^[a-zA-Z0-9._@-]{3,64}$', description: '3-64 letters, digits, ".", "_", "@" or "-"' },
+      password: { type: 'string', minLength: 8 }
+    }
+  },
+
+  ApiKey: {
+    type: 'object',
+    required: ['id', 'name', 'workspaceId', 'preview', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      workspaceId: { type: 'string' },
+      createdBy: { type: 'string' },
+      role: { type: 'string', enum: ['admin', 'member'], description: 'What the key may do; keys without one act as members' },
+      preview: { type: 'string', description: 'First characters of the key' },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: nullable({ type: 'string', format: 'date-time' })
+    }
+  },
+
+  ChunkingSettings: {
+    type: 'object',
+    required: ['strategy', 'chunkSize'],
+    properties: {
+      strategy: { type: 'string', enum: ['character', 'token', 'sentence', 'heading', 'semantic', 'rows'] },
+      chunkSize: { type: 'integer' },
+      chunkOverlap: { type: 'integer' },
+      breakpointPercentile: { type: 'number' }
+    }
+  },
+
+  ChunkingOptions: {
+    type: 'object',
+    description: 'Chunking choices; any that are left out fall back to the workspace defaults, then the server default for the file\'s format',
+    properties: {
+      chunkingStrategy: { type: 'string', enum: ['character', 'token', 'sentence', 'heading', 'semantic'] },
+      chunkSize: { type: 'integer', minimum: 50, maximum: 10000, description: 'Characters, or tokens for the token strategy' },
+      chunkOverlap: { type: 'integer', minimum: 0, description: 'Smaller than chunkSize' },
+      breakpointPercentile: { type: 'number', minimum: 50, maximum: 99, description: 'Semantic strategy only' }
+    }
+  },
+
+  RetrievalSettings: {
+    type: 'object',
+    description: 'Retrieval options; any that are left out fall back to the document\'s saved settings, then the server defaults',
+    properties: {
+      retrievalMode: { type: 'string', enum: ['hybrid', 'vector', 'keyword'] },
+      keywordWeight: { type: 'number', minimum: 0, maximum: 1, description: 'Share of the keyword ranking in hybrid mode' },
+      k: { type: 'integer', minimum: 1, maximum: 20, description: 'Number of chunks to use' },
+      maxDistance: nullable({ type: 'number', exclusiveMinimum: 0, description: 'Squared L2 distance cutoff; null disables it' }),
+      mmr: { type: 'boolean', description: 'Re-rank with Maximal Marginal Relevance' },
+      mmrLambda: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+
+  Filter: {
+    type: 'object',
+    description: 'Metadata filter; all given conditions must match',
+    additionalProperties: false,
+    properties: {
+      filename: stringOrList('Exact filename(s)'),
+      format: stringOrList('Source format(s), e.g. pdf or csv'),
+      pages: range('page'),
+      rows: range('CSV row'),
+      uploadedAfter: { type: 'string', description: 'ISO date' },
+      uploadedBefore: { type: 'string', description: 'ISO date' },
+      tags: stringOrList('Tag(s) the document must have; a string may be comma-separated')
+    }
+  },
+
+  Document: {
+    type: 'object',
+    required: ['id', 'filename', 'status', 'uploadedAt', 'collectionName'],
+    properties: {
+      id: { type: 'string', description: 'Also the collectionId used by /chat' },
+      workspaceId: nullable({ type: 'string' }),
+      filename: { type: 'string' },
+      format: { type: 'string' },
+      size: { type: 'integer' },
+      contentHash: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      chunking: nullable(ref('ChunkingSettings')),
+      collectionName: { type: 'string' },
+      uploadedAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      chunkCount: { type: 'integer' },
+      pageCount: nullable({ type: 'integer' }),
+      status: { type: 'string', enum: ['processing', 'ready', 'failed'] },
+      error: nullable({ type: 'string' }),
+      jobId: { type: 'string' },
+      embeddingModel: { type: 'string' },
+      retrievalSettings: ref('RetrievalSettings'),
+      promptTemplate: ref('DocumentPromptTemplate')
+    }
+  },
+
+  Job: {
+    type: 'object',
+    required: ['id', 'documentId', 'status', 'progress', 'stages'],
+    properties: {
+      id: { type: 'string' },
+      documentId: { type: 'string' },
+      filename: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+      stage: nullable({ type: 'string', enum: ['parsing', 'chunking', 'embedding', 'indexing'] }),
+      progress: { type: 'number', minimum: 0, maximum: 100 },
+      stages: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: { type: 'string', enum: ['pending', 'running', 'completed', 'failed'] },
+            progress: { type: 'number' }
+          }
+        }
+      },
+      message: nullable({ type: 'string' }),
+      error: nullable({ type: 'string' }),
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  UploadResult: {
+    type: 'object',
+    required: ['success', 'message', 'collectionId', 'document'],
+    properties: {
+      success: { type: 'boolean' },
+      duplicate: { type: 'boolean', description: 'The same file was already uploaded to this workspace' },
+      message: { type: 'string' },
+      jobId: nullable({ type: 'string' }),
+      collectionId: { type: 'string' },
+      document: ref('Document')
+    }
+  },
+
+  ChatRequest: {
+    type: 'object',
+    required: ['question', 'collectionId'],
+    allOf: [ref('RetrievalSettings')],
+    properties: {
+      question: { type: 'string', minLength: 1 },
+      collectionId: { type: 'string', minLength: 1, description: 'Id of the document to chat with' },
+      sessionId: { type: 'string', description: 'Continue a conversation; a new session is started when missing or expired' },
+      filter: ref('Filter'),
+      promptTemplateId: { type: 'string', minLength: 1, description: 'Prompt template for this question instead of the document\'s' },
+      promptTemplateVersion: { type: 'integer', minimum: 1, description: 'Version of promptTemplateId (default: its current version)' },
+      trace: { type: 'boolean', default: false, description: 'Record a debug trace of the answer and send it as a trace event' }
+    }
+  },
+
+  Source: {
+    type: 'object',
+    required: ['id', 'content', 'metadata'],
+    properties: {
+      id: { type: 'string' },
+      citation: { type: 'integer', minimum: 1, description: 'Number the answer cites this chunk with, e.g. [1] (chat only)' },
+      content: { type: 'string', description: 'Full chunk text' },
+      pageLabel: nullable({ type: 'string' }),
+      metadata: { type: 'object' },
+      distance: nullable({ type: 'number' }),
+      score: nullable({ type: 'number' }),
+      ranks: nullable({ type: 'object' })
+    }
+  },
+
+  ChatEvent: {
+    description: 'One Server-Sent Event of /chat, sent as "data: <json>". Events arrive in the order start, sources, token (repeated), trace (only when requested), then end or error.',
+    oneOf: [
+      ref('ChatStartEvent'),
+      ref('ChatSourcesEvent'),
+      ref('ChatTokenEvent'),
+      ref('ChatTraceEvent'),
+      ref('ChatEndEvent'),
+      ref('ChatErrorEvent')
+    ],
+    discriminator: { propertyName: 'type' }
+  },
+
+  ChatStartEvent: {
+    type: 'object',
+    required: ['type', 'sessionId'],
+    properties: {
+      type: { const: 'start' },
+      message: { type: 'string' },
+      sessionId: { type: 'string', description: 'Pass it back as sessionId for follow-up questions' }
+    }
+  },
+
+  ChatSourcesEvent: {
+    type: 'object',
+    description: 'Retrieved chunks, sent before generation starts',
+    required: ['type', 'sources'],
+    properties: {
+      type: { const: 'sources' },
+      query: { type: 'string', description: 'Standalone query used for retrieval' },
+      retrievalMode: { type: 'string' },
+      retrieval: { type: 'object', description: 'Effective retrieval settings, candidate count and filter' },
+      sources: { type: 'array', items: ref('Source') }
+    }
+  },
+
+  ChatTokenEvent: {
+    type: 'object',
+    required: ['type', 'token'],
+    properties: {
+      type: { const: 'token' },
+      token: { type: 'string', description: 'Next piece of the answer' }
+    }
+  },
+
+  ChatTraceEvent: {
+    type: 'object',
+    required: ['type', 'traceId', 'trace'],
+    properties: {
+      type: { const: 'trace' },
+      traceId: { type: 'string', description: 'Look the trace up again with GET /traces/{id}' },
+      trace: ref('Trace')
+    }
+  },
+
+  Trace: {
+    type: 'object',
+    required: ['id', 'sessionId', 'documentId', 'question', 'candidates', 'outcome', 'timings', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      workspaceId: { type: 'string' },
+      userId: nullable({ type: 'string' }),
+      apiKeyId: nullable({ type: 'string' }),
+      requestId: { type: 'string' },
+      sessionId: { type: 'string' },
+      messageId: nullable({ type: 'string', description: 'The saved answer; null when generation failed or was stopped' }),
+      documentId: { type: 'string' },
+      documentName: nullable({ type: 'string' }),
+      question: { type: 'string' },
+      query: nullable({ type: 'string', description: 'Standalone query the question was rewritten into for retrieval' }),
+      retrieval: nullable({ type: 'object', description: 'Effective retrieval settings, mode, candidate count and filter' }),
+      candidates: {
+        type: 'array',
+        description: 'Every chunk retrieval considered, in ranking order',
+        items: {
+          type: 'object',
+          required: ['id', 'rank', 'status'],
+          properties: {
+            id: { type: 'string' },
+            rank: { type: 'integer', minimum: 1 },
+            status: {
+              type: 'string',
+              enum: ['selected', 'beyond_max_distance', 'not_selected', 'missing'],
+              description: 'selected: in the prompt; beyond_max_distance: dropped by maxDistance; not_selected: cut by k or MMR; missing: no longer stored'
+            },
+            citation: nullable({ type: 'integer', description: 'Number the prompt gave the chunk, when selected' }),
+            content: { type: 'string' },
+            pageLabel: nullable({ type: 'string' }),
+            metadata: { type: 'object' },
+            distance: nullable({ type: 'number' }),
+            relevance: nullable({ type: 'number', description: 'Cosine similarity, or normalized keyword or fused score' }),
+            score: nullable({ type: 'number', description: 'Fused (hybrid) or BM25 (keyword) score' }),
+            ranks: nullable({ type: 'object', description: 'Rank in each ranking that was fused' })
+          }
+        }
+      },
+      prompt: nullable({ type: 'string', description: 'Final prompt sent to the model; null when no chunk was close enough' }),
+      promptTemplate: usedTemplate,
+      models: { type: 'object', description: 'Chat and embedding providers and models' },
+      answer: { type: 'string' },
+      citations: citationList,
+      invalidCitations: { type: 'array', items: { type: 'integer' } },
+      outcome: { type: 'string', enum: ['answered', 'no_context', 'aborted', 'failed'] },
+      error: { type: 'string' },
+      usage: answerUsage,
+      timings: {
+        type: 'object',
+        description: 'Milliseconds per stage (condense, retrieve, generate) and in total',
+        additionalProperties: { type: 'integer' }
+      },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  ChatEndEvent: {
+    type: 'object',
+    required: ['type', 'usage'],
+    properties: {
+      type: { const: 'end' },
+      messageId: { type: 'string', description: 'Id of the saved answer, for /feedback' },
+      citations: citationList,
+      invalidCitations: {
+        type: 'array',
+        description: 'Numbers the answer cites that match no source; clients should not link them',
+        items: { type: 'integer' }
+      },
+      usage: answerUsage
+    }
+  },
+
+  ChatSessionSummary: {
+    type: 'object',
+    required: ['id', 'documentId', 'title', 'messageCount', 'createdAt', 'updatedAt'],
+    properties: {
+      id: { type: 'string' },
+      workspaceId: { type: 'string' },
+      userId: nullable({ type: 'string' }),
+      documentId: { type: 'string' },
+      documentName: nullable({ type: 'string' }),
+      title: nullable({ type: 'string', description: 'The first question until the session is renamed; null before the first answer' }),
+      messageCount: { type: 'integer', minimum: 0 },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  ChatSession: {
+    allOf: [
+      ref('ChatSessionSummary'),
+      {
+        type: 'object',
+        required: ['messages'],
+        properties: {
+          messages: {
+            type: 'array',
+            description: 'Questions and answers in order. Answers keep their [n] markers along with the sources and citations of their turn.',
+            items: {
+              type: 'object',
+              required: ['role', 'content'],
+              properties: {
+                id: { type: 'string' },
+                role: { type: 'string', enum: ['user', 'assistant'] },
+                content: { type: 'string' },
+                sources: { type: 'array', items: ref('Source') },
+                citations: citationList,
+                invalidCitations: { type: 'array', items: { type: 'integer' } },
+                promptTemplate: usedTemplate,
+                retrieval: nullable({ type: 'object', description: 'Rewritten query and retrieval settings of the turn' }),
+                traceId: nullable({ type: 'string', description: 'Debug trace of the answer, when one was requested' }),
+                createdAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      }
+    ]
+  },
+
+  ChatErrorEvent: {
+    type: 'object',
+    required: ['type', 'error'],
+    properties: {
+      type: { const: 'error' },
+      error: { $ref: '#/components/schemas/Error/properties/error' }
+    }
+  },
+
+  JobEvent: {
+    description: 'One Server-Sent Event of /jobs/{id}/events: progress events until the job finishes, then end',
+    oneOf: [
+      {
+        type: 'object',
+        required: ['type', 'job'],
+        properties: { type: { const: 'progress' }, job: ref('Job') }
+      },
+      {
+        type: 'object',
+        required: ['type'],
+        properties: { type: { const: 'end' } }
+      }
+    ],
+    discriminator: { propertyName: 'type' }
+  },
+
+  FeedbackRequest: {
+    type: 'object',
+    required: ['sessionId', 'messageId', 'rating'],
+    additionalProperties: false,
+    properties: {
+      sessionId: { type: 'string', minLength: 1 },
+      messageId: { type: 'string', minLength: 1, description: 'messageId from the end event, or the id of an assistant message of the session' },
+      rating: { type: 'string', enum: ['up', 'down'] },
+      comment: nullable({ type: 'string', maxLength: 2000 })
+    }
+  },
+
+  FeedbackReceipt: {
+    type: 'object',
+    required: ['id', 'messageId', 'rating'],
+    properties: {
+      id: { type: 'string' },
+      messageId: { type: 'string' },
+      rating: { type: 'string', enum: ['up', 'down'] },
+      comment: nullable({ type: 'string' }),
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  Feedback: {
+    type: 'object',
+    required: ['id', 'sessionId', 'messageId', 'rating', 'question', 'answer', 'chunkIds'],
+    properties: {
+      id: { type: 'string' },
+      workspaceId: { type: 'string' },
+      userId: nullable({ type: 'string' }),
+      apiKeyId: nullable({ type: 'string' }),
+      username: nullable({ type: 'string' }),
+      sessionId: { type: 'string' },
+      messageId: { type: 'string' },
+      documentId: { type: 'string' },
+      documentName: nullable({ type: 'string' }),
+      rating: { type: 'string', enum: ['up', 'down'] },
+      comment: nullable({ type: 'string' }),
+      question: { type: 'string' },
+      answer: { type: 'string' },
+      prompt: nullable({ type: 'string' }),
+      retrieval: nullable({ type: 'object', description: 'Rewritten query and retrieval settings of the turn' }),
+      chunkIds: { type: 'array', items: { type: 'string' } },
+      sources: { type: 'array', items: ref('Source'), description: 'The retrieved chunks as they were when the answer was given' },
+      citations: citationList,
+      invalidCitations: { type: 'array', items: { type: 'integer' } },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  PromptTemplateChoice: {
+    type: 'object',
+    required: ['templateId'],
+    additionalProperties: false,
+    properties: {
+      templateId: nullable({ type: 'string', minLength: 1, description: 'Template id; null or "default" for the built-in template' }),
+      version: nullable({ type: 'integer', minimum: 1, description: 'Pin a version; null follows the current version' })
+    }
+  },
+
+  DocumentPromptTemplate: nullable({
+    type: 'object',
+    description: 'Prompt template /chat uses for the document; null for the built-in default',
+    required: ['id'],
+    properties: {
+      id: { type: 'string' },
+      version: nullable({ type: 'integer', description: 'Pinned version; null follows the current version' })
+    }
+  }),
+
+  PromptTemplateRequest: {
+    type: 'object',
+    required: ['name', 'template'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' },
+      description: nullable({ type: 'string', maxLength: 500 }),
+      template: { type: 'string', minLength: 1, description: 'Prompt text with {context}, {question} and optionally {history}' },
+      noContextAnswer: nullable({ type: 'string', minLength: 1, maxLength: 2000, description: 'Answer sent when no chunk is relevant enough, optionally with {question}; null for the built-in wording' })
+    }
+  },
+
+  PromptTemplateUpdate: {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S' },
+      description: nullable({ type: 'string', maxLength: 500 }),
+      template: { type: 'string', minLength: 1 },
+      noContextAnswer: nullable({ type: 'string', minLength: 1, maxLength: 2000 })
+    }
+  },
+
+  PromptTemplateSummary: {
+    type: 'object',
+    required: ['id', 'name', 'builtIn', 'currentVersion', 'versionCount'],
+    properties: {
+      ...templateFields,
+      versionCount: { type: 'integer', minimum: 1 }
+    }
+  },
+
+  PromptTemplate: {
+    type: 'object',
+    required: ['id', 'name', 'builtIn', 'currentVersion', 'versions'],
+    properties: {
+      ...templateFields,
+      versions: {
+        type: 'array',
+        description: 'Every saved text and no-context answer, oldest first',
+        items: {
+          type: 'object',
+          required: ['version', 'template'],
+          properties: {
+            version: { type: 'integer', minimum: 1 },
+            template: { type: 'string' },
+            noContextAnswer: nullable({ type: 'string', description: 'Answer sent when no chunk is relevant enough; null for the built-in wording' }),
+            createdBy: nullable({ type: 'string' }),
+            createdAt: nullable({ type: 'string', format: 'date-time' })
+          }
+        }
+      }
+    }
+  },
+
+  PromptTemplateResult: {
+    allOf: [
+      ref('PromptTemplate'),
+      {
+        type: 'object',
+        required: ['warnings'],
+        properties: { warnings: { type: 'array', items: { type: 'string' } } }
+      }
+    ]
+  },
+
+  SearchRequest: {
+    type: 'object',
+    required: ['query'],
+    allOf: [ref('RetrievalSettings')],
+    properties: {
+      query: { type: 'string', minLength: 1 },
+      documentIds: { type: 'array', items: { type: 'string' }, description: 'Only search these documents' },
+      filter: ref('Filter')
+    }
+  },
+
+  SearchResult: {
+    type: 'object',
+    required: ['id', 'documentId', 'filename', 'content', 'metadata'],
+    properties: {
+      id: { type: 'string' },
+      documentId: { type: 'string' },
+      filename: { type: 'string' },
+      content: { type: 'string' },
+      pageLabel: nullable({ type: 'string' }),
+      metadata: { type: 'object' },
+      distance: nullable({ type: 'number' }),
+      score: nullable({ type: 'number' })
+    }
+  },
+
+  UsageTotals: {
+    type: 'object',
+    properties: tokenTotals
+  },
+
+  QuotaStatus: {
+    type: 'object',
+    required: ['month', 'resetsAt', 'tokens', 'cost', 'exceeded'],
+    properties: {
+      month: { type: 'string', examples: ['2025-01'] },
+      resetsAt: { type: 'string', format: 'date-time' },
+      tokens: ref('QuotaLimit'),
+      cost: ref('QuotaLimit'),
+      exceeded: { type: 'boolean' }
+    }
+  },
+
+  QuotaLimit: {
+    type: 'object',
+    required: ['used', 'limit', 'remaining'],
+    properties: {
+      used: { type: 'number' },
+      limit: nullable({ type: 'number' }),
+      remaining: nullable({ type: 'number' })
+    }
+  },
+
+  UsageReport: {
+    type: 'object',
+    required: ['from', 'to', 'groupBy', 'totals', 'breakdown', 'quota'],
+    properties: {
+      from: { type: 'string', format: 'date-time' },
+      to: { type: 'string', format: 'date-time' },
+      groupBy: { type: 'string', enum: ['day', 'operation', 'user', 'model'] },
+      totals: ref('UsageTotals'),
+      breakdown: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['key'],
+          properties: { key: nullable({ type: 'string' }), ...tokenTotals }
+        }
+      },
+      quota: ref('QuotaStatus'),
+      rateLimits: {
+        type: 'object',
+        properties: {
+          chatPerMinute: nullable({ type: 'integer' }),
+          uploadPerMinute: nullable({ type: 'integer' })
+        }
+      }
+    }
+  },
+
+  PublicConfig: {
+    type: 'object',
+    required: ['settings', 'sources', 'models'],
+    properties: {
+      settings: {
+        type: 'object',
+        required: ['server', 'uploads', 'models', 'ingestion', 'retrieval', 'chat', 'limits', 'traces', 'auth'],
+        properties: {
+          server: {
+            type: 'object',
+            properties: {
+              nodeEnv: { type: 'string' },
+              logLevel: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] }
+            }
+          },
+          uploads: {
+            type: 'object',
+            properties: { maxFileSizeMb: { type: 'number' } }
+          },
+          models: {
+            type: 'object',
+            properties: {
+              llmProvider: { type: 'string' },
+              llmModel: nullable({ type: 'string' }),
+              temperature: { type: 'number' },
+              maxTokens: nullable({ type: 'integer' }),
+              embeddingProvider: nullable({ type: 'string' }),
+              embeddingModel: nullable({ type: 'string' })
+            }
+          },
+          ingestion: {
+            type: 'object',
+            properties: {
+              embeddingCache: { type: 'boolean' },
+              chunkingStrategy: nullable({ type: 'string' })
+            }
+          },
+          retrieval: {
+            type: 'object',
+            properties: {
+              mode: { type: 'string', enum: ['hybrid', 'vector', 'keyword'] },
+              keywordWeight: { type: 'number' },
+              topK: { type: 'integer' },
+              maxDistance: { type: 'number' },
+              mmr: { type: 'boolean' },
+              mmrLambda: { type: 'number' }
+            }
+          },
+          chat: {
+            type: 'object',
+            properties: {
+              historyTokenBudget: { type: 'integer' },
+              condenseHistoryTokenBudget: { type: 'integer' }
+            }
+          },
+          limits: {
+            type: 'object',
+            properties: {
+              chatPerMinute: { type: 'integer' },
+              uploadPerMinute: { type: 'integer' },
+              monthlyTokenQuota: { type: 'integer' },
+              monthlyCostQuotaUsd: { type: 'number' }
+            }
+          },
+          traces: {
+            type: 'object',
+            properties: { retentionDays: { type: 'number' } }
+          },
+          auth: {
+            type: 'object',
+            properties: { allowRegistration: { type: 'boolean' } }
+          }
+        }
+      },
+      sources: {
+        type: 'object',
+        description: 'Where each setting came from, keyed like "retrieval.topK"',
+        additionalProperties: { type: 'string', enum: ['default', 'file', 'env'] }
+      },
+      models: {
+        type: 'object',
+        description: 'The providers and models in effect, with provider defaults filled in',
+        required: ['llm', 'embedding'],
+        properties: {
+          llm: { type: 'object' },
+          embedding: { type: 'object' }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,80 @@
+// Separator placed between pages when they are joined into one text
+const PAGE_SEPARATOR = '\n\n';
+
+// Join page texts into a single string, remembering where each page starts and ends
+export const joinPages = (pages) => {
+  const ranges = [];
+  let text = '';
+
+  pages.forEach((page, index) => {
+    if (index > 0) {
+      text += PAGE_SEPARATOR;
+    }
+
+    const start = text.length;
+    text += page.text;
+    ranges.push({ pageNumber: page.pageNumber, start, end: text.length });
+  });
+
+  return { text, ranges };
+};
+
+// Find the page containing a character offset (separators belong to the next page)
+const pageAtOffset = (ranges, offset) => {
+  for (const range of ranges) {
+    if (offset < range.end) {
+      return range.pageNumber;
+    }
+  }
+
+  return ranges.length > 0 ? ranges[ranges.length - 1].pageNumber : null;
+};
+
+// Locate each chunk in the joined text and attach its offsets and page span.
+// Chunks come from a splitter run over the same text, so they appear in order
+// and may overlap; searching from the previous chunk's start keeps matches stable.
+export const locateChunks = (text, chunks, ranges) => {
+  let searchFrom = 0;
+
+  return chunks.map((chunk, chunkIndex) => {
+    let startOffset = text.indexOf(chunk, searchFrom);
+
+    if (startOffset === -1) {
+      // Splitters can normalise whitespace; fall back to the last known position
+      startOffset = searchFrom;
+    } else {
+      searchFrom = startOffset + 1;
+    }
+
+    const endOffset = Math.min(startOffset + chunk.length, text.length);
+
+    return {
+      text: chunk,
+      chunkIndex,
+      startOffset,
+      endOffset,
+      pageStart: pageAtOffset(ranges, startOffset),
+      pageEnd: pageAtOffset(ranges, Math.max(startOffset, endOffset - 1))
+    };
+  });
+};
+
+// Human readable location label, e.g. "page 12", "pages 12-13" or "rows 40-58" for CSV
+export const formatPageLabel = (metadata) => {
+  if (metadata?.rowStart != null) {
+    return metadata.rowEnd !== metadata.rowStart
+      ? `rows ${metadata.rowStart}-${metadata.rowEnd}`
+      : `row ${metadata.rowStart}`;
+  }
+
+  // Formats without pages (Word, Markdown, HTML, text) have nothing to point at
+  if (!metadata || metadata.pageStart == null || metadata.paged === false) {
+    return null;
+  }
+
+  if (metadata.pageEnd != null && metadata.pageEnd !== metadata.pageStart) {
+    return `pages ${metadata.pageStart}-${metadata.pageEnd}`;
+  }
+
+  return `page ${metadata.pageStart}`;
+};
@@ -0,0 +1,66 @@
+import { getConfig } from './config.js';
+
+// USD per million tokens, keyed by "provider/model". Embedding models only have an input price.
+// MODEL_PRICES (JSON) adds or overrides entries, e.g. {"openai-compatible/llama3": {"input": 0.2, "output": 0.2}}
+const DEFAULT_PRICES = {
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4.1': { input: 2, output: 8 },
+  'openai/gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'openai/gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'openai/gpt-4-turbo': { input: 10, output: 30 },
+  'openai/gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'openai/text-embedding-3-small': { input: 0.02 },
+  'openai/text-embedding-3-large': { input: 0.13 },
+  'openai/text-embedding-ada-002': { input: 0.1 }
+};
+
+// Models served by Ollama run locally and cost nothing per token
+const FREE_PROVIDERS = ['ollama'];
+
+let priceTable = null;
+
+const isPrice = (value) => value === undefined || (typeof value === 'number' && value >= 0);
+
+// Throws on an invalid MODEL_PRICES entry so the server can refuse to start
+export const getPriceTable = () => {
+  if (priceTable) {
+    return priceTable;
+  }
+
+  // The config has already checked that MODEL_PRICES is a JSON object
+  const overrides = getConfig().models.prices;
+
+  for (const [model, price] of Object.entries(overrides)) {
+    if (!price || typeof price !== 'object' || !isPrice(price.input) || !isPrice(price.output)) {
+      throw new Error(`MODEL_PRICES entry "${model}" needs non-negative "input" and optional "output" prices`);
+    }
+  }
+
+  priceTable = { ...DEFAULT_PRICES, ...overrides };
+  return priceTable;
+};
+
+export const getModelPrice = (modelId) => {
+  if (!modelId) {
+    return null;
+  }
+
+  const provider = modelId.split('/')[0];
+  if (FREE_PROVIDERS.includes(provider)) {
+    return { input: 0, output: 0 };
+  }
+
+  return getPriceTable()[modelId] || null;
+};
+
+// Cost in USD of a call, or null when the model has no known price
+export const estimateCost = (modelId, { inputTokens = 0, outputTokens = 0 } = {}) => {
+  const price = getModelPrice(modelId);
+
+  if (!price) {
+    return null;
+  }
+
+  return (inputTokens * price.input + outputTokens * (price.output ?? 0)) / 1000000;
+};
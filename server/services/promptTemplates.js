@@ -0,0 +1,124 @@
+import { v4 as uuidv4 } from 'uuid';
+import { dataPath, createJSONStore } from './storage.js';
+import { DEFAULT_PROMPT_TEMPLATE } from './prompts.js';
+
+// Used when neither the request nor the document picks a template; not stored and read-only
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+const DEFAULT_TEMPLATE = {
+  id: DEFAULT_TEMPLATE_ID,
+  workspaceId: null,
+  name: 'Default',
+  description: 'Built-in prompt: answer from the numbered sources, cite them and say so when the answer is not there.',
+  builtIn: true,
+  currentVersion: 1,
+  versions: [{ version: 1, template: DEFAULT_PROMPT_TEMPLATE, noContextAnswer: null, createdBy: null, createdAt: null }],
+  createdAt: null,
+  updatedAt: null
+};
+
+// In-memory copy of all workspaces' templates, loaded lazily from disk
+const { load: loadTemplates, save: saveTemplates } = createJSONStore(dataPath('promptTemplates.json'), {
+  name: 'prompt templates'
+});
+
+// Template without its version history
+export const summarizeTemplate = ({ versions, ...template }) => ({
+  ...template,
+  versionCount: versions.length
+});
+
+// The built-in default first, then the workspace's templates by name
+export const listTemplates = (workspaceId) => [
+  DEFAULT_TEMPLATE,
+  ...Object.values(loadTemplates())
+    .filter(template => template.workspaceId === workspaceId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+];
+
+export const getTemplate = (workspaceId, id) => {
+  if (id === DEFAULT_TEMPLATE_ID) {
+    return DEFAULT_TEMPLATE;
+  }
+
+  const template = loadTemplates()[id];
+  return template && template.workspaceId === workspaceId ? template : null;
+};
+
+export const findTemplateByName = (workspaceId, name) => {
+  const wanted = name.trim().toLowerCase();
+  return listTemplates(workspaceId).find(template => template.name.toLowerCase() === wanted) || null;
+};
+
+// A version of the template (the current one when `version` is null), or null
+export const getTemplateVersion = (template, version = null) => {
+  const wanted = version ?? template.currentVersion;
+  return template.versions.find(entry => entry.version === wanted) || null;
+};
+
+export const createTemplate = ({ workspaceId, name, description = null, template, noContextAnswer = null, createdBy = null }) => {
+  const now = new Date().toISOString();
+  const entry = {
+    id: uuidv4(),
+    workspaceId,
+    name: name.trim(),
+    description,
+    builtIn: false,
+    currentVersion: 1,
+    versions: [{ version: 1, template, noContextAnswer, createdBy, createdAt: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  loadTemplates()[entry.id] = entry;
+  saveTemplates();
+  return entry;
+};
+
+// Versions are never edited: a changed template text or no-context answer is saved as the next version
+export const updateTemplate = (id, { name, description, template, noContextAnswer, updatedBy = null }) => {
+  const entry = loadTemplates()[id];
+
+  if (!entry) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+
+  if (name !== undefined) {
+    entry.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    entry.description = description;
+  }
+
+  // Versions saved before noContextAnswer existed have none
+  const current = getTemplateVersion(entry);
+  const next = {
+    template: template ?? current.template,
+    noContextAnswer: noContextAnswer !== undefined ? noContextAnswer : current.noContextAnswer ?? null
+  };
+
+  if (next.template !== current.template || next.noContextAnswer !== (current.noContextAnswer ?? null)) {
+    const version = Math.max(...entry.versions.map(existing => existing.version)) + 1;
+    entry.versions.push({ version, ...next, createdBy: updatedBy, createdAt: now });
+    entry.currentVersion = version;
+  }
+
+  entry.updatedAt = now;
+  saveTemplates();
+  return entry;
+};
+
+export const deleteTemplate = (id) => {
+  const registry = loadTemplates();
+
+  if (!registry[id]) {
+    return false;
+  }
+
+  delete registry[id];
+  saveTemplates();
+  return true;
+};
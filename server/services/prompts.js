@@ -0,0 +1,140 @@
+import { formatPageLabel } from './pageMapping.js';
+import { formatHistory } from './chatSessions.js';
+
+// Variables an answer prompt template can use. {history} expands to the recent
+// conversation with its heading, or to nothing on the first question.
+export const PROMPT_VARIABLES = ['context', 'question', 'history'];
+export const REQUIRED_PROMPT_VARIABLES = ['context', 'question'];
+
+export const MAX_TEMPLATE_LENGTH = 20000;
+
+// Instructions, answer style, citation rules and refusal wording used when no template is assigned
+export const DEFAULT_PROMPT_TEMPLATE = `Based on the following context from the uploaded document, please answer the user's question. If the answer cannot be found in the context, say so.
+
+The context is split into numbered sources. After each sentence that uses a source, cite it with its number in square brackets, e.g. [1] or [2][3]. Only cite numbers that appear in the context.
+
+Context:
+{context}
+
+{history}Question: {question}
+
+Answer:`;
+
+// Answers sent without calling the model when no chunk is relevant enough. A template's
+// own noContextAnswer replaces both and may use {question}.
+export const DEFAULT_NO_CONTEXT_ANSWER = 'I couldn\'t find any relevant information in the uploaded document to answer your question. Please make sure you have uploaded a document and try asking a different question.';
+const FILTERED_NO_CONTEXT_ANSWER = 'I couldn\'t find any relevant information in the part of the document selected by your filters. Try widening the filters or asking a different question.';
+
+export const NO_CONTEXT_VARIABLES = ['question'];
+export const MAX_NO_CONTEXT_ANSWER_LENGTH = 2000;
+
+// {name} placeholders; other braces (e.g. JSON examples) are left alone
+const VARIABLE_PATTERN = /\{(\w+)\}/g;
+
+export const findTemplateVariables = (template) => [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+// Check a template's variables. Returns { errors, warnings }.
+export const validatePromptTemplate = (template) => {
+  const errors = [];
+  const warnings = [];
+
+  if (typeof template !== 'string' || !template.trim()) {
+    return { errors: ['template must be a non-empty string'], warnings };
+  }
+
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  const variables = findTemplateVariables(template);
+  const unknown = variables.filter(name => !PROMPT_VARIABLES.includes(name));
+  const missing = REQUIRED_PROMPT_VARIABLES.filter(name => !variables.includes(name));
+
+  if (unknown.length > 0) {
+    errors.push(`Unknown variables: ${unknown.map(name => `{${name}}`).join(', ')} (allowed: ${PROMPT_VARIABLES.map(name => `{${name}}`).join(', ')})`);
+  }
+
+  if (missing.length > 0) {
+    errors.push(`Missing required variables: ${missing.map(name => `{${name}}`).join(', ')}`);
+  }
+
+  if (!variables.includes('history')) {
+    warnings.push('No {history} variable: follow-up questions will be answered without the conversation so far');
+  }
+
+  return { errors, warnings };
+};
+
+// Check a template's no-context answer; null means the built-in wording. Returns errors.
+export const validateNoContextAnswer = (text) => {
+  if (text === null || text === undefined) {
+    return [];
+  }
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return ['noContextAnswer must be a non-empty string or null'];
+  }
+
+  const errors = [];
+
+  if (text.length > MAX_NO_CONTEXT_ANSWER_LENGTH) {
+    errors.push(`noContextAnswer must be at most ${MAX_NO_CONTEXT_ANSWER_LENGTH} characters`);
+  }
+
+  const unknown = findTemplateVariables(text).filter(name => !NO_CONTEXT_VARIABLES.includes(name));
+
+  if (unknown.length > 0) {
+    errors.push(`Unknown variables in noContextAnswer: ${unknown.map(name => `{${name}}`).join(', ')} (allowed: {question})`);
+  }
+
+  return errors;
+};
+
+// Retrieved chunks as prompt context, numbered for citations and labelled with their pages, rows or section
+export const buildContext = (docs) => {
+  return docs.map((doc, index) => {
+    const label = [formatPageLabel(doc.metadata), doc.metadata.section].filter(Boolean).join(' · ');
+    return `[${index + 1}]${label ? ` (${label})` : ''}\n${doc.pageContent}`;
+  }).join('\n\n');
+};
+
+// Fill in a template in one pass, so text inside the values (e.g. a chunk containing "{question}") is never expanded
+export const renderPromptTemplate = (template, values) => {
+  return template.replace(VARIABLE_PATTERN, (match, name) => (name in values ? values[name] : match));
+};
+
+// Prompt for answering a question from retrieved context, with recent conversation when there is any
+export const buildAnswerPrompt = ({ context, history = [], question, template = DEFAULT_PROMPT_TEMPLATE }) => {
+  const historySection = history.length > 0
+    ? `Conversation so far:\n${formatHistory(history)}\n\n`
+    : '';
+
+  return renderPromptTemplate(template, { context, question, history: historySection });
+};
+
+// Answer for a question no chunk was relevant to, from the template's wording or the built-in one
+export const buildNoContextAnswer = ({ template = null, question, filtered = false }) => {
+  if (template) {
+    return renderPromptTemplate(template, { question });
+  }
+
+  return filtered ? FILTERED_NO_CONTEXT_ANSWER : DEFAULT_NO_CONTEXT_ANSWER;
+};
+
+// Stand-in chunks and conversation for previewing a template without a document
+const SAMPLE_DOCS = [
+  { pageContent: 'Text of the best matching chunk. In a real prompt the chunks retrieved for the question go here.', metadata: { pageStart: 1 } },
+  { pageContent: 'Text of the second best matching chunk.', metadata: { pageStart: 4, pageEnd: 5, section: 'Example section' } }
+];
+
+const SAMPLE_HISTORY = [
+  { role: 'user', content: 'An earlier question' },
+  { role: 'assistant', content: 'The answer it got [1].' }
+];
+
+export const buildSamplePrompt = ({ template, question, withHistory = true }) => buildAnswerPrompt({
+  context: buildContext(SAMPLE_DOCS),
+  history: withHistory ? SAMPLE_HISTORY : [],
+  question,
+  template
+});
@@ -0,0 +1,156 @@
+import { ChatOpenAI, OpenAIEmbeddings } from '@langchain/openai';
+import { ChatOllama } from '@langchain/community/chat_models/ollama';
+import { OllamaEmbeddings } from '@langchain/community/embeddings/ollama';
+import { getConfig } from './config.js';
+
+const LLM_PROVIDERS = ['openai', 'ollama', 'openai-compatible'];
+const EMBEDDING_PROVIDERS = ['openai', 'ollama', 'openai-compatible'];
+
+const DEFAULT_MODELS = {
+  llm: {
+    openai: 'gpt-4o-mini',
+    ollama: 'mistral',
+    'openai-compatible': 'gpt-4o-mini'
+  },
+  embedding: {
+    openai: 'text-embedding-3-small',
+    ollama: 'nomic-embed-text',
+    'openai-compatible': 'text-embedding-3-small'
+  }
+};
+
+// Provider settings from the config's `models` section, with each provider's default models
+export const loadProviderConfig = (models = getConfig().models) => {
+  const llmProvider = models.llmProvider.toLowerCase();
+  const embeddingProvider = (models.embeddingProvider || llmProvider).toLowerCase();
+
+  if (!LLM_PROVIDERS.includes(llmProvider)) {
+    throw new Error(`Unknown LLM_PROVIDER "${llmProvider}". Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+
+  if (!EMBEDDING_PROVIDERS.includes(embeddingProvider)) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${embeddingProvider}". Expected one of: ${EMBEDDING_PROVIDERS.join(', ')}`);
+  }
+
+  if ((llmProvider === 'openai-compatible' || embeddingProvider === 'openai-compatible') && !models.openaiCompatibleBaseUrl) {
+    throw new Error('OPENAI_COMPATIBLE_BASE_URL is required for the openai-compatible provider');
+  }
+
+  return {
+    llm: {
+      provider: llmProvider,
+      model: models.llmModel || DEFAULT_MODELS.llm[llmProvider],
+      temperature: models.temperature,
+      maxTokens: models.maxTokens ?? undefined
+    },
+    embedding: {
+      provider: embeddingProvider,
+      model: models.embeddingModel || DEFAULT_MODELS.embedding[embeddingProvider]
+    },
+    openai: {
+      apiKey: models.openaiApiKey ?? undefined
+    },
+    openaiCompatible: {
+      baseUrl: models.openaiCompatibleBaseUrl,
+      // Many local servers ignore the key but the client insists on one
+      apiKey: models.openaiCompatibleApiKey || models.openaiApiKey || 'not-needed'
+    },
+    ollama: {
+      baseUrl: models.ollamaBaseUrl
+    }
+  };
+};
+
+let providerConfig = null;
+let embeddingsInstance = null;
+
+export const getProviderConfig = () => {
+  if (!providerConfig) {
+    providerConfig = loadProviderConfig();
+  }
+
+  return providerConfig;
+};
+
+// Create a chat model for the configured provider.
+// Options override the configured temperature/maxTokens, e.g. { temperature: 0 }.
+export const createChatModel = (options = {}) => {
+  const config = getProviderConfig();
+  const { provider, model } = config.llm;
+  const temperature = options.temperature ?? config.llm.temperature;
+  const maxTokens = options.maxTokens ?? config.llm.maxTokens;
+
+  switch (provider) {
+    case 'ollama':
+      return new ChatOllama({
+        baseUrl: config.ollama.baseUrl,
+        model,
+        temperature,
+        numPredict: maxTokens
+      });
+    case 'openai-compatible':
+      return new ChatOpenAI({
+        openAIApiKey: config.openaiCompatible.apiKey,
+        modelName: model,
+        temperature,
+        maxTokens,
+        streaming: options.streaming ?? false,
+        configuration: { baseURL: config.openaiCompatible.baseUrl }
+      });
+    default:
+      return new ChatOpenAI({
+        openAIApiKey: config.openai.apiKey,
+        modelName: model,
+        temperature,
+        maxTokens,
+        streaming: options.streaming ?? false
+      });
+  }
+};
+
+// Embeddings are stateless, so one shared instance is enough.
+// Retries are disabled here because ingestion retries whole batches itself.
+export const getEmbeddings = () => {
+  if (embeddingsInstance) {
+    return embeddingsInstance;
+  }
+
+  const config = getProviderConfig();
+  const { provider, model } = config.embedding;
+
+  switch (provider) {
+    case 'ollama':
+      embeddingsInstance = new OllamaEmbeddings({
+        baseUrl: config.ollama.baseUrl,
+        model,
+        maxRetries: 0
+      });
+      break;
+    case 'openai-compatible':
+      embeddingsInstance = new OpenAIEmbeddings({
+        openAIApiKey: config.openaiCompatible.apiKey,
+        modelName: model,
+        maxRetries: 0,
+        configuration: { baseURL: config.openaiCompatible.baseUrl }
+      });
+      break;
+    default:
+      embeddingsInstance = new OpenAIEmbeddings({
+        openAIApiKey: config.openai.apiKey,
+        modelName: model,
+        maxRetries: 0
+      });
+  }
+
+  return embeddingsInstance;
+};
+
+// Non-secret summary of the active providers, safe to log or return from the API
+export const describeProviders = () => {
+  const config = getProviderConfig();
+
+  return {
+    llm: { ...config.llm },
+    embedding: { ...config.embedding }
+  };
+};
@@ -0,0 +1,18 @@
+// Sliding-window request counters. They live in memory, so limits reset on restart
+// and are per server process.
+const windows = new Map();
+
+// Count a request against `key`; returns whether it is allowed and, if not, when to retry
+export const consumeRateLimit = (key, limit, windowMs = 60 * 1000) => {
+  const now = Date.now();
+  const recent = (windows.get(key) || []).filter(time => now - time < windowMs);
+
+  if (recent.length >= limit) {
+    windows.set(key, recent);
+    return { allowed: false, remaining: 0, retryAfterMs: recent[0] + windowMs - now };
+  }
+
+  recent.push(now);
+  windows.set(key, recent);
+  return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+};
@@ -0,0 +1,281 @@
+import { loadKeywordIndex, searchKeywordIndex } from './keywordIndex.js';
+import { cosineSimilarity, squaredL2Distance, maximalMarginalRelevance } from './mmr.js';
+import { logger } from './logger.js';
+
+export const RETRIEVAL_MODES = ['hybrid', 'vector', 'keyword'];
+
+const MAX_K = 20;
+
+// Standard RRF constant; dampens the advantage of the very top ranks
+const RRF_K = 60;
+
+// Each ranker contributes more candidates than we keep so fusion and MMR have something to work with
+const CANDIDATE_MULTIPLIER = 3;
+
+// Check retrieval settings from a request body or a document's saved settings.
+// Only the keys present are validated; returns { settings, errors }.
+export const validateRetrievalSettings = (input = {}) => {
+  const errors = [];
+  const settings = {};
+
+  if (input.retrievalMode !== undefined) {
+    if (RETRIEVAL_MODES.includes(input.retrievalMode)) {
+      settings.retrievalMode = input.retrievalMode;
+    } else {
+      errors.push(`retrievalMode must be one of: ${RETRIEVAL_MODES.join(', ')}`);
+    }
+  }
+
+  if (input.keywordWeight !== undefined) {
+    if (typeof input.keywordWeight === 'number' && input.keywordWeight >= 0 && input.keywordWeight <= 1) {
+      settings.keywordWeight = input.keywordWeight;
+    } else {
+      errors.push('keywordWeight must be a number between 0 and 1');
+    }
+  }
+
+  if (input.k !== undefined) {
+    if (Number.isInteger(input.k) && input.k >= 1 && input.k <= MAX_K) {
+      settings.k = input.k;
+    } else {
+      errors.push(`k must be an integer between 1 and ${MAX_K}`);
+    }
+  }
+
+  if (input.maxDistance !== undefined) {
+    if (input.maxDistance === null || (typeof input.maxDistance === 'number' && input.maxDistance > 0)) {
+      settings.maxDistance = input.maxDistance;
+    } else {
+      errors.push('maxDistance must be a positive number or null');
+    }
+  }
+
+  if (input.mmr !== undefined) {
+    if (typeof input.mmr === 'boolean') {
+      settings.mmr = input.mmr;
+    } else {
+      errors.push('mmr must be a boolean');
+    }
+  }
+
+  if (input.mmrLambda !== undefined) {
+    if (typeof input.mmrLambda === 'number' && input.mmrLambda >= 0 && input.mmrLambda <= 1) {
+      settings.mmrLambda = input.mmrLambda;
+    } else {
+      errors.push('mmrLambda must be a number between 0 and 1');
+    }
+  }
+
+  return { settings, errors };
+};
+
+// Reciprocal rank fusion: score(id) = sum over rankings of weight / (RRF_K + rank)
+export const reciprocalRankFusion = (rankings) => {
+  const fused = new Map();
+
+  for (const { name, ids, weight } of rankings) {
+    ids.forEach((id, index) => {
+      const entry = fused.get(id) || { id, score: 0, ranks: {} };
+      entry.score += weight / (RRF_K + index + 1);
+      entry.ranks[name] = index + 1;
+      fused.set(id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+const vectorSearch = async (collection, queryEmbedding, limit, where) => {
+  const results = await collection.query({
+    queryEmbeddings: [queryEmbedding],
+    nResults: limit,
+    ...(where && { where }),
+    include: ['documents', 'metadatas', 'distances']
+  });
+
+  return results.ids[0].map((id, index) => ({
+    id,
+    pageContent: results.documents[0][index],
+    metadata: results.metadatas?.[0]?.[index] || {},
+    distance: results.distances?.[0]?.[index] ?? null
+  }));
+};
+
+const keywordSearch = async (collection, index, query, limit, where) => {
+  // The BM25 index holds no metadata, so ask Chroma which chunks pass the filter
+  let allowedIds = null;
+  if (where) {
+    const matching = await collection.get({ where, include: [] });
+    allowedIds = new Set(matching.ids);
+  }
+
+  const hits = searchKeywordIndex(index, query, limit, allowedIds);
+
+  if (hits.length === 0) {
+    return [];
+  }
+
+  const results = await collection.get({
+    ids: hits.map(hit => hit.id),
+    include: ['documents', 'metadatas']
+  });
+
+  const byId = new Map(results.ids.map((id, i) => [id, {
+    pageContent: results.documents[i],
+    metadata: results.metadatas?.[i] || {}
+  }]));
+
+  return hits
+    .filter(hit => byId.has(hit.id))
+    .map(hit => ({ id: hit.id, ...byId.get(hit.id), keywordScore: hit.score }));
+};
+
+// Min-max scale scores to 0-1 so they can be weighed against cosine similarity in MMR.
+// Raw RRF scores sit in a narrow band and would barely separate the candidates.
+const normalizeScores = (scores) => {
+  const min = Math.min(...scores);
+  const range = Math.max(...scores) - min;
+  return scores.map(score => (range > 0 ? (score - min) / range : 1));
+};
+
+// Ranked candidates for the mode, each with a `relevance` between 0 and 1
+const findCandidates = async ({ collection, index, query, queryEmbedding, mode, keywordWeight, limit, where }) => {
+  // Vector hits get their relevance (cosine similarity) once embeddings are loaded
+  if (mode === 'vector') {
+    return vectorSearch(collection, queryEmbedding, limit, where);
+  }
+
+  if (mode === 'keyword') {
+    const docs = await keywordSearch(collection, index, query, limit, where);
+    const relevance = normalizeScores(docs.map(doc => doc.keywordScore));
+    return docs.map((doc, i) => ({ ...doc, relevance: relevance[i] }));
+  }
+
+  const [vectorDocs, keywordDocs] = await Promise.all([
+    vectorSearch(collection, queryEmbedding, limit, where),
+    keywordSearch(collection, index, query, limit, where)
+  ]);
+
+  const fused = reciprocalRankFusion([
+    { name: 'vector', ids: vectorDocs.map(doc => doc.id), weight: 1 - keywordWeight },
+    { name: 'keyword', ids: keywordDocs.map(doc => doc.id), weight: keywordWeight }
+  ]);
+
+  const candidates = new Map();
+  for (const doc of [...keywordDocs, ...vectorDocs]) {
+    candidates.set(doc.id, { ...candidates.get(doc.id), ...doc });
+  }
+
+  const relevance = normalizeScores(fused.map(entry => entry.score));
+  return fused.map((entry, i) => ({
+    ...candidates.get(entry.id),
+    fusedScore: entry.score,
+    ranks: entry.ranks,
+    relevance: relevance[i]
+  }));
+};
+
+// Candidates in ranking order with their scores and what happened to them:
+// 'selected' (position in the answer's context), 'beyond_max_distance',
+// 'not_selected' (cut by k or MMR) or 'missing' (no longer stored in Chroma)
+const describeCandidates = (candidates, scored, withinDistance, selected) => {
+  const scoredById = new Map(scored.map(doc => [doc.id, doc]));
+  const withinIds = new Set(withinDistance.map(doc => doc.id));
+  const positions = new Map(selected.map((doc, index) => [doc.id, index + 1]));
+
+  return candidates.map((candidate, index) => {
+    const { embedding, ...doc } = scoredById.get(candidate.id) || candidate;
+    let status = 'not_selected';
+
+    if (!scoredById.has(candidate.id)) {
+      status = 'missing';
+    } else if (positions.has(candidate.id)) {
+      status = 'selected';
+    } else if (!withinIds.has(candidate.id)) {
+      status = 'beyond_max_distance';
+    }
+
+    return { ...doc, rank: index + 1, status, position: positions.get(candidate.id) ?? null };
+  });
+};
+
+// Retrieve chunks for a query.
+// settings.retrievalMode: 'vector' (dense only), 'keyword' (BM25 only) or 'hybrid' (both, fused with RRF)
+// settings.keywordWeight: keyword ranking's share of the fused score (0-1)
+// settings.k: number of chunks to return
+// settings.maxDistance: drop chunks further than this from the query (null = no cutoff)
+// settings.mmr / mmrLambda: re-rank with Maximal Marginal Relevance to avoid near-duplicates
+// where: optional Chroma metadata filter (see metadataFilters.js)
+// keywordIndex: BM25 index to use instead of the document's stored one (e.g. built in memory)
+// includeCandidates: also return every candidate with why it was kept or dropped (for traces)
+export const retrieve = async ({
+  collection,
+  documentId,
+  query,
+  embedQuery,
+  settings,
+  where = null,
+  keywordIndex = null,
+  includeCandidates = false
+}) => {
+  const { retrievalMode, keywordWeight, k, maxDistance, mmr, mmrLambda } = settings;
+  const index = retrievalMode === 'vector' ? null : (keywordIndex || loadKeywordIndex(documentId));
+  let mode = retrievalMode;
+
+  // Documents ingested before keyword indexing existed only support vector search
+  if (mode !== 'vector' && !index) {
+    logger.warn('No keyword index, falling back to vector retrieval', { documentId });
+    mode = 'vector';
+  }
+
+  // Every mode needs the query vector: for search, distances or MMR
+  const queryEmbedding = await embedQuery(query);
+  const candidates = await findCandidates({
+    collection,
+    index,
+    query,
+    queryEmbedding,
+    mode,
+    keywordWeight,
+    limit: k * CANDIDATE_MULTIPLIER,
+    where
+  });
+
+  if (candidates.length === 0) {
+    return { mode, docs: [], candidateCount: 0, ...(includeCandidates && { candidates: [] }) };
+  }
+
+  // Keyword hits carry no distance, and MMR needs every candidate's vector
+  const stored = await collection.get({
+    ids: candidates.map(candidate => candidate.id),
+    include: ['embeddings']
+  });
+  const embeddingsById = new Map(stored.ids.map((id, i) => [id, stored.embeddings[i]]));
+
+  const scored = candidates
+    .filter(candidate => embeddingsById.has(candidate.id))
+    .map(candidate => {
+      const embedding = embeddingsById.get(candidate.id);
+      return {
+        ...candidate,
+        embedding,
+        distance: candidate.distance ?? squaredL2Distance(queryEmbedding, embedding),
+        relevance: candidate.relevance ?? cosineSimilarity(queryEmbedding, embedding)
+      };
+    });
+
+  const withinDistance = maxDistance == null ? scored : scored.filter(doc => doc.distance <= maxDistance);
+  const docs = mmr ? maximalMarginalRelevance(withinDistance, k, mmrLambda) : withinDistance.slice(0, k);
+
+  const result = {
+    mode,
+    candidateCount: candidates.length,
+    docs: docs.map(({ embedding, ...doc }) => doc)
+  };
+
+  if (includeCandidates) {
+    result.candidates = describeCandidates(candidates, scored, withinDistance, docs);
+  }
+
+  return result;
+};
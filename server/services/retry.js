@@ -0,0 +1,51 @@
+// HTTP statuses worth retrying: timeouts, rate limits and server-side hiccups
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+const RETRYABLE_MESSAGES = ['rate limit', 'timeout', 'timed out', 'fetch failed', 'socket hang up', 'overloaded'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Decide whether an error from an embedding provider or ChromaDB is likely to go away on retry
+export const isTransientError = (error) => {
+  const status = error?.status ?? error?.response?.status;
+  if (status !== undefined) {
+    return RETRYABLE_STATUSES.includes(status);
+  }
+
+  const code = error?.code ?? error?.cause?.code;
+  if (code && RETRYABLE_CODES.includes(code)) {
+    return true;
+  }
+
+  const message = (error?.message || '').toLowerCase();
+  return RETRYABLE_MESSAGES.some(fragment => message.includes(fragment));
+};
+
+// Exponential backoff with full jitter: a random delay between 0 and base * 2^attempt
+export const backoffDelay = (attempt, baseDelayMs, maxDelayMs) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+};
+
+// Run fn, retrying transient failures. fn receives the attempt number (0-based).
+export const withRetry = async (fn, {
+  retries = 5,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  isRetryable = isTransientError,
+  onRetry = () => {}
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+};
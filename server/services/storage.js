@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Root for everything the server persists outside ChromaDB
+export const DATA_DIR = path.join(__dirname, '..', 'data');
+
+export const dataPath = (...segments) => path.join(DATA_DIR, ...segments);
+
+export const readJSON = (filePath, fallback) => {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+// Write to a temp file first so a crash never leaves a truncated file.
+// `compact` skips indentation for large machine-only files such as cached vectors.
+export const writeJSON = (filePath, data, { compact = false } = {}) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempFile = `${filePath}.tmp`;
+  fs.writeFileSync(tempFile, compact ? JSON.stringify(data) : JSON.stringify(data, null, 2));
+  fs.renameSync(tempFile, filePath);
+};
+
+// A registry kept whole in memory and in one JSON file: loaded on first use and
+// rewritten on every save. Saves are synchronous, so they land in call order.
+// A file that can't be read is logged and started over from `initial()`.
+export const createJSONStore = (filePath, { name, initial = () => ({}) }) => {
+  let data = null;
+
+  const load = () => {
+    if (data) {
+      return data;
+    }
+
+    try {
+      data = { ...initial(), ...readJSON(filePath, null) };
+    } catch (error) {
+      logger.error(`Error loading ${name}`, { error });
+      data = initial();
+    }
+
+    return data;
+  };
+
+  const save = () => {
+    writeJSON(filePath, load());
+  };
+
+  return { load, save };
+};
+
+// Best-effort reads and writes for records that must never break the request
+// they belong to (traces, answer prompts): failures are logged with `context`
+export const tryReadJSON = (filePath, fallback, { name, ...context }) => {
+  try {
+    return readJSON(filePath, fallback);
+  } catch (error) {
+    logger.error(`Error reading ${name}`, { ...context, error });
+    return fallback;
+  }
+};
+
+export const tryWriteJSON = (filePath, data, { name, ...context }) => {
+  try {
+    writeJSON(filePath, data);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving ${name}`, { ...context, error });
+    return false;
+  }
+};
+
+export const removeFile = (filePath) => {
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  return false;
+};
+
+// Append-only logs (one JSON record per line) avoid rewriting a growing file on every write
+export const appendJSONLine = (filePath, record) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+};
+
+// Skips a truncated last line left by a crash mid-append
+export const readJSONLines = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+};
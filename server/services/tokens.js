@@ -0,0 +1,18 @@
+import { getEncoding } from 'js-tiktoken';
+
+// cl100k_base is the encoding of current OpenAI chat and embedding models; for other
+// providers it is still a much better estimate than characters
+let encoder = null;
+
+// Token count used for chunk sizes, the conversation history budget and usage accounting
+export const countTokens = (text) => {
+  if (!text) {
+    return 0;
+  }
+
+  if (!encoder) {
+    encoder = getEncoding('cl100k_base');
+  }
+
+  return encoder.encode(text).length;
+};
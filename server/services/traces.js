@@ -0,0 +1,76 @@
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { dataPath, tryReadJSON, tryWriteJSON } from './storage.js';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+
+// One file per trace: data/traces/<id>.json. Traces hold full prompts and
+// chunk texts, so they are only written when a chat request asks for one.
+const TRACES_DIR = dataPath('traces');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPrunedAt = 0;
+
+const tracePath = (id) => dataPath('traces', `${id}.json`);
+
+// Ids are uuids we generated; anything else could point outside the traces directory
+const isTraceId = (id) => /^[0-9a-f-]{36}$/.test(id);
+
+// TRACE_RETENTION_DAYS=0 keeps traces forever
+const getRetentionMs = () => getConfig().traces.retentionDays * DAY_MS;
+
+// Delete traces older than the retention period, at most once an hour
+const pruneTraces = () => {
+  const retentionMs = getRetentionMs();
+  const now = Date.now();
+
+  if (retentionMs === 0 || now - lastPrunedAt < PRUNE_INTERVAL_MS || !fs.existsSync(TRACES_DIR)) {
+    return;
+  }
+  lastPrunedAt = now;
+
+  let removed = 0;
+  for (const file of fs.readdirSync(TRACES_DIR)) {
+    const filePath = dataPath('traces', file);
+
+    try {
+      if (now - fs.statSync(filePath).mtimeMs > retentionMs) {
+        fs.unlinkSync(filePath);
+        removed += 1;
+      }
+    } catch (error) {
+      logger.warn('Error pruning trace', { file, error: error.message });
+    }
+  }
+
+  if (removed > 0) {
+    logger.info('Pruned expired traces', { removed });
+  }
+};
+
+export const createTrace = (fields) => ({
+  id: uuidv4(),
+  createdAt: new Date().toISOString(),
+  ...fields
+});
+
+// Tracing must never break the answer it describes, so failures are only logged
+export const saveTrace = (trace) => {
+  const saved = tryWriteJSON(tracePath(trace.id), trace, { name: 'trace', traceId: trace.id });
+
+  if (saved) {
+    pruneTraces();
+  }
+
+  return saved;
+};
+
+export const getTrace = (id) => {
+  if (!isTraceId(id)) {
+    return null;
+  }
+
+  return tryReadJSON(tracePath(id), null, { name: 'trace', traceId: id });
+};
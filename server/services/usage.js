@@ -0,0 +1,182 @@
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { dataPath, appendJSONLine, readJSONLines } from './storage.js';
+import { estimateCost } from './pricing.js';
+
+// One file per calendar month (UTC) with one usage record per line
+const USAGE_DIR = dataPath('usage');
+
+export const USAGE_GROUPS = ['day', 'operation', 'user', 'model'];
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+const usageFile = (month) => path.join(USAGE_DIR, `${month}.jsonl`);
+
+const nextMonthStart = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+const emptyTotals = () => ({
+  requests: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  embeddingTokens: 0,
+  totalTokens: 0,
+  cost: 0
+});
+
+// Sums of many tiny prices pick up float noise; micro-dollars are plenty for a report
+const roundCost = (totals) => ({ ...totals, cost: Math.round(totals.cost * 1000000) / 1000000 });
+
+const addToTotals = (totals, record) => {
+  totals.requests += 1;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.embeddingTokens += record.embeddingTokens;
+  totals.totalTokens += record.totalTokens;
+  totals.cost += record.cost;
+  return totals;
+};
+
+// Running totals of the current month per workspace, so quota checks don't re-read the log
+let currentMonth = null;
+
+const loadCurrentMonth = () => {
+  const month = monthKey(new Date());
+
+  if (currentMonth?.month === month) {
+    return currentMonth;
+  }
+
+  currentMonth = { month, workspaces: {} };
+
+  for (const record of readJSONLines(usageFile(month))) {
+    currentMonth.workspaces[record.workspaceId] ??= emptyTotals();
+    addToTotals(currentMonth.workspaces[record.workspaceId], record);
+  }
+
+  return currentMonth;
+};
+
+// Persist the tokens one request spent. Models without a known price add nothing to
+// `cost` and mark the record `unpriced`.
+export const recordUsage = ({
+  workspaceId,
+  userId = null,
+  apiKeyId = null,
+  operation,
+  documentId = null,
+  llmModel = null,
+  promptTokens = 0,
+  completionTokens = 0,
+  embeddingModel = null,
+  embeddingTokens = 0
+}) => {
+  const llmCost = promptTokens + completionTokens > 0
+    ? estimateCost(llmModel, { inputTokens: promptTokens, outputTokens: completionTokens })
+    : 0;
+  const embeddingCost = embeddingTokens > 0
+    ? estimateCost(embeddingModel, { inputTokens: embeddingTokens })
+    : 0;
+
+  const record = {
+    id: uuidv4(),
+    timestamp: new Date().toISOString(),
+    workspaceId,
+    userId,
+    apiKeyId,
+    operation,
+    documentId,
+    llmModel: promptTokens + completionTokens > 0 ? llmModel : null,
+    embeddingModel: embeddingTokens > 0 ? embeddingModel : null,
+    promptTokens,
+    completionTokens,
+    embeddingTokens,
+    totalTokens: promptTokens + completionTokens + embeddingTokens,
+    cost: (llmCost ?? 0) + (embeddingCost ?? 0),
+    ...((llmCost === null || embeddingCost === null) && { unpriced: true })
+  };
+
+  const month = loadCurrentMonth();
+  month.workspaces[workspaceId] ??= emptyTotals();
+  addToTotals(month.workspaces[workspaceId], record);
+  appendJSONLine(usageFile(month.month), record);
+
+  return record;
+};
+
+// Totals of the current month for quota checks
+export const getMonthlyUsage = (workspaceId) => {
+  const month = loadCurrentMonth();
+
+  return {
+    month: month.month,
+    resetsAt: nextMonthStart(new Date()).toISOString(),
+    ...roundCost(month.workspaces[workspaceId] || emptyTotals())
+  };
+};
+
+// Records of a workspace between two dates (inclusive), optionally for one user
+export const listUsageRecords = ({ workspaceId, from, to, userId = null }) => {
+  const records = [];
+
+  for (let cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1)); cursor <= to; cursor = nextMonthStart(cursor)) {
+    for (const record of readJSONLines(usageFile(monthKey(cursor)))) {
+      const time = Date.parse(record.timestamp);
+
+      if (record.workspaceId === workspaceId && time >= from.getTime() && time <= to.getTime() &&
+        (!userId || record.userId === userId)) {
+        records.push(record);
+      }
+    }
+  }
+
+  return records;
+};
+
+// Split a record into the per-model parts it was billed for
+const modelParts = (record) => {
+  const parts = [];
+
+  if (record.llmModel) {
+    const cost = estimateCost(record.llmModel, { inputTokens: record.promptTokens, outputTokens: record.completionTokens });
+    parts.push({ key: record.llmModel, promptTokens: record.promptTokens, completionTokens: record.completionTokens, embeddingTokens: 0, cost: cost ?? 0 });
+  }
+
+  if (record.embeddingModel) {
+    const cost = estimateCost(record.embeddingModel, { inputTokens: record.embeddingTokens });
+    parts.push({ key: record.embeddingModel, promptTokens: 0, completionTokens: 0, embeddingTokens: record.embeddingTokens, cost: cost ?? 0 });
+  }
+
+  return parts.map(part => ({ ...part, totalTokens: part.promptTokens + part.completionTokens + part.embeddingTokens }));
+};
+
+const GROUP_KEYS = {
+  day: (record) => record.timestamp.slice(0, 10),
+  operation: (record) => record.operation,
+  user: (record) => record.apiKeyId ? `apiKey:${record.apiKeyId}` : record.userId
+};
+
+// Totals plus a breakdown sorted by key (or by tokens for models and users)
+export const summarizeUsage = (records, groupBy = 'day') => {
+  const totals = records.reduce(addToTotals, emptyTotals());
+  const groups = new Map();
+
+  const parts = groupBy === 'model'
+    ? records.flatMap(modelParts)
+    : records.map(record => ({ ...record, key: GROUP_KEYS[groupBy](record) }));
+
+  for (const part of parts) {
+    if (!groups.has(part.key)) {
+      groups.set(part.key, { key: part.key, ...emptyTotals() });
+    }
+    addToTotals(groups.get(part.key), part);
+  }
+
+  const breakdown = [...groups.values()].map(roundCost);
+  if (groupBy === 'day' || groupBy === 'operation') {
+    breakdown.sort((a, b) => a.key.localeCompare(b.key));
+  } else {
+    breakdown.sort((a, b) => b.totalTokens - a.totalTokens);
+  }
+
+  return { totals: roundCost(totals), breakdown };
+};